@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import path from 'path';
+import ora from 'ora';
+import { prompt, configurePrompts, parsePromptArgs } from '../utils/prompt.js';
+import { log, colors, icons } from '../utils/colors.js';
+import { gitHelpers } from '../utils/git.js';
+import { dryRun } from '../utils/dry-run.js';
+import { output, parseFormatArgs } from '../utils/output.js';
+import { exitCodeFor } from '../utils/exit-codes.js';
+import { getConfig, getServiceConfig } from '../utils/config.js';
+import { enterProjectRoot } from '../utils/project.js';
+
+// Build the list of repositories to clean: every initialized submodule plus the parent
+async function getRepositories() {
+  const repos = [];
+  const submodules = await gitHelpers.getSubmodules();
+
+  for (const submodule of submodules) {
+    if (await gitHelpers.isSubmodule(submodule.path)) {
+      const { featurePrefix, protectedBranches } = await getServiceConfig(path.basename(submodule.path));
+      repos.push({ name: submodule.name, path: submodule.path, prefixes: [featurePrefix], protectedBranches });
+    } else {
+      log.warning(`Skipping ${submodule.name}: not initialized`);
+    }
+  }
+
+  const config = await getConfig();
+  repos.push({
+    name: 'parent',
+    path: '.',
+    prefixes: [config.featurePrefix, config.parentBranchPrefix],
+    protectedBranches: config.protectedBranches,
+  });
+  return repos;
+}
+
+// Find merged feature branches in a single repository
+async function findMergedBranches(repo, includeRemote) {
+  const spinner = ora(`Scanning ${repo.name}...`).start();
+
+  try {
+    spinner.text = `Pruning stale remote refs in ${repo.name}...`;
+    await gitHelpers.fetch(repo.path);
+    await gitHelpers.pruneRemote(repo.path);
+
+    const defaultBranch = await gitHelpers.getBaseBranch(repo.path);
+    const currentBranch = await gitHelpers.getCurrentBranch(repo.path);
+    const target = `origin/${defaultBranch}`;
+
+    const isFeatureBranch = branch => repo.prefixes.some(prefix => branch.startsWith(prefix));
+
+    const local = (await gitHelpers.getMergedBranches(target, repo.path, repo.protectedBranches))
+      .filter(branch => isFeatureBranch(branch) && branch !== currentBranch);
+
+    let remote = [];
+    if (includeRemote) {
+      remote = (await gitHelpers.getMergedRemoteBranches(target, repo.path, 'origin', repo.protectedBranches))
+        .filter(isFeatureBranch);
+    }
+
+    if (local.length === 0 && remote.length === 0) {
+      spinner.succeed(`${repo.name}: nothing to clean up`);
+    } else {
+      spinner.succeed(`${repo.name}: ${local.length} local, ${remote.length} remote merged branches`);
+    }
+
+    return { ...repo, defaultBranch, local, remote };
+  } catch (error) {
+    spinner.fail(`Failed to scan ${repo.name}`);
+    console.error(`Error: ${error.message}`);
+    return { ...repo, local: [], remote: [], error: error.message };
+  }
+}
+
+// Delete the merged branches of a single repository
+async function deleteMergedBranches(candidate) {
+  const result = {
+    name: candidate.name,
+    path: candidate.path,
+    defaultBranch: candidate.defaultBranch ?? null,
+    local: candidate.local,
+    remote: candidate.remote,
+    localDeleted: 0,
+    remoteDeleted: 0,
+    failed: [],
+    error: candidate.error,
+  };
+
+  for (const branch of candidate.local) {
+    try {
+      // Merge into origin/<default> was verified above; -d would only check HEAD
+      await gitHelpers.deleteBranch(branch, candidate.path, true);
+      result.localDeleted++;
+    } catch (error) {
+      result.failed.push(branch);
+    }
+  }
+
+  for (const branch of candidate.remote) {
+    try {
+      await gitHelpers.deleteRemoteBranch(branch, candidate.path);
+      result.remoteDeleted++;
+    } catch (error) {
+      result.failed.push(`origin/${branch}`);
+    }
+  }
+
+  return result;
+}
+
+async function cleanup(options = {}) {
+  const { remote = false } = options;
+
+  console.log(colors.bold(`${icons.cleanup} Cleaning Up Merged Feature Branches`));
+  console.log('='.repeat(40));
+
+  if (dryRun.enabled) {
+    log.info('Dry run - no branches will be deleted');
+  }
+
+  // Work from the superproject root, wherever we were started
+  const root = await enterProjectRoot();
+  try {
+    await fs.access('.gitmodules');
+  } catch {
+    log.error(`.gitmodules not found in ${root}`);
+    return false;
+  }
+
+  log.section('Finding merged branches');
+
+  const repos = await getRepositories();
+  const candidates = [];
+  for (const repo of repos) {
+    candidates.push(await findMergedBranches(repo, remote));
+  }
+
+  const total = candidates.reduce((sum, c) => sum + c.local.length + c.remote.length, 0);
+  output.summary({ total });
+
+  if (total === 0) {
+    log.success('No merged feature branches found');
+    return true;
+  }
+
+  log.section('Branches to delete');
+  for (const candidate of candidates) {
+    if (candidate.local.length === 0 && candidate.remote.length === 0) {
+      continue;
+    }
+
+    console.log(colors.bold(`  ${candidate.name}`) + colors.dim(` (merged into ${candidate.defaultBranch})`));
+    for (const branch of candidate.local) {
+      log.item(branch);
+    }
+    for (const branch of candidate.remote) {
+      log.item(`${colors.warning('origin/')}${branch}`);
+    }
+  }
+
+  if (dryRun.enabled) {
+    // Record the deletions in the plan without asking for confirmation
+    for (const candidate of candidates) {
+      const result = await deleteMergedBranches(candidate);
+      output.emit({ ...result, success: !result.error, error: result.error ?? null });
+    }
+    log.newline();
+    log.info(`Dry run complete: ${total} branches would be deleted`);
+    return true;
+  }
+
+  const { confirmDelete } = await prompt([
+    {
+      type: 'confirm',
+      name: 'confirmDelete',
+      message: `Delete ${total} merged branches?`,
+      default: false,
+      flag: '--yes',
+    },
+  ]);
+
+  if (!confirmDelete) {
+    log.info('Cleanup cancelled');
+    return false;
+  }
+
+  const results = [];
+  const spinner = ora('Deleting merged branches...').start();
+  for (const candidate of candidates) {
+    spinner.text = `Deleting merged branches in ${candidate.name}...`;
+    results.push(await deleteMergedBranches(candidate));
+  }
+  spinner.succeed('Deleted merged branches');
+
+  // Show summary
+  log.section('Summary');
+  const nameWidth = Math.max(...results.map(r => r.name.length), 'Repository'.length);
+  console.log(colors.dim(`      ${'Repository'.padEnd(nameWidth)}  Local  Remote`));
+  for (const result of results) {
+    const counts = `  ${String(result.localDeleted).padStart(5)}  ${String(result.remoteDeleted).padStart(6)}`;
+
+    if (result.error) {
+      log.item(colors.error(`${icons.cross} ${result.name.padEnd(nameWidth)} (failed: ${result.error})`));
+    } else if (result.failed.length > 0) {
+      log.item(colors.warning(`${icons.cross} ${result.name.padEnd(nameWidth)}${counts}  (could not delete: ${result.failed.join(', ')})`));
+    } else {
+      log.item(colors.success(`${icons.check} ${result.name.padEnd(nameWidth)}${counts}`));
+    }
+
+    output.emit({ ...result, success: !result.error && result.failed.length === 0, error: result.error ?? null });
+  }
+
+  log.success('🎉 Cleanup complete!');
+  return results.every(r => !r.error && r.failed.length === 0);
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const remote = args.includes('--remote');
+
+  if (args.includes('--dry-run')) {
+    dryRun.enable();
+  }
+  output.configure(parseFormatArgs(args), 'cleanup');
+  configurePrompts(parsePromptArgs(args));
+
+  cleanup({ remote }).catch(error => {
+    log.error(`Unexpected error: ${error.message}`);
+    process.exit(exitCodeFor(error));
+  });
+}
+
+export default cleanup;
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+import path from 'path';
+import { log, colors } from '../utils/colors.js';
+import { output, parseFormatArgs } from '../utils/output.js';
+import {
+  CONFIG_FILES,
+  DEFAULT_CONFIG,
+  configSchema,
+  findConfigFile,
+  loadConfig,
+  readConfigFile,
+  validateConfig,
+} from '../utils/config.js';
+
+function formatValue(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  if (value === '') return colors.dim('(empty)');
+  return String(value);
+}
+
+// Print the effective configuration and where each value comes from
+export async function showConfig() {
+  const { file, config } = await loadConfig();
+
+  log.section('Submodule CLI configuration');
+  log.item(`Config file: ${file ? colors.info(file) : colors.dim(`none (defaults; create ${CONFIG_FILES[0]} to override)`)}`);
+  console.log('');
+
+  const { services, hosts, ...settings } = config;
+  const width = Math.max(...Object.keys(settings).map(key => key.length));
+  for (const [key, value] of Object.entries(settings)) {
+    const source = JSON.stringify(value) === JSON.stringify(DEFAULT_CONFIG[key]) ? colors.dim(' (default)') : '';
+    console.log(`  ${key.padEnd(width)}  ${formatValue(value)}${source}`);
+  }
+
+  for (const [title, entries] of [['Host settings', hosts], ['Service overrides', services]]) {
+    if (Object.keys(entries).length === 0) continue;
+
+    log.section(title);
+    for (const [name, values] of Object.entries(entries)) {
+      console.log(colors.bold(`  ${name}`));
+      for (const [key, value] of Object.entries(values)) {
+        log.item(`${key}: ${formatValue(value)}`);
+      }
+    }
+  }
+
+  output.summary({ file, config });
+  return true;
+}
+
+// Validate a config file (the discovered one by default) and list every problem
+export async function validateConfigFile(file = null) {
+  const target = file ? path.resolve(file) : await findConfigFile();
+
+  if (!target) {
+    log.info(`No config file found (looked for ${CONFIG_FILES.join(', ')} from here upwards)`);
+    output.summary({ file: null, errors: [] });
+    return true;
+  }
+
+  let errors;
+  try {
+    errors = validateConfig(await readConfigFile(target));
+  } catch (error) {
+    errors = [error.message];
+  }
+
+  output.summary({ file: target, errors });
+
+  if (errors.length > 0) {
+    log.error(`${target} is invalid:`);
+    for (const error of errors) {
+      log.item(colors.error(error));
+    }
+    log.info(`Known settings: ${Object.keys(configSchema.settings).join(', ')}`);
+    return false;
+  }
+
+  log.success(`${target} is valid`);
+  return true;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const [action = 'show', file] = args.filter(arg => !arg.startsWith('--'));
+
+  output.configure(parseFormatArgs(args), 'config');
+
+  const run = action === 'validate' ? validateConfigFile(file) : showConfig();
+  run.then(success => {
+    if (!success) process.exit(1);
+  }).catch(error => {
+    log.error(`Unexpected error: ${error.message}`);
+    process.exit(1);
+  });
+}
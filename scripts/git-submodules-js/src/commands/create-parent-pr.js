@@ -2,15 +2,24 @@
 
 import fs from 'fs/promises';
 import ora from 'ora';
-import inquirer from 'inquirer';
+import { prompt, configurePrompts, parsePromptArgs, InputRequiredError } from '../utils/prompt.js';
 import { log, colors, icons } from '../utils/colors.js';
-import { gitHelpers, githubHelpers } from '../utils/git.js';
+import { gitHelpers } from '../utils/git.js';
+import { dryRun } from '../utils/dry-run.js';
+import { output, parseFormatArgs } from '../utils/output.js';
+import { exitCodeFor } from '../utils/exit-codes.js';
+import { verifyGitlinksPushed } from '../utils/gitlink-guard.js';
+import { getConfig } from '../utils/config.js';
+import { detectGitlinkChanges, describeGitlinkChange, getGitlinkPaths, stageGitlinkChanges } from '../utils/gitlink-diff.js';
+import { collectGitlinkChangelog, renderGitlinkChangelog } from '../utils/gitlink-changelog.js';
+import { enterProjectRoot } from '../utils/project.js';
+import { getProvider, ensureProviderAccess } from '../utils/providers/index.js';
 
-function generateBranchName(featureName) {
+function generateBranchName(featureName, prefix) {
   if (featureName) {
-    return `feature/submodule-${featureName}`;
+    return `${prefix}${featureName}`;
   }
-  return `feature/submodule-update-${new Date().toISOString().split('T')[0]}-${Date.now().toString().slice(-4)}`;
+  return `${prefix}update-${new Date().toISOString().split('T')[0]}-${Date.now().toString().slice(-4)}`;
 }
 
 function generatePRTitle(featureName) {
@@ -20,69 +29,67 @@ function generatePRTitle(featureName) {
   return 'chore: update submodule references';
 }
 
-function generatePRBody(submoduleUpdates) {
+function generatePRBody(changelog) {
+  const rows = changelog.map(entry => {
+    const range = entry.compareUrl
+      ? `[\`${entry.oldSha?.slice(0, 7)}...${entry.newSha?.slice(0, 7)}\`](${entry.compareUrl})`
+      : `\`${entry.oldSha?.slice(0, 7) ?? '-'}\` → \`${entry.newSha?.slice(0, 7) ?? '-'}\``;
+    const prs = entry.pullRequests.map(pr => `[#${pr.number}](${pr.url})`).join(', ') || '-';
+    return `| \`${entry.path}\` | ${range} | ${entry.commits.length} | ${prs} |`;
+  });
+  
   return `## Summary
-This PR updates submodule references to include the latest changes.
+This PR updates ${changelog.length} submodule reference(s).
 
 ## Submodules Updated
-${submoduleUpdates.map(update => `- ${update}`).join('\n')}
-
-## Submodule Status
-\`\`\`
-${submoduleUpdates.join('\n')}
-\`\`\`
+| Submodule | Change | Commits | Merged PRs |
+|-----------|--------|---------|------------|
+${rows.join('\n')}
 
-## Changes Included
-<!-- Describe what changes are included in the submodule updates -->
-- Update to latest submodule commits
-- Include recent feature developments
+## Changes by Submodule
+${renderGitlinkChangelog(changelog)}
 
 ## Testing
 - [ ] All submodules are properly synchronized
 - [ ] Application builds and runs correctly
 - [ ] All tests pass
 
-## Deployment Notes
-After merging this PR, the deployment will include updates from:
-${submoduleUpdates.map(update => `- ${update}`).join('\n')}
-
 ---
 *Auto-generated by parent repository workflow script*`;
 }
 
-function generateCommitMessage(featureName, submoduleStatus) {
+function generateCommitMessage(featureName, changes) {
   let message = 'chore: update submodule references';
   
   if (featureName) {
     message = `feat: ${featureName} - update submodules`;
   }
   
-  message += `\n\nUpdated submodules:\n${submoduleStatus.map(line => `- ${line}`).join('\n')}`;
+  if (changes.length > 0) {
+    message += `\n\nUpdated submodules:\n${changes.map(change => `- ${describeGitlinkChange(change)}`).join('\n')}`;
+  }
   
   return message;
 }
 
-async function createParentPR(featureName = null, draft = false) {
+async function createParentPR(featureName = null, draft = false, options = {}) {
+  const { includeOther = false } = options;
   log.section('Creating PR for Parent Repository');
   
-  // Check if we're in the root directory
+  // Work from the superproject root, wherever we were started
+  const root = await enterProjectRoot();
+  const config = await getConfig();
+  
   try {
     await fs.access('.gitmodules');
   } catch {
-    log.error('Not in parent repository root');
+    log.error(`.gitmodules not found in ${root}`);
     return false;
   }
   
-  // Check if gh CLI is installed and authenticated
-  if (!(await githubHelpers.isGhInstalled())) {
-    log.error('GitHub CLI (gh) is not installed');
-    log.info('Please install it: https://cli.github.com/');
-    return false;
-  }
-  
-  if (!(await githubHelpers.isAuthenticated())) {
-    log.error('GitHub CLI is not authenticated');
-    log.info('Please run: gh auth login');
+  // Make sure we can talk to the parent repo's hosting provider
+  const provider = await getProvider();
+  if (!(await ensureProviderAccess(provider))) {
     return false;
   }
   
@@ -97,22 +104,24 @@ async function createParentPR(featureName = null, draft = false) {
   log.section('Checking for submodule changes');
   
   let spinner = ora('Checking submodule status...').start();
+  let gitlinkChanges;
   
   try {
-    const status = await gitHelpers.git.status(['--porcelain']);
-    const hasSubmoduleChanges = status.split('\n').some(line => line.startsWith('M '));
+    // Staged and unstaged gitlink changes: added, removed, moved and updated submodules
+    gitlinkChanges = await detectGitlinkChanges();
     
-    if (!hasSubmoduleChanges) {
+    if (gitlinkChanges.length === 0) {
       spinner.warn('No submodule changes detected');
       log.warning('Make sure you\'ve updated submodules first:');
       log.info('  npm run sync');
       
-      const { continueAnyway } = await inquirer.prompt([
+      const { continueAnyway } = await prompt([
         {
           type: 'confirm',
           name: 'continueAnyway',
           message: 'Continue anyway?',
           default: false,
+          flag: '--yes',
         },
       ]);
       
@@ -120,9 +129,13 @@ async function createParentPR(featureName = null, draft = false) {
         return false;
       }
     } else {
-      spinner.succeed('Submodule changes detected');
+      spinner.succeed(`${gitlinkChanges.length} submodule change(s) detected`);
+      for (const change of gitlinkChanges) {
+        log.item(`${describeGitlinkChange(change)}${change.staged ? '' : colors.dim(' (unstaged)')}`);
+      }
     }
   } catch (error) {
+    if (error instanceof InputRequiredError) throw error;
     spinner.fail('Failed to check status');
     console.error(error);
     return false;
@@ -143,7 +156,7 @@ async function createParentPR(featureName = null, draft = false) {
   let targetBranch = currentBranch;
   
   if (currentBranch === defaultBranch) {
-    const featureBranch = generateBranchName(featureName);
+    const featureBranch = generateBranchName(featureName, config.parentBranchPrefix);
     log.section(`Creating feature branch: ${featureBranch}`);
     
     spinner = ora('Creating feature branch...').start();
@@ -156,22 +169,23 @@ async function createParentPR(featureName = null, draft = false) {
       console.error(error);
       return false;
     }
-  } else if (currentBranch?.startsWith('feature/')) {
+  } else if ([config.featurePrefix, config.parentBranchPrefix].some(prefix => currentBranch?.startsWith(prefix))) {
     log.success(`Already on feature branch: ${currentBranch}`);
   } else {
     log.warning(`On branch: ${currentBranch}`);
     
-    const { continueWithBranch } = await inquirer.prompt([
+    const { continueWithBranch } = await prompt([
       {
         type: 'confirm',
         name: 'continueWithBranch',
         message: 'Continue with current branch?',
         default: false,
+        flag: '--yes',
       },
     ]);
     
     if (!continueWithBranch) {
-      const featureBranch = generateBranchName(featureName);
+      const featureBranch = generateBranchName(featureName, config.parentBranchPrefix);
       spinner = ora('Creating feature branch...').start();
       try {
         await gitHelpers.createBranch(featureBranch);
@@ -185,37 +199,59 @@ async function createParentPR(featureName = null, draft = false) {
     }
   }
   
-  // Stage submodule changes
+  // Stage the submodule changes; anything else only when asked to
   spinner = ora('Staging submodule changes...').start();
+  let commitPaths = getGitlinkPaths(gitlinkChanges);
   try {
-    await gitHelpers.add('.');
+    await stageGitlinkChanges(gitlinkChanges);
+    
+    if (includeOther) {
+      await gitHelpers.add(['-A', '.']);
+      commitPaths = [];
+    }
     
-    // Check what's staged
-    const stagedChanges = await gitHelpers.git.diff(['--staged', '--name-only']);
+    // Check what's staged (nothing is actually staged during a dry run)
+    const stagedChanges = includeOther
+      ? await gitHelpers.diff([dryRun.enabled ? 'HEAD' : '--staged', '--name-only'])
+      : commitPaths.join('\n');
     if (!stagedChanges.trim()) {
       spinner.warn('No changes to commit');
       return false;
     }
     
-    spinner.succeed('Staged submodule changes');
+    spinner.succeed(includeOther ? 'Staged all changes' : 'Staged submodule changes');
     
     log.section('Staged changes:');
     for (const file of stagedChanges.split('\n').filter(f => f.trim())) {
       log.item(file);
     }
+    
+    if (!includeOther) {
+      const others = (await gitHelpers.getShortStatus())
+        .split('\n')
+        .filter(line => line.trim() && !line.slice(3).split(' -> ').every(file => commitPaths.includes(file)));
+      if (others.length > 0) {
+        log.info(`${others.length} other change(s) left out of the commit (use --include-other to add them)`);
+      }
+    }
   } catch (error) {
     spinner.fail('Failed to stage changes');
     console.error(error);
     return false;
   }
   
+  // Make sure the gitlinks we are about to commit point at pushed commits
+  if (!(await verifyGitlinksPushed(gitlinkChanges))) {
+    log.info('Nothing was committed; your changes are still staged');
+    return false;
+  }
+  
   // Commit changes
   spinner = ora('Committing changes...').start();
   try {
-    const submoduleStatus = await gitHelpers.getSubmoduleStatus();
-    const commitMessage = generateCommitMessage(featureName, submoduleStatus);
+    const commitMessage = generateCommitMessage(featureName, gitlinkChanges);
     
-    await gitHelpers.commit(commitMessage);
+    await gitHelpers.commit(commitMessage, '.', commitPaths);
     spinner.succeed('Committed changes');
   } catch (error) {
     spinner.fail('Failed to commit changes');
@@ -243,31 +279,39 @@ async function createParentPR(featureName = null, draft = false) {
   
   // Generate PR details
   const prTitle = generatePRTitle(featureName);
-  const submoduleUpdates = await gitHelpers.git.diff(['HEAD~1', '--name-only']).then(diff => 
-    diff.split('\n').filter(f => f.startsWith('services/') && f.trim())
-  );
-  const prBody = generatePRBody(submoduleUpdates);
+  
+  // Describe every gitlink the branch changes since it forked from the base
+  // branch (in a dry run nothing was committed, so compare with the working tree)
+  spinner = ora('Collecting submodule changelogs...').start();
+  const forkPoint = await gitHelpers.getMergeBase(`origin/${defaultBranch}`, 'HEAD');
+  const branchChanges = await detectGitlinkChanges(forkPoint, dryRun.enabled ? null : 'HEAD');
+  const changelog = await collectGitlinkChangelog(branchChanges);
+  spinner.succeed(`Collected changes for ${changelog.length} submodule(s)`);
+  const prBody = generatePRBody(changelog);
   
   // Check if PR already exists
-  const existingPR = await githubHelpers.getPRForBranch(targetBranch);
+  const existingPR = await provider.findPR(targetBranch);
   
-  if (existingPR && existingPR.number) {
+  if (existingPR?.number && existingPR.state === 'OPEN') {
     log.warning(`PR already exists: #${existingPR.number}`);
     log.item(`View PR: ${colors.info(existingPR.url)}`);
+    output.summary({ pr: { number: existingPR.number, url: existingPR.url, created: false } });
     
-    const { updatePR } = await inquirer.prompt([
+    const { updatePR } = await prompt([
       {
         type: 'confirm',
         name: 'updatePR',
         message: 'Update existing PR?',
         default: false,
+        answer: options.updateExisting,
+        flag: '--update-existing or --no-update-existing',
       },
     ]);
     
     if (updatePR) {
       spinner = ora('Updating existing PR...').start();
       try {
-        await githubHelpers.updatePR(existingPR.number, prTitle, prBody);
+        await provider.updatePR(existingPR.number, { title: prTitle, body: prBody });
         spinner.succeed('PR updated successfully');
       } catch (error) {
         spinner.fail('Failed to update PR');
@@ -279,7 +323,7 @@ async function createParentPR(featureName = null, draft = false) {
     // Create new PR
     spinner = ora('Creating new PR...').start();
     try {
-      const pr = await githubHelpers.createPR(prTitle, prBody, defaultBranch, draft);
+      const pr = await provider.createPR({ title: prTitle, body: prBody, base: defaultBranch, head: targetBranch, draft });
       
       if (draft) {
         spinner.succeed(`Draft PR created: #${pr.number}`);
@@ -288,6 +332,7 @@ async function createParentPR(featureName = null, draft = false) {
       }
       
       log.item(`PR URL: ${colors.info(pr.url)}`);
+      output.summary({ pr: { number: pr.number, url: pr.url, created: true, draft } });
     } catch (error) {
       spinner.fail('Failed to create PR');
       console.error(error);
@@ -296,6 +341,18 @@ async function createParentPR(featureName = null, draft = false) {
   }
   
   // Success and next steps
+  output.summary({
+    branch: targetBranch,
+    base: defaultBranch,
+    submodules: changelog.map(entry => ({
+      path: entry.path,
+      oldSha: entry.oldSha,
+      newSha: entry.newSha,
+      compareUrl: entry.compareUrl,
+      commits: entry.commits.length,
+      pullRequests: entry.pullRequests.map(pr => pr.number),
+    })),
+  });
   log.success('🎉 Parent repository PR workflow complete!');
   
   log.section('Next Steps:');
@@ -305,9 +362,11 @@ async function createParentPR(featureName = null, draft = false) {
   log.item('Deploy the updated application');
   
   log.section('Useful commands:');
-  log.item(`View PR: ${colors.dim('gh pr view')}`);
-  log.item(`Check PR status: ${colors.dim('gh pr status')}`);
-  log.item(`Merge PR: ${colors.dim('gh pr merge')}`);
+  if (provider.type === 'github') {
+    log.item(`View PR: ${colors.dim('gh pr view')}`);
+    log.item(`Check PR status: ${colors.dim('gh pr status')}`);
+    log.item(`Merge PR: ${colors.dim('gh pr merge')}`);
+  }
   log.item(`Check submodule status: ${colors.dim('git submodule status')}`);
   
   return true;
@@ -318,10 +377,18 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   const args = process.argv.slice(2);
   const featureName = args.find(arg => !arg.startsWith('--'));
   const draft = args.includes('--draft');
+  const includeOther = args.includes('--include-other');
+  const updateExisting = args.includes('--update-existing') || (args.includes('--no-update-existing') ? false : undefined);
+  
+  if (args.includes('--dry-run')) {
+    dryRun.enable();
+  }
+  output.configure(parseFormatArgs(args), 'parent-pr');
+  configurePrompts(parsePromptArgs(args));
   
-  createParentPR(featureName, draft).catch(error => {
+  createParentPR(featureName, draft, { includeOther, updateExisting }).catch(error => {
     log.error(`Unexpected error: ${error.message}`);
-    process.exit(1);
+    process.exit(exitCodeFor(error));
   });
 }
 
@@ -3,17 +3,25 @@
 import fs from 'fs/promises';
 import path from 'path';
 import ora from 'ora';
-import inquirer from 'inquirer';
+import { prompt, configurePrompts, parsePromptArgs } from '../utils/prompt.js';
 import { log, colors, icons } from '../utils/colors.js';
-import { gitHelpers, githubHelpers } from '../utils/git.js';
+import { gitHelpers } from '../utils/git.js';
+import { dryRun } from '../utils/dry-run.js';
+import { output, parseFormatArgs } from '../utils/output.js';
+import { exitCodeFor } from '../utils/exit-codes.js';
+import { getConfig, getServiceConfig } from '../utils/config.js';
+import { enterProjectRoot, inferCurrentService, getInvocationDir } from '../utils/project.js';
+import { getProvider, ensureProviderAccess } from '../utils/providers/index.js';
+import { collectPRContext, generateTitle, generateBody, renderTemplate } from '../utils/pr-body.js';
 
 async function getAvailableServices() {
+  const { servicesDir } = await getConfig();
   try {
-    const servicesDir = await fs.readdir('services');
+    const entries = await fs.readdir(servicesDir);
     const services = [];
     
-    for (const service of servicesDir) {
-      const servicePath = path.join('services', service);
+    for (const service of entries) {
+      const servicePath = path.join(servicesDir, service);
       const isSubmodule = await gitHelpers.isSubmodule(servicePath);
       if (isSubmodule) {
         services.push(service);
@@ -26,38 +34,67 @@ async function getAvailableServices() {
   }
 }
 
-function generatePRTitle(serviceName, featureName) {
-  return `feat(${serviceName}): ${featureName}`;
-}
-
-function generatePRBody(serviceName) {
-  return `## Description
-Brief description of changes made to ${serviceName}.
-
-## Changes
-- [ ] Add your changes here
-- [ ] Update documentation if needed
-- [ ] Add tests if applicable
+// Template used by --template when no file is given, looked up in the service
+// repo first and then in the parent repo
+const DEFAULT_TEMPLATE = '.github/pull_request_template.md';
 
-## Testing
-- [ ] Tested locally
-- [ ] All tests pass
-
-## Checklist
-- [ ] Code follows project style guidelines
-- [ ] Self-review completed
-- [ ] Documentation updated if needed
-- [ ] No breaking changes (or documented)
-
-## Related Issues
-Closes #<issue-number> (if applicable)
+// Resolve the --template option to a file path (true means the default template)
+export async function resolveTemplate(template, servicePath) {
+  if (!template) return null;
+  
+  const candidates = template === true
+    ? [path.join(servicePath, DEFAULT_TEMPLATE), DEFAULT_TEMPLATE]
+    : [path.resolve(getInvocationDir(), template)];
+  
+  for (const candidate of candidates) {
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch {
+      // Try the next one
+    }
+  }
+  throw new Error(`PR template not found: ${candidates.join(' or ')}`);
+}
 
----
-*Auto-generated by submodule workflow script*`;
+// Build the PR title and body from the commits between the branch and origin/<default>
+export async function generateServicePR(serviceName, servicePath, branch, defaultBranch, options = {}) {
+  const { featurePrefix } = await getServiceConfig(serviceName);
+  const featureName = branch.replace(featurePrefix, '').replace(/-/g, ' ');
+  const context = await collectPRContext(servicePath, `origin/${defaultBranch}`, branch);
+  
+  const title = generateTitle(context, serviceName, featureName);
+  const body = options.template
+    ? await renderTemplate(options.template, context, { title, service: serviceName, branch, base: defaultBranch })
+    : generateBody(context);
+  
+  return { title, body, context };
 }
 
-async function createSubmodulePR(serviceName, draft = false) {
-  const servicePath = path.join('services', serviceName);
+async function createSubmodulePR(serviceName = null, draft = false, options = {}) {
+  await enterProjectRoot();
+  
+  // Default to the service we were started from
+  if (!serviceName) {
+    serviceName = await inferCurrentService();
+  }
+  
+  if (!serviceName) {
+    log.error('Service name required (or run from inside a service folder)');
+    console.log('Usage: npm run create-pr [service-name] [--draft]');
+    
+    const services = await getAvailableServices();
+    if (services.length > 0) {
+      log.info('Available services:');
+      for (const service of services) {
+        log.item(service);
+      }
+    }
+    return false;
+  }
+  
+  const serviceConfig = await getServiceConfig(serviceName);
+  const servicePath = serviceConfig.path;
   
   log.section('Creating PR for Service Submodule');
   log.item(`Service: ${colors.info(serviceName)}`);
@@ -76,17 +113,16 @@ async function createSubmodulePR(serviceName, draft = false) {
     return false;
   }
   
-  // Check if gh CLI is installed and authenticated
-  if (!(await githubHelpers.isGhInstalled())) {
-    log.error('GitHub CLI (gh) is not installed');
-    log.info('Please install it: https://cli.github.com/');
-    log.info('Or create PR manually on GitHub');
+  // Make sure we can talk to the service's hosting provider
+  let provider;
+  try {
+    provider = await getProvider(servicePath);
+  } catch (error) {
+    log.error(error.message);
     return false;
   }
-  
-  if (!(await githubHelpers.isAuthenticated())) {
-    log.error('GitHub CLI is not authenticated');
-    log.info('Please run: gh auth login');
+  if (!(await ensureProviderAccess(provider))) {
+    log.info(`Or create the PR manually on ${provider.label}`);
     return false;
   }
   
@@ -100,8 +136,8 @@ async function createSubmodulePR(serviceName, draft = false) {
   log.item(`Current branch: ${colors.info(currentBranch)}`);
   
   // Check if we're on a feature branch
-  if (['main', 'master'].includes(currentBranch)) {
-    log.error('Cannot create PR from main/master branch');
+  if (serviceConfig.protectedBranches.includes(currentBranch)) {
+    log.error(`Cannot create PR from protected branch ${currentBranch}`);
     log.info('Please create a feature branch first:');
     log.info(`  npm run new-feature ${serviceName} <feature-name>`);
     return false;
@@ -113,18 +149,30 @@ async function createSubmodulePR(serviceName, draft = false) {
     log.warning('Uncommitted changes detected');
     
     try {
-      const status = await gitHelpers.git.status(['--short'], { cwd: servicePath });
+      const status = await gitHelpers.getShortStatus(servicePath);
       console.log(status);
     } catch {
       // Ignore
     }
     
-    const { commitChanges } = await inquirer.prompt([
+    // --message implies --commit
+    const { commitChanges, commitMessage } = await prompt([
       {
         type: 'confirm',
         name: 'commitChanges',
         message: 'Commit all changes?',
         default: false,
+        answer: options.commit ?? (options.message !== undefined ? true : undefined),
+        flag: '--commit or --no-commit',
+      },
+      {
+        type: 'input',
+        name: 'commitMessage',
+        message: 'Enter commit message:',
+        default: `feat: update ${serviceName} - ${new Date().toISOString().split('T')[0]}`,
+        when: answers => answers.commitChanges,
+        answer: options.message,
+        flag: '--message <message>',
       },
     ]);
     
@@ -132,16 +180,6 @@ async function createSubmodulePR(serviceName, draft = false) {
       let spinner = ora('Committing changes...').start();
       try {
         await gitHelpers.add('.', servicePath);
-        
-        const { commitMessage } = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'commitMessage',
-            message: 'Enter commit message:',
-            default: `feat: update ${serviceName} - ${new Date().toISOString().split('T')[0]}`,
-          },
-        ]);
-        
         await gitHelpers.commit(commitMessage, servicePath);
         spinner.succeed('Changes committed');
       } catch (error) {
@@ -173,36 +211,47 @@ async function createSubmodulePR(serviceName, draft = false) {
     return false;
   }
   
-  // Get default branch for PR target
-  const defaultBranch = await gitHelpers.getDefaultBranch(servicePath);
+  // Target the branch the submodule tracks (.gitmodules), else the default
+  const defaultBranch = await gitHelpers.getBaseBranch(servicePath);
   
-  // Extract feature name from branch (assuming feature/feature-name format)
-  const featureName = currentBranch.replace('feature/', '').replace(/-/g, ' ');
-  
-  // Create PR title and body
-  const prTitle = generatePRTitle(serviceName, featureName);
-  const prBody = generatePRBody(serviceName);
+  // Create PR title and body from the branch's commits
+  let prTitle;
+  let prBody;
+  try {
+    const template = await resolveTemplate(options.template, servicePath);
+    const pr = await generateServicePR(serviceName, servicePath, currentBranch, defaultBranch, { template });
+    prTitle = pr.title;
+    prBody = pr.body;
+    log.item(`PR title: ${colors.info(prTitle)}`);
+    log.item(`Commits: ${pr.context.commits.length}, ${pr.context.stats.files} file(s) changed`);
+  } catch (error) {
+    log.error(`Failed to generate PR description: ${error.message}`);
+    return false;
+  }
   
   // Check if PR already exists
-  const existingPR = await githubHelpers.getPRForBranch(currentBranch, servicePath);
+  const existingPR = await provider.findPR(currentBranch);
   
-  if (existingPR && existingPR.number) {
+  if (existingPR?.number && existingPR.state === 'OPEN') {
     log.warning(`PR already exists: #${existingPR.number}`);
     log.item(`View PR: ${colors.info(existingPR.url)}`);
+    output.summary({ pr: { number: existingPR.number, url: existingPR.url, created: false } });
     
-    const { updatePR } = await inquirer.prompt([
+    const { updatePR } = await prompt([
       {
         type: 'confirm',
         name: 'updatePR',
         message: 'Update existing PR?',
         default: false,
+        answer: options.updateExisting,
+        flag: '--update-existing or --no-update-existing',
       },
     ]);
     
     if (updatePR) {
       spinner = ora('Updating existing PR...').start();
       try {
-        await githubHelpers.updatePR(existingPR.number, prTitle, prBody, servicePath);
+        await provider.updatePR(existingPR.number, { title: prTitle, body: prBody });
         spinner.succeed('PR updated successfully');
       } catch (error) {
         spinner.fail('Failed to update PR');
@@ -214,7 +263,7 @@ async function createSubmodulePR(serviceName, draft = false) {
     // Create new PR
     spinner = ora('Creating new PR...').start();
     try {
-      const pr = await githubHelpers.createPR(prTitle, prBody, defaultBranch, draft, servicePath);
+      const pr = await provider.createPR({ title: prTitle, body: prBody, base: defaultBranch, head: currentBranch, draft });
       
       if (draft) {
         spinner.succeed(`Draft PR created: #${pr.number}`);
@@ -223,6 +272,7 @@ async function createSubmodulePR(serviceName, draft = false) {
       }
       
       log.item(`PR URL: ${colors.info(pr.url)}`);
+      output.summary({ pr: { number: pr.number, url: pr.url, created: true, draft } });
     } catch (error) {
       spinner.fail('Failed to create PR');
       console.error(error);
@@ -231,6 +281,7 @@ async function createSubmodulePR(serviceName, draft = false) {
   }
   
   // Success and next steps
+  output.summary({ service: serviceName, path: servicePath, branch: currentBranch, base: defaultBranch });
   log.success('🎉 Submodule PR workflow complete!');
   
   log.section('Next Steps:');
@@ -238,10 +289,12 @@ async function createSubmodulePR(serviceName, draft = false) {
   log.item(`Update parent repo: ${colors.info('npm run sync')}`);
   log.item(`Create parent PR: ${colors.info('npm run parent-pr')}`);
   
-  log.section('Useful commands:');
-  log.item(`View PR: ${colors.dim(`cd ${servicePath} && gh pr view`)}`);
-  log.item(`Check PR status: ${colors.dim(`cd ${servicePath} && gh pr status`)}`);
-  log.item(`Merge PR: ${colors.dim(`cd ${servicePath} && gh pr merge`)}`);
+  if (provider.type === 'github') {
+    log.section('Useful commands:');
+    log.item(`View PR: ${colors.dim(`cd ${servicePath} && gh pr view`)}`);
+    log.item(`Check PR status: ${colors.dim(`cd ${servicePath} && gh pr status`)}`);
+    log.item(`Merge PR: ${colors.dim(`cd ${servicePath} && gh pr merge`)}`);
+  }
   
   return true;
 }
@@ -249,28 +302,39 @@ async function createSubmodulePR(serviceName, draft = false) {
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   const args = process.argv.slice(2);
-  const serviceName = args.find(arg => !arg.startsWith('--'));
+  
+  // --template takes an optional file: the next argument, unless it is a flag
+  const templateIndex = args.indexOf('--template');
+  const templateFile = templateIndex !== -1 && args[templateIndex + 1] && !args[templateIndex + 1].startsWith('-')
+    ? templateIndex + 1
+    : -1;
+  
+  // -m <message>, --message <message> or --message=<message>
+  const messageIndex = args.findIndex(arg => arg === '-m' || arg === '--message');
+  const messageValue = messageIndex !== -1 && messageIndex + 1 < args.length ? messageIndex + 1 : -1;
+  
+  const serviceName = args.find((arg, index) => !arg.startsWith('-') && index !== templateFile && index !== messageValue);
   const draft = args.includes('--draft');
+  const template = templateFile !== -1
+    ? args[templateFile]
+    : templateIndex !== -1 || args.find(arg => arg.startsWith('--template='))?.split('=')[1];
+  const commit = args.includes('--commit') || (args.includes('--no-commit') ? false : undefined);
+  const message = messageValue !== -1
+    ? args[messageValue]
+    : args.find(arg => arg.startsWith('--message='))?.slice('--message='.length);
+  const updateExisting = args.includes('--update-existing') || (args.includes('--no-update-existing') ? false : undefined);
   
-  if (!serviceName) {
-    log.error('Service name required');
-    console.log('Usage: npm run create-pr <service-name> [--draft]');
-    console.log('');
-    
-    getAvailableServices().then(services => {
-      if (services.length > 0) {
-        log.info('Available services:');
-        for (const service of services) {
-          log.item(service);
-        }
-      }
-    });
-    process.exit(1);
+  if (args.includes('--dry-run')) {
+    dryRun.enable();
   }
+  output.configure(parseFormatArgs(args), 'create-pr');
+  configurePrompts(parsePromptArgs(args));
   
-  createSubmodulePR(serviceName, draft).catch(error => {
+  createSubmodulePR(serviceName, draft, { template, commit, message, updateExisting }).then(success => {
+    if (!success) process.exit(1);
+  }).catch(error => {
     log.error(`Unexpected error: ${error.message}`);
-    process.exit(1);
+    process.exit(exitCodeFor(error));
   });
 }
 
@@ -0,0 +1,592 @@
+#!/usr/bin/env node
+
+import path from 'path';
+import ora from 'ora';
+import { InvalidArgumentError } from 'commander';
+import { log, colors } from '../utils/colors.js';
+import { gitHelpers } from '../utils/git.js';
+import { dryRun } from '../utils/dry-run.js';
+import { output, parseFormatArgs } from '../utils/output.js';
+import { EXIT_CODES, exitCodeFor } from '../utils/exit-codes.js';
+import { configurePrompts, parsePromptArgs } from '../utils/prompt.js';
+import { getConfig, getServiceConfig } from '../utils/config.js';
+import { enterProjectRoot } from '../utils/project.js';
+import { getProvider, ensureProviderAccess } from '../utils/providers/index.js';
+import { featureManifest } from '../utils/feature-manifest.js';
+import { verifyGitlinksPushed } from '../utils/gitlink-guard.js';
+import { createParentFeatureBranch } from './new-feature.js';
+import { generateServicePR } from './create-submodule-pr.js';
+
+// Cross-link sections are wrapped in markers so re-running replaces them
+// instead of appending another copy to the PR body
+const LINKS_START = '<!-- submodule-cli:feature-links:start -->';
+const LINKS_END = '<!-- submodule-cli:feature-links:end -->';
+
+function replaceLinksSection(body, section) {
+  const block = `${LINKS_START}\n${section}\n${LINKS_END}`;
+  const start = body.indexOf(LINKS_START);
+  const end = body.indexOf(LINKS_END);
+
+  if (start !== -1 && end > start) {
+    return body.slice(0, start) + block + body.slice(end + LINKS_END.length);
+  }
+  return `${body.trimEnd()}\n\n${block}\n`;
+}
+
+function formatPRLink(label, pr) {
+  return pr?.url && pr.number ? `[${label} #${pr.number}](${pr.url})` : `${label} (no PR)`;
+}
+
+function formatState(pr) {
+  if (!pr?.number) return 'NO PR';
+  return pr.isDraft && pr.state === 'OPEN' ? 'DRAFT' : pr.state ?? 'OPEN';
+}
+
+function generateServiceLinks(featureName, service, services, parentPR) {
+  const lines = [`## Related PRs (feature \`${featureName}\`)`, ''];
+  lines.push(`- Parent: ${formatPRLink('parent', parentPR)}`);
+  for (const sibling of services) {
+    if (sibling.service !== service.service) {
+      lines.push(`- ${formatPRLink(sibling.service, sibling.pr)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// Table of service PRs; once landed it also shows the merge commit each
+// gitlink now points at
+function generateParentLinks(featureName, services) {
+  const landed = services.some(service => service.mergeSha);
+  const lines = [
+    `## Service PRs (feature \`${featureName}\`)`,
+    '',
+    landed ? '| Service | Branch | PR | State | Merge SHA |' : '| Service | Branch | PR | State |',
+    landed ? '|---------|--------|----|-------|-----------|' : '|---------|--------|----|-------|',
+  ];
+  for (const service of services) {
+    const row = `| ${service.service} | \`${service.branch}\` | ${formatPRLink(service.service, service.pr)} | ${formatState(service.pr)} |`;
+    lines.push(landed ? `${row} ${service.mergeSha ? `\`${service.mergeSha}\`` : '-'} |` : row);
+  }
+  return lines.join('\n');
+}
+
+function generateParentBody(featureName, services) {
+  return `## Summary
+Cross-service feature \`${featureName}\` touching ${services.length} service(s).
+This PR updates the submodule references once the service PRs below are merged.
+
+${LINKS_START}
+${generateParentLinks(featureName, services)}
+${LINKS_END}
+
+---
+*Auto-generated by submodule workflow script*`;
+}
+
+// Services belonging to a feature: everything recorded in the manifest plus
+// any submodule that has the feature branch locally
+export async function findFeatureServices(featureName) {
+  const config = await getConfig();
+  const entry = await featureManifest.get(featureName);
+  const services = new Map();
+
+  for (const submodule of await gitHelpers.getSubmodules()) {
+    if (!submodule.path?.startsWith(`${config.servicesDir}/`)) continue;
+
+    const name = path.basename(submodule.path);
+    const { featurePrefix } = await getServiceConfig(name);
+    const recorded = entry?.services?.[name];
+    const branch = recorded?.branch ?? `${featurePrefix}${featureName}`;
+
+    if (!(await gitHelpers.isSubmodule(submodule.path))) {
+      if (recorded) {
+        services.set(name, { service: name, path: submodule.path, branch, error: 'submodule not initialized' });
+      }
+      continue;
+    }
+
+    if (recorded || (await gitHelpers.branchExists(branch, submodule.path))) {
+      services.set(name, { service: name, path: submodule.path, branch });
+    }
+  }
+
+  return {
+    parentBranch: entry?.branch ?? `${config.featurePrefix}${featureName}`,
+    services: [...services.values()],
+  };
+}
+
+// Check the hosting provider of the parent and of every service up front.
+// Providers are chosen per repository, so a feature may span several hosts.
+async function ensureFeatureAccess(services) {
+  const dirs = ['.', ...services.filter(service => !service.error).map(service => service.path)];
+
+  for (const dir of dirs) {
+    try {
+      if (!(await ensureProviderAccess(await getProvider(dir)))) {
+        return false;
+      }
+    } catch (error) {
+      log.error(error.message);
+      return false;
+    }
+  }
+  return true;
+}
+
+// Push a service's feature branch and open its PR, or pick up the existing one
+async function openServicePR(service, draft) {
+  const { path: servicePath, branch } = service;
+  const spinner = ora(`${service.service}: preparing PR...`).start();
+
+  if (!(await gitHelpers.branchExists(branch, servicePath))) {
+    spinner.fail(`${service.service}: branch ${branch} not found`);
+    return { ...service, error: `branch ${branch} not found` };
+  }
+
+  const defaultBranch = await gitHelpers.getBaseBranch(servicePath);
+  const commits = await gitHelpers.getCommitsBetween(`origin/${defaultBranch}`, branch, servicePath);
+  if (commits.length === 0) {
+    // Nothing to open; keep an already merged PR in the links
+    const existing = await (await getProvider(servicePath)).findPR(branch);
+    if (existing) {
+      spinner.succeed(`${service.service}: PR #${existing.number} is ${existing.state.toLowerCase()}`);
+    } else {
+      spinner.warn(`${service.service}: no commits on ${branch} yet, skipping PR`);
+    }
+    return { ...service, base: defaultBranch, commits: 0, pr: existing, created: false };
+  }
+
+  if (await gitHelpers.hasUncommittedChanges(servicePath)) {
+    log.warning(`${service.service}: uncommitted changes are not part of the PR`);
+  }
+
+  try {
+    spinner.text = `${service.service}: pushing ${branch}...`;
+    const remoteBranchExists = await gitHelpers.remoteBranchExists(branch, servicePath);
+    await gitHelpers.push(servicePath, !remoteBranchExists, branch);
+
+    const existing = await (await getProvider(servicePath)).findPR(branch);
+    if (existing && existing.state === 'OPEN') {
+      spinner.succeed(`${service.service}: pushed, PR #${existing.number} already open`);
+      return { ...service, base: defaultBranch, commits: commits.length, pr: existing, created: false };
+    }
+
+    spinner.text = `${service.service}: creating PR...`;
+    const { title, body } = await generateServicePR(service.service, servicePath, branch, defaultBranch);
+    const pr = await (await getProvider(servicePath)).createPR({ title, body, base: defaultBranch, head: branch, draft });
+    spinner.succeed(`${service.service}: created PR #${pr.number}`);
+    return {
+      ...service,
+      base: defaultBranch,
+      commits: commits.length,
+      pr: { ...pr, title, body, state: 'OPEN', isDraft: draft },
+      created: true,
+    };
+  } catch (error) {
+    spinner.fail(`${service.service}: ${error.message}`);
+    return { ...service, error: error.message };
+  }
+}
+
+// Commit the feature's gitlinks on the parent branch, push it and open its PR
+async function openParentPR(featureName, parentBranch, services, options = {}) {
+  const { draft = false, message = `chore(${featureName}): update submodule references` } = options;
+  const currentBranch = await gitHelpers.getCurrentBranch();
+  if (currentBranch !== parentBranch && !(await createParentFeatureBranch(featureName))) {
+    return { error: `could not switch parent repo to ${parentBranch}` };
+  }
+
+  const paths = new Set(services.map(service => service.path));
+  const changes = (await gitHelpers.getGitlinkChanges(['HEAD'])).filter(change => paths.has(change.path));
+
+  if (changes.length > 0) {
+    if (!(await verifyGitlinksPushed(changes))) {
+      return { error: 'submodule commits are not pushed' };
+    }
+
+    const changedPaths = changes.map(change => change.path);
+    await gitHelpers.add(changedPaths);
+    await gitHelpers.commit(message, '.', changedPaths);
+    log.success(`Committed ${changedPaths.length} submodule reference(s) on ${parentBranch}`);
+  }
+
+  const spinner = ora(`parent: pushing ${parentBranch}...`).start();
+  try {
+    const remoteBranchExists = await gitHelpers.remoteBranchExists(parentBranch);
+    await gitHelpers.push('.', !remoteBranchExists, parentBranch);
+
+    const existing = await (await getProvider()).findPR(parentBranch);
+    if (existing && existing.state === 'OPEN') {
+      spinner.succeed(`parent: pushed, PR #${existing.number} already open`);
+      return { pr: existing, created: false };
+    }
+
+    spinner.text = 'parent: creating PR...';
+    const defaultBranch = await gitHelpers.getDefaultBranch();
+    const title = `feat: ${featureName.replace(/-/g, ' ')} - submodule updates`;
+    const body = generateParentBody(featureName, services);
+    const pr = await (await getProvider()).createPR({ title, body, base: defaultBranch, head: parentBranch, draft });
+    spinner.succeed(`parent: created PR #${pr.number}`);
+    return { pr: { ...pr, title, body, state: 'OPEN', isDraft: draft }, created: true };
+  } catch (error) {
+    spinner.fail(`parent: ${error.message}`);
+    return { error: error.message };
+  }
+}
+
+// Rewrite the cross-link section of a PR body when it changed
+async function updateLinks(pr, section, dir) {
+  if (!pr?.number || pr.number === '(dry run)') {
+    return false;
+  }
+
+  const body = replaceLinksSection(pr.body ?? '', section);
+  if (body === pr.body) {
+    return false;
+  }
+
+  await (await getProvider(dir)).updatePR(pr.number, { title: pr.title, body });
+  pr.body = body;
+  return true;
+}
+
+// Open (or update) a PR in every service of a feature plus the parent PR,
+// and cross-link them all
+export async function featurePR(featureName, options = {}) {
+  const { draft = false } = options;
+
+  await enterProjectRoot();
+
+  log.section(`Opening PRs for feature: ${featureName}`);
+
+  const { parentBranch, services: found } = await findFeatureServices(featureName);
+  if (found.length === 0) {
+    log.error(`No services found for feature '${featureName}'`);
+    log.info(`Start it with: ${colors.info(`submodule-cli new-feature ${featureName} --services a,b`)}`);
+    return false;
+  }
+
+  log.item(`Services: ${found.map(service => colors.info(service.service)).join(', ')}`);
+  log.item(`Parent branch: ${colors.info(parentBranch)}`);
+
+  if (!(await ensureFeatureAccess(found))) {
+    return false;
+  }
+
+  log.section('Service PRs');
+  const services = [];
+  for (const service of found) {
+    services.push(service.error ? service : await openServicePR(service, draft));
+  }
+
+  const failed = services.filter(service => service.error);
+  if (failed.length > 0) {
+    for (const service of failed) {
+      log.error(`${service.service}: ${service.error}`);
+    }
+    log.info('Parent PR not opened; fix the above and re-run');
+    output.summary({ feature: featureName, services, parent: null });
+    return false;
+  }
+
+  const linked = services.filter(service => service.pr);
+  if (linked.length === 0) {
+    log.warning('No service has commits yet, nothing to open');
+    output.summary({ feature: featureName, services, parent: null });
+    return true;
+  }
+
+  log.section('Parent PR');
+  const parent = await openParentPR(featureName, parentBranch, linked, { draft });
+  if (parent.error) {
+    log.error(`Parent PR failed: ${parent.error}`);
+    output.summary({ feature: featureName, services, parent });
+    return false;
+  }
+
+  log.section('Cross-linking PRs');
+  const spinner = ora('Updating PR descriptions...').start();
+  let updated = 0;
+  try {
+    for (const service of linked) {
+      const section = generateServiceLinks(featureName, service, linked, parent.pr);
+      if (await updateLinks(service.pr, section, service.path)) updated++;
+    }
+    if (await updateLinks(parent.pr, generateParentLinks(featureName, linked), '.')) updated++;
+    spinner.succeed(updated > 0 ? `Updated ${updated} PR description(s)` : 'PR links already up to date');
+  } catch (error) {
+    spinner.fail(`Failed to update PR descriptions: ${error.message}`);
+    return false;
+  }
+
+  for (const service of services) {
+    output.emit({ service: service.service, path: service.path, branch: service.branch, pr: service.pr, created: service.created ?? false });
+  }
+  output.summary({ feature: featureName, parent: { branch: parentBranch, pr: parent.pr, created: parent.created } });
+
+  log.section('Feature PRs');
+  for (const service of services) {
+    const state = service.pr ? colors.dim(formatState(service.pr)) : colors.dim('no commits');
+    log.item(`${colors.bold(service.service)}: ${service.pr?.url ?? '-'} ${state}`);
+  }
+  log.item(`${colors.bold('parent')}: ${parent.pr.url} ${colors.dim(formatState(parent.pr))}`);
+  log.success('Feature PRs are open and linked');
+  return true;
+}
+
+function describeOpenPR(pr) {
+  if (pr.isDraft) return 'draft';
+  if (pr.reviewDecision === 'CHANGES_REQUESTED') return 'changes requested';
+  if (pr.reviewDecision === 'REVIEW_REQUIRED') return 'review required';
+  if (pr.reviewDecision === 'APPROVED') return 'approved, not merged yet';
+  return 'open';
+}
+
+// Look up each service PR and work out what still blocks landing
+async function checkServicePRs(services) {
+  const results = [];
+
+  for (const service of services) {
+    const pr = await (await getProvider(service.path)).findPR(service.branch);
+
+    if (!pr) {
+      // A service without commits on the feature branch has nothing to land
+      const defaultBranch = await gitHelpers.getBaseBranch(service.path);
+      const commits = await gitHelpers.getCommitsBetween(`origin/${defaultBranch}`, service.branch, service.path).catch(() => []);
+      results.push({
+        ...service,
+        pr: null,
+        skipped: commits.length === 0,
+        blocking: commits.length > 0 ? 'no PR yet (run: feature pr)' : null,
+      });
+      continue;
+    }
+
+    let blocking = null;
+    if (pr.state === 'CLOSED') {
+      blocking = 'closed without merging';
+    } else if (pr.state === 'OPEN') {
+      blocking = describeOpenPR(pr);
+    }
+    results.push({ ...service, pr, mergeSha: pr.mergeCommit?.oid ?? null, blocking });
+  }
+
+  return results;
+}
+
+function reportBlocking(blocking) {
+  log.warning(`${blocking.length} service PR(s) still block landing:`);
+  for (const service of blocking) {
+    const pr = service.pr ? `#${service.pr.number} ` : '';
+    log.item(`${colors.bold(service.service)}: ${pr}${colors.warning(service.blocking)}${service.pr ? ` ${colors.dim(service.pr.url)}` : ''}`);
+  }
+}
+
+// Fast-forward a service's default branch to the commit its PR was merged as
+async function landService(service) {
+  const spinner = ora(`${service.service}: updating to merged commit...`).start();
+  try {
+    await gitHelpers.fetch(service.path);
+    const defaultBranch = await gitHelpers.getBaseBranch(service.path);
+    const target = service.mergeSha ?? `origin/${defaultBranch}`;
+
+    if (service.mergeSha && !(await gitHelpers.isAncestor(service.mergeSha, `origin/${defaultBranch}`, service.path))) {
+      throw new Error(`merge commit ${service.mergeSha.slice(0, 7)} is not on origin/${defaultBranch}`);
+    }
+
+    if ((await gitHelpers.getCurrentBranch(service.path)) !== defaultBranch) {
+      await gitHelpers.checkout(defaultBranch, service.path);
+    }
+    await gitHelpers.integrate(target, 'ff-only', service.path);
+
+    const head = dryRun.enabled ? service.mergeSha : await gitHelpers.getHeadSha(service.path);
+    spinner.succeed(`${service.service}: ${defaultBranch} at ${head?.slice(0, 7) ?? target}`);
+    return { ...service, defaultBranch, head };
+  } catch (error) {
+    spinner.fail(`${service.service}: ${error.message}`);
+    return { ...service, error: error.message };
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Option parser for --timeout and --interval: anything but a positive number
+// would poll without pause or never time out
+export function parsePositiveNumber(value) {
+  const number = Number(value);
+  if (String(value).trim() === '' || !Number.isFinite(number) || number <= 0) {
+    throw new InvalidArgumentError('Not a positive number.');
+  }
+  return number;
+}
+
+// Wait until every service PR of a feature is merged, then move the
+// submodules to the merge commits and open (or update) the parent PR
+export async function featureLand(featureName, options = {}) {
+  const { once = false, draft = false } = options;
+  const timeoutMs = Number(options.timeout ?? 30) * 60 * 1000;
+  const intervalMs = Number(options.interval ?? 60) * 1000;
+
+  await enterProjectRoot();
+
+  log.section(`Landing feature: ${featureName}`);
+
+  const { parentBranch, services: found } = await findFeatureServices(featureName);
+  if (found.length === 0) {
+    log.error(`No services found for feature '${featureName}'`);
+    return false;
+  }
+
+  const broken = found.filter(service => service.error);
+  if (broken.length > 0) {
+    for (const service of broken) {
+      log.error(`${service.service}: ${service.error}`);
+    }
+    return false;
+  }
+
+  if (!(await ensureFeatureAccess(found))) {
+    return false;
+  }
+
+  // Poll until nothing blocks, a PR is closed unmerged, or we time out
+  const deadline = Date.now() + timeoutMs;
+  let results;
+  while (true) {
+    const spinner = ora('Checking service PRs...').start();
+    results = await checkServicePRs(found);
+    const blocking = results.filter(service => service.blocking);
+    spinner.stop();
+
+    for (const service of results) {
+      output.emit({ service: service.service, pr: service.pr, mergeSha: service.mergeSha ?? null, blocking: service.blocking ?? null });
+    }
+
+    if (blocking.length === 0) {
+      log.success('All service PRs are merged');
+      break;
+    }
+
+    reportBlocking(blocking);
+
+    if (blocking.some(service => service.pr?.state === 'CLOSED')) {
+      log.error('A service PR was closed without merging; reopen it or drop the service from the feature');
+      output.summary({ feature: featureName, landed: false, blocking });
+      return false;
+    }
+
+    if (once || Date.now() + intervalMs > deadline) {
+      if (!once) log.error(`Timed out after ${options.timeout ?? 30} minute(s)`);
+      output.summary({ feature: featureName, landed: false, blocking });
+      return false;
+    }
+
+    const waitSpinner = ora(`Waiting ${intervalMs / 1000}s before checking again...`).start();
+    await sleep(intervalMs);
+    waitSpinner.stop();
+  }
+
+  const merged = results.filter(service => !service.skipped);
+  if (merged.length === 0) {
+    log.warning('No service has changes for this feature, nothing to land');
+    return true;
+  }
+
+  // Refuse before touching anything if a submodule has local work in the way
+  const dirty = [];
+  for (const service of merged) {
+    if (await gitHelpers.hasUncommittedChanges(service.path)) dirty.push(service.service);
+  }
+  if (dirty.length > 0) {
+    log.error(`Uncommitted changes in: ${dirty.join(', ')}`);
+    log.info('Commit or stash them, then run feature land again');
+    return false;
+  }
+
+  log.section('Updating submodules to merged commits');
+  const landed = [];
+  for (const service of merged) {
+    landed.push(await landService(service));
+  }
+
+  const failed = landed.filter(service => service.error);
+  if (failed.length > 0) {
+    output.summary({ feature: featureName, landed: false, services: landed });
+    return false;
+  }
+
+  log.section('Parent PR');
+  const parent = await openParentPR(featureName, parentBranch, landed, {
+    draft,
+    message: `chore(${featureName}): land merged service PRs`,
+  });
+  if (parent.error) {
+    log.error(`Parent PR failed: ${parent.error}`);
+    output.summary({ feature: featureName, landed: false, services: landed, parent });
+    return false;
+  }
+
+  await updateLinks(parent.pr, generateParentLinks(featureName, landed), '.');
+
+  output.summary({
+    feature: featureName,
+    landed: true,
+    services: landed.map(service => ({ service: service.service, path: service.path, pr: service.pr?.number, mergeSha: service.mergeSha, head: service.head })),
+    parent: { branch: parentBranch, pr: parent.pr, created: parent.created },
+  });
+
+  log.section('Landed');
+  for (const service of landed) {
+    log.item(`${colors.bold(service.service)}: #${service.pr.number} -> ${colors.dim(service.head?.slice(0, 7) ?? '?')}`);
+  }
+  log.item(`${colors.bold('parent')}: ${parent.pr.url}`);
+  log.success('Feature landed; merge the parent PR to finish');
+  return true;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const [action, featureName] = args.filter(arg => !arg.startsWith('--'));
+
+  if (args.includes('--dry-run')) {
+    dryRun.enable();
+  }
+  output.configure(parseFormatArgs(args), 'feature');
+  configurePrompts(parsePromptArgs(args));
+
+  const valueOf = name => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+  const numberOf = name => {
+    const value = valueOf(name);
+    if (value === undefined) return undefined;
+    try {
+      return parsePositiveNumber(value);
+    } catch (error) {
+      log.error(`Invalid --${name} '${value}': ${error.message}`);
+      process.exit(EXIT_CODES.usage);
+    }
+  };
+
+  let run;
+  if (action === 'pr' && featureName) {
+    run = featurePR(featureName, { draft: args.includes('--draft') });
+  } else if (action === 'land' && featureName) {
+    run = featureLand(featureName, {
+      once: args.includes('--once'),
+      draft: args.includes('--draft'),
+      timeout: numberOf('timeout'),
+      interval: numberOf('interval'),
+    });
+  } else {
+    log.error('Usage: npm run feature -- <pr|land> <feature> [--draft] [--once] [--timeout=<min>] [--interval=<sec>]');
+    process.exit(1);
+  }
+
+  run.then(success => {
+    if (!success) process.exit(1);
+  }).catch(error => {
+    log.error(`Unexpected error: ${error.message}`);
+    process.exit(exitCodeFor(error));
+  });
+}
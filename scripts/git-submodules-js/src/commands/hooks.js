@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { log, colors } from '../utils/colors.js';
+import { gitHelpers } from '../utils/git.js';
+import { dryRun, fsHelpers } from '../utils/dry-run.js';
+import { findUnpushedGitlinks, reportUnpushedGitlinks } from '../utils/gitlink-guard.js';
+import { enterProjectRoot } from '../utils/project.js';
+
+const HOOK_MARKER = '# Installed by submodule-cli';
+const ZERO_SHA = /^0+$/;
+const cliPath = fileURLToPath(new URL('../index.js', import.meta.url));
+
+function generatePrePushHook() {
+  return `#!/bin/sh
+${HOOK_MARKER}: refuse to push gitlinks that point at unpushed submodule commits.
+# Remove with: submodule-cli hooks uninstall
+exec node "${cliPath}" hooks run pre-push "$@"
+`;
+}
+
+async function isCliHook(hookPath) {
+  try {
+    const content = await fs.readFile(hookPath, 'utf-8');
+    return content.includes(HOOK_MARKER);
+  } catch {
+    return null; // No hook installed
+  }
+}
+
+// Install the pre-push hook into the parent repository
+export async function installHooks(options = {}) {
+  const { force = false } = options;
+
+  log.section('Installing git hooks');
+  await enterProjectRoot();
+
+  const hookPath = await gitHelpers.getGitPath('hooks/pre-push');
+  const existing = await isCliHook(hookPath);
+
+  if (existing === false && !force) {
+    log.error(`A pre-push hook already exists: ${hookPath}`);
+    log.info('Use --force to replace it');
+    return false;
+  }
+
+  await fsHelpers.mkdir(path.dirname(hookPath));
+  await fsHelpers.writeFile(hookPath, generatePrePushHook(), { mode: 0o755 });
+
+  log.success(`Installed pre-push hook: ${colors.dim(hookPath)}`);
+  log.item('Pushes are refused when a gitlink points at a submodule commit missing on origin');
+  return true;
+}
+
+// Remove the pre-push hook if it was installed by this CLI
+export async function uninstallHooks() {
+  await enterProjectRoot();
+  const hookPath = await gitHelpers.getGitPath('hooks/pre-push');
+  const existing = await isCliHook(hookPath);
+
+  if (existing === null) {
+    log.info('No pre-push hook installed');
+    return true;
+  }
+
+  if (existing === false) {
+    log.error(`The pre-push hook was not installed by submodule-cli, leaving it alone: ${hookPath}`);
+    return false;
+  }
+
+  await fsHelpers.rm(hookPath);
+  log.success('Removed pre-push hook');
+  return true;
+}
+
+async function readStdin() {
+  if (process.stdin.isTTY) return '';
+
+  let data = '';
+  for await (const chunk of process.stdin) {
+    data += chunk;
+  }
+  return data;
+}
+
+// Collect the gitlinks changed by the refs being pushed
+async function getPushedGitlinkChanges(refLines) {
+  const changes = new Map();
+
+  for (const line of refLines) {
+    const [localRef, localSha, , remoteSha] = line.split(' ');
+    if (!localSha || ZERO_SHA.test(localSha)) continue; // Branch deletion
+
+    let refChanges = null;
+    if (!ZERO_SHA.test(remoteSha)) {
+      try {
+        refChanges = await gitHelpers.getGitlinkChanges([remoteSha, localSha]);
+      } catch {
+        // Remote sha unknown locally
+      }
+    }
+
+    if (!refChanges) {
+      // New branch, or nothing to compare with: check every gitlink in the pushed commit
+      refChanges = (await gitHelpers.getGitlinks(localSha)).map(link => ({
+        path: link.path,
+        status: 'A',
+        oldSha: null,
+        newSha: link.sha,
+      }));
+    }
+
+    for (const change of refChanges) {
+      changes.set(`${change.path}@${change.newSha}`, { ...change, ref: localRef });
+    }
+  }
+
+  return [...changes.values()];
+}
+
+// Entry point for the installed pre-push hook
+export async function runPrePushHook() {
+  const refLines = (await readStdin()).split('\n').filter(line => line.trim());
+  const changes = await getPushedGitlinkChanges(refLines);
+
+  const offending = await findUnpushedGitlinks(changes);
+  if (offending.length === 0) {
+    return true;
+  }
+
+  reportUnpushedGitlinks(offending);
+  log.info('Push the submodule branches first, or bypass with: git push --no-verify');
+  return false;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const [action, hook] = args.filter(arg => !arg.startsWith('--'));
+
+  if (args.includes('--dry-run')) {
+    dryRun.enable();
+  }
+
+  let run;
+  if (action === 'install') {
+    run = installHooks({ force: args.includes('--force') });
+  } else if (action === 'uninstall') {
+    run = uninstallHooks();
+  } else if (action === 'run' && hook === 'pre-push') {
+    run = runPrePushHook();
+  } else {
+    log.error('Usage: npm run hooks -- <install|uninstall> [--force]');
+    process.exit(1);
+  }
+
+  run.then(success => {
+    if (!success) process.exit(1);
+  }).catch(error => {
+    log.error(`Unexpected error: ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -5,22 +5,39 @@ import path from 'path';
 import ora from 'ora';
 import { execa } from 'execa';
 import { log, colors, icons } from '../utils/colors.js';
-import { gitHelpers, githubHelpers } from '../utils/git.js';
+import { gitHelpers } from '../utils/git.js';
+import { dryRun, fsHelpers } from '../utils/dry-run.js';
+import { output, parseFormatArgs } from '../utils/output.js';
+import { getSubmoduleState } from '../utils/submodule-state.js';
+import { getConfig, getServiceConfig } from '../utils/config.js';
+import { enterProjectRoot } from '../utils/project.js';
+import { getProviderForNewRepo, ensureProviderAccess } from '../utils/providers/index.js';
+import { getIndexGitlinks } from '../utils/gitlink-diff.js';
+import {
+  initJournal,
+  backupService,
+  restoreService,
+  removeSubmoduleLeftovers,
+  restoreWorkingFiles,
+  verifyCheckout,
+} from '../utils/init-journal.js';
 
 async function checkProjectRoot() {
+  const { servicesDir } = await getConfig();
   try {
     await fs.access('README.md');
-    await fs.access('services');
+    await fs.access(servicesDir);
     return true;
   } catch {
     return false;
   }
 }
 
-// Get list of subfolders in ./services/
+// Get list of subfolders in the services directory
 async function getServiceFolders() {
+  const { servicesDir } = await getConfig();
   try {
-    const items = await fs.readdir('services', { withFileTypes: true });
+    const items = await fs.readdir(servicesDir, { withFileTypes: true });
     return items
       .filter(item => item.isDirectory())
       .map(item => item.name);
@@ -59,47 +76,80 @@ async function getRemoteUrl(folderPath) {
   }
 }
 
-// Generate repository name from folder name (remove '-service' suffix)
-function generateRepoName(folderName) {
-  return folderName.endsWith('-service') 
-    ? folderName.slice(0, -8) // Remove '-service'
-    : folderName;
+// Branch checked out in a repository, or null when HEAD is detached
+async function getCheckedOutBranch(folderPath) {
+  try {
+    const { stdout } = await execa('git', ['symbolic-ref', '--quiet', '--short', 'HEAD'], { cwd: folderPath });
+    return stdout.trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+async function hasLocalBranch(folderPath, branch) {
+  try {
+    await execa('git', ['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`], { cwd: folderPath });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Work that only the folder's own .git holds and that the conversion would
+// lose with it. Stashes are never carried over. With an origin, commits must
+// already be on it; without one every branch and tag is pushed to the new
+// repository, so only commits on no branch (a detached HEAD) are at risk.
+async function findLocalOnlyWork(entry) {
+  const folderPath = entry.path;
+  const work = [];
+
+  const { stdout: stashes } = await execa('git', ['stash', 'list'], { cwd: folderPath });
+  if (stashes.trim()) {
+    work.push(`${stashes.trim().split('\n').length} stash(es)`);
+  }
+
+  const range = entry.kind === 'existing-remote'
+    ? ['--branches', 'HEAD', '--not', '--remotes']
+    : ['HEAD', '--not', '--branches'];
+  const { stdout: commits } = await execa('git', ['log', '--oneline', ...range], { cwd: folderPath });
+  if (commits.trim()) {
+    const count = commits.trim().split('\n').length;
+    work.push(entry.kind === 'existing-remote' ? `${count} commit(s) not pushed to origin` : `${count} commit(s) on no branch`);
+  }
+
+  return work;
 }
 
-// Create GitHub repository using gh CLI
-async function createGitHubRepo(repoName) {
-  const spinner = ora(`Creating GitHub repository: ${repoName}`).start();
+// Create the service repository with the hosting provider chosen for it. The
+// name is journaled before the provider is asked, so that a run resumed after a
+// crash in between adopts the repository instead of creating a second one.
+async function createServiceRepo(serviceConfig, entry, journal) {
+  const provider = await getProviderForNewRepo(serviceConfig);
+  const { repoName } = serviceConfig;
+  const options = { visibility: serviceConfig.repoVisibility, namespace: serviceConfig.repoNamespace ?? null };
+  const spinner = ora(`Creating ${provider.label} repository: ${repoName}`).start();
   
   try {
-    // Check if repository already exists
-    try {
-      await execa('gh', ['repo', 'view', repoName], { stdio: 'pipe' });
+    if (entry.resumed && entry.plannedRepo && await provider.repoExists(entry.plannedRepo, options.namespace)) {
+      const url = await provider.getRepoUrl(entry.plannedRepo, options.namespace);
+      spinner.succeed(`Adopted repository created by the interrupted run: ${entry.plannedRepo}`);
+      return { name: entry.plannedRepo, url };
+    }
+    
+    let name = entry.plannedRepo ?? repoName;
+    
+    // Check if repository already exists and suggest a new name
+    if (!entry.plannedRepo && await provider.repoExists(repoName, options.namespace)) {
       spinner.warn(`Repository ${repoName} already exists`);
-      
-      // Suggest new name
-      const timestamp = Date.now();
-      const newRepoName = `${repoName}-${timestamp}`;
-      spinner.text = `Trying new name: ${newRepoName}`;
-      
-      await execa('gh', ['repo', 'create', newRepoName, '--private']);
-      
-      // Get the repository URL
-      const { stdout: username } = await execa('gh', ['api', 'user', '--jq', '.login']);
-      const repoUrl = `git@github.com:${username.trim()}/${newRepoName}.git`;
-      
-      spinner.succeed(`Created repository: ${newRepoName}`);
-      return { name: newRepoName, url: repoUrl };
-    } catch {
-      // Repository doesn't exist, create it
-      await execa('gh', ['repo', 'create', repoName, '--private']);
-      
-      // Get the repository URL
-      const { stdout: username } = await execa('gh', ['api', 'user', '--jq', '.login']);
-      const repoUrl = `git@github.com:${username.trim()}/${repoName}.git`;
-      
-      spinner.succeed(`Created repository: ${repoName}`);
-      return { name: repoName, url: repoUrl };
+      name = `${repoName}-${Date.now()}`;
+      spinner.text = `Trying new name: ${name}`;
     }
+    
+    entry.plannedRepo = name;
+    await initJournal.save(journal);
+    const repo = await provider.createRepo(name, options);
+    spinner.succeed(`Created repository: ${name}`);
+    return repo;
   } catch (error) {
     spinner.fail(`Failed to create repository: ${repoName}`);
     throw error;
@@ -109,188 +159,376 @@ async function createGitHubRepo(repoName) {
 // Remove folder from git tracking
 async function gitRmCached(folderPath) {
   try {
-    await execa('git', ['rm', '--cached', '-r', folderPath]);
+    await dryRun.exec('git', ['rm', '--cached', '-r', '--quiet', '--ignore-unmatch', folderPath]);
   } catch (error) {
     // Might not be tracked, that's ok
     console.warn(`Warning: Could not remove ${folderPath} from git cache: ${error.message}`);
   }
 }
 
-// Process a single service folder
-async function processServiceFolder(folderName) {
-  const folderPath = path.join('services', folderName);
-  const spinner = ora(`Processing: ${folderName}`).start();
+// Each folder is converted as a journaled transaction. The steps per kind of
+// folder, in order; every completed step is recorded so that an interrupted
+// run can be resumed or rolled back:
+//   backup         copy the folder (with .git, untracked and ignored files),
+//                  the parent's index and .gitmodules
+//   create-repo    create the repository on the hosting provider
+//   publish        commit the folder if needed and push it to the repository
+//   untrack        drop the folder's files from the parent's index
+//   add-submodule  replace the folder with a checkout of the repository
+//   restore-files  copy uncommitted, untracked and ignored files back
+//   verify         compare the checkout with the backup
+const STEPS = {
+  empty: ['backup', 'create-repo', 'publish', 'untrack', 'add-submodule', 'verify'],
+  'no-git': ['backup', 'create-repo', 'publish', 'untrack', 'add-submodule', 'restore-files', 'verify'],
+  'no-remote': ['backup', 'create-repo', 'publish', 'untrack', 'add-submodule', 'restore-files', 'verify'],
+  'existing-remote': ['backup', 'untrack', 'add-submodule', 'restore-files', 'verify'],
+};
+
+// Decide how a folder becomes a submodule, or null when it already is one.
+// A folder with its own .git is only a submodule once the parent records it.
+async function classifyFolder(folderPath) {
+  const isAlreadySubmodule = (await getIndexGitlinks()).has(folderPath) || 
+                             await gitHelpers.isRegisteredSubmodule(folderPath);
+  if (isAlreadySubmodule) return null;
   
-  try {
-    // Check if already a git submodule
-    const isAlreadySubmodule = await gitHelpers.isSubmodule(folderPath) || 
-                               await gitHelpers.isRegisteredSubmodule(folderPath);
-    if (isAlreadySubmodule) {
-      spinner.succeed(`${folderName} is already a submodule, skipping...`);
-      return { folderName, success: true, skipped: true };
+  if (await isFolderEmpty(folderPath)) return 'empty';
+  if (!(await hasGitRepo(folderPath))) return 'no-git';
+  return (await getRemoteUrl(folderPath)) ? 'existing-remote' : 'no-remote';
+}
+
+async function runStep(step, entry, serviceConfig, journal) {
+  const folderPath = entry.path;
+  
+  switch (step) {
+    case 'backup': {
+      if (entry.kind === 'no-remote' || entry.kind === 'existing-remote') {
+        const { stdout: head } = await execa('git', ['rev-parse', 'HEAD'], { cwd: folderPath });
+        entry.head = head.trim();
+        entry.branch = await gitHelpers.getCurrentBranch(folderPath);
+      }
+      if (entry.kind === 'existing-remote') {
+        entry.repo = { name: null, url: await getRemoteUrl(folderPath) };
+      }
+      if (entry.kind === 'no-remote' || entry.kind === 'existing-remote') {
+        const work = await findLocalOnlyWork(entry);
+        if (work.length > 0) {
+          throw new Error(`${folderPath} has work that exists only in its own repository (${work.join(', ')}); push, apply or drop it first`);
+        }
+      }
+      await backupService(entry);
+      break;
     }
     
-    spinner.text = `Analyzing folder: ${folderName}`;
+    case 'create-repo': {
+      const { name, url } = await createServiceRepo(serviceConfig, entry, journal);
+      entry.repo = { name, url };
+      break;
+    }
     
-    // Check if folder is empty
-    const isEmpty = await isFolderEmpty(folderPath);
+    case 'publish': {
+      // Start from the folder as it was, in case an interrupted run got halfway
+      if (entry.kind === 'no-remote') {
+        await dryRun.exec('git', ['remote', 'remove', 'origin'], { cwd: folderPath }).catch(() => {});
+        // An existing main is kept as it is; otherwise the checked-out branch
+        // (or a detached HEAD) becomes main
+        if (!(await hasLocalBranch(folderPath, 'main'))) {
+          const branch = await getCheckedOutBranch(folderPath);
+          await dryRun.exec('git', branch ? ['branch', '-m', branch, 'main'] : ['branch', 'main'], { cwd: folderPath });
+        }
+      } else {
+        await fsHelpers.rm(path.join(folderPath, '.git'));
+        await dryRun.exec('git', ['init', '--quiet'], { cwd: folderPath });
+        await dryRun.exec('git', ['add', '.'], { cwd: folderPath });
+        await dryRun.exec('git', ['commit', '--quiet', '--allow-empty', '-m', 'Initial commit'], { cwd: folderPath });
+        await dryRun.exec('git', ['branch', '-M', 'main'], { cwd: folderPath });
+      }
+      await dryRun.exec('git', ['remote', 'add', 'origin', entry.repo.url], { cwd: folderPath });
+      // Every local branch and tag, so that the backup is not the only copy of any of them
+      await dryRun.exec('git', ['push', '--quiet', '-u', 'origin', '--all'], { cwd: folderPath });
+      await dryRun.exec('git', ['push', '--quiet', 'origin', '--tags'], { cwd: folderPath });
+      const provider = await getProviderForNewRepo(serviceConfig);
+      await provider.setDefaultBranch(entry.repo.name, 'main', serviceConfig.repoNamespace ?? null);
+      if (!dryRun.enabled) {
+        const { stdout: head } = await execa('git', ['rev-parse', 'HEAD'], { cwd: folderPath });
+        entry.head = head.trim();
+        entry.branch = await getCheckedOutBranch(folderPath);
+      }
+      break;
+    }
     
-    if (isEmpty) {
-      spinner.text = `Folder is empty: ${folderName}`;
-      
-      // Remove from git cache and delete folder
+    case 'untrack':
       await gitRmCached(folderPath);
-      await fs.rm(folderPath, { recursive: true, force: true });
-      
-      // Create GitHub repository
-      const repoName = generateRepoName(folderName);
-      const { name: actualRepoName, url: repoUrl } = await createGitHubRepo(repoName);
-      
-      // Add as submodule
-      spinner.text = `Adding submodule: ${folderName}`;
-      await gitHelpers.addSubmodule(repoUrl, folderPath);
+      break;
+    
+    case 'add-submodule':
+      // The backup holds the folder; clear what an interrupted attempt left
+      if (entry.current === step && entry.resumed) {
+        await removeSubmoduleLeftovers(folderPath);
+      } else {
+        await fsHelpers.rm(folderPath);
+      }
+      await gitHelpers.addSubmodule(entry.repo.url, folderPath);
+      break;
+    
+    case 'restore-files':
+      // The clone is on the default branch; go back to what the folder had checked out
+      if (entry.head && !dryRun.enabled) {
+        const checkoutHead = async () => (await execa('git', ['rev-parse', 'HEAD'], { cwd: folderPath })).stdout.trim();
+        if (entry.branch && (await checkoutHead()) !== entry.head) {
+          await execa('git', ['checkout', '--quiet', entry.branch], { cwd: folderPath }).catch(() => {});
+        }
+        if ((await checkoutHead()) !== entry.head) {
+          await execa('git', ['checkout', '--quiet', '--detach', entry.head], { cwd: folderPath }).catch(() => {});
+        }
+        await gitHelpers.add(folderPath);
+      }
+      await restoreWorkingFiles(entry);
+      break;
+    
+    case 'verify': {
+      if (dryRun.enabled) break;
+      const problems = await verifyCheckout(entry);
+      if (problems.length > 0) {
+        throw new Error(`Checkout of ${folderPath} does not match the original folder: ${problems.join('; ')}`);
+      }
+      break;
+    }
+  }
+}
+
+// Run the remaining steps of a conversion, journaling each one. On failure the
+// folder is restored from its backup.
+async function runTransaction(journal, entry, spinner) {
+  const serviceConfig = await getServiceConfig(entry.folder);
+  
+  try {
+    for (const step of STEPS[entry.kind]) {
+      if (entry.steps.includes(step)) continue;
       
-      spinner.succeed(`Successfully processed empty folder: ${folderName} -> ${actualRepoName}`);
-      return { folderName, success: true, repoName: actualRepoName, created: true };
+      spinner.text = `${entry.folder}: ${step}`;
+      entry.current = step;
+      await initJournal.save(journal);
+      await runStep(step, entry, serviceConfig, journal);
+      entry.steps.push(step);
+      entry.current = null;
+      await initJournal.save(journal);
     }
     
-    // Check if has .git folder
-    const hasGit = await hasGitRepo(folderPath);
+    entry.status = 'done';
+    await initJournal.save(journal);
+    return { folderName: entry.folder, success: true, ...describeConversion(entry) };
+  } catch (error) {
+    spinner.fail(`Failed to process: ${entry.folder}`);
+    console.error(`Error: ${error.message}`);
+    entry.error = error.message;
     
-    if (!hasGit) {
-      spinner.text = `No git repository found: ${folderName}`;
-      
-      // Remove from git cache
-      await gitRmCached(folderPath);
-      
-      // Create GitHub repository
-      const repoName = generateRepoName(folderName);
-      const { name: actualRepoName, url: repoUrl } = await createGitHubRepo(repoName);
-      
-      // Initialize git in folder, add files, and push
-      spinner.text = `Initializing git repository: ${folderName}`;
-      await execa('git', ['init'], { cwd: folderPath });
-      await execa('git', ['add', '.'], { cwd: folderPath });
-      await execa('git', ['commit', '-m', 'Initial commit'], { cwd: folderPath });
-      await execa('git', ['branch', '-M', 'main'], { cwd: folderPath });
-      await execa('git', ['remote', 'add', 'origin', repoUrl], { cwd: folderPath });
-      await execa('git', ['push', '-u', 'origin', 'main'], { cwd: folderPath });
-      
-      // Save the folder contents by moving to a temporary location
-      const tempPath = `${folderPath}_temp`;
-      await fs.rename(folderPath, tempPath);
-      
-      // Add as submodule
-      await gitHelpers.addSubmodule(repoUrl, folderPath);
-      
-      // Remove temporary folder
-      await fs.rm(tempPath, { recursive: true, force: true });
-      
-      spinner.succeed(`Successfully processed folder without git: ${folderName} -> ${actualRepoName}`);
-      return { folderName, success: true, repoName: actualRepoName, initialized: true };
+    let restored = true;
+    if (entry.steps.includes('backup')) {
+      restored = await rollbackService(journal, entry);
     } else {
-      spinner.text = `Found git repository: ${folderName}`;
-      
-      // Get remote URL
-      const remoteUrl = await getRemoteUrl(folderPath);
-      
-      if (remoteUrl) {
-        spinner.text = `Using existing remote: ${folderName}`;
-        
-        // Remove from git cache and replace with submodule
-        await gitRmCached(folderPath);
-        
-        // Save the folder contents by moving to a temporary location
-        const tempPath = `${folderPath}_temp`;
-        await fs.rename(folderPath, tempPath);
-        
-        // Add as submodule with existing remote
-        await gitHelpers.addSubmodule(remoteUrl, folderPath);
-        
-        // Remove temporary folder
-        await fs.rm(tempPath, { recursive: true, force: true });
-        
-        spinner.succeed(`Successfully processed folder with existing remote: ${folderName}`);
-        return { folderName, success: true, remoteUrl, existingRemote: true };
-      } else {
-        spinner.text = `No remote found, creating new repository: ${folderName}`;
-        
-        // Create GitHub repository
-        const repoName = generateRepoName(folderName);
-        const { name: actualRepoName, url: repoUrl } = await createGitHubRepo(repoName);
-        
-        // Add remote and push existing history
-        await execa('git', ['remote', 'add', 'origin', repoUrl], { cwd: folderPath });
-        await execa('git', ['branch', '-M', 'main'], { cwd: folderPath });
-        await execa('git', ['push', '-u', 'origin', 'main'], { cwd: folderPath });
-        
-        // Remove from git cache and replace with submodule
-        await gitRmCached(folderPath);
-        
-        // Save the folder contents by moving to a temporary location
-        const tempPath = `${folderPath}_temp`;
-        await fs.rename(folderPath, tempPath);
-        
-        // Add as submodule
-        await gitHelpers.addSubmodule(repoUrl, folderPath);
-        
-        // Remove temporary folder
-        await fs.rm(tempPath, { recursive: true, force: true });
-        
-        spinner.succeed(`Successfully processed folder without remote: ${folderName} -> ${actualRepoName}`);
-        return { folderName, success: true, repoName: actualRepoName, newRepo: true };
-      }
+      // Nothing was changed yet
+      entry.status = 'rolled-back';
+      await initJournal.save(journal);
+    }
+    return { folderName: entry.folder, success: false, error: error.message, restored };
+  }
+}
+
+// Result fields for the summary and structured output
+function describeConversion(entry) {
+  switch (entry.kind) {
+    case 'empty':
+      return { repoName: entry.repo.name, created: true };
+    case 'no-git':
+      return { repoName: entry.repo.name, initialized: true };
+    case 'no-remote':
+      return { repoName: entry.repo.name, newRepo: true };
+    default:
+      return { remoteUrl: entry.repo.url, existingRemote: true };
+  }
+}
+
+// Put a folder back from its backup. Returns true when it was restored.
+async function rollbackService(journal, entry) {
+  const spinner = ora(`Restoring ${entry.path} from backup...`).start();
+  try {
+    await restoreService(entry);
+    entry.status = 'rolled-back';
+    await initJournal.save(journal);
+    spinner.succeed(`Restored ${entry.path}`);
+    if (entry.repo?.name) {
+      log.warning(`Repository ${entry.repo.name} was created and is left in place (${entry.repo.url})`);
     }
+    return true;
+  } catch (error) {
+    entry.status = 'failed';
+    await initJournal.save(journal);
+    spinner.fail(`Could not restore ${entry.path}: ${error.message}`);
+    log.info(`The backup is kept; retry with ${colors.info('npm run init -- --rollback')}`);
+    return false;
+  }
+}
+
+// Process a single service folder
+async function processServiceFolder(journal, folderName) {
+  const serviceConfig = await getServiceConfig(folderName);
+  const folderPath = serviceConfig.path;
+  const spinner = ora(`Processing: ${folderName}`).start();
+  
+  let kind;
+  try {
+    kind = await classifyFolder(folderPath);
   } catch (error) {
     spinner.fail(`Failed to process: ${folderName}`);
     console.error(`Error: ${error.message}`);
     return { folderName, success: false, error: error.message };
   }
+  
+  if (!kind) {
+    spinner.succeed(`${folderName} is already a submodule, skipping...`);
+    return { folderName, success: true, skipped: true };
+  }
+  
+  const entry = { folder: folderName, path: folderPath, kind, status: 'in-progress', current: null, steps: [], plannedRepo: null, repo: null, head: null, branch: null, error: null };
+  journal.services = journal.services.filter(item => item.folder !== folderName).concat(entry);
+  
+  const result = await runTransaction(journal, entry, spinner);
+  if (result.success) {
+    spinner.succeed(`Successfully processed ${folderName}${result.repoName ? ` -> ${result.repoName}` : ''}`);
+  }
+  return result;
+}
+
+// Name the action taken for a processed folder (for structured output)
+function getResultAction(result) {
+  if (!result.success) return 'failed';
+  if (result.skipped) return 'skipped';
+  if (result.created) return 'created';
+  if (result.initialized) return 'initialized';
+  if (result.existingRemote) return 'existing-remote';
+  if (result.newRepo) return 'new-repo';
+  return null;
+}
+
+// Finish the conversions an interrupted run left in progress
+async function resumeInit(journal) {
+  log.section('Resuming Interrupted Init');
+  log.info(`Started ${journal.startedAt}`);
+  
+  const results = [];
+  for (const entry of journal.services) {
+    if (entry.status === 'failed') {
+      log.warning(`${entry.path} could not be restored earlier; run ${colors.info('npm run init -- --rollback')} first`);
+      results.push({ folderName: entry.folder, success: false, error: entry.error });
+    } else if (entry.status === 'in-progress') {
+      const spinner = ora(`Resuming: ${entry.folder}`).start();
+      entry.resumed = true;
+      const result = await runTransaction(journal, entry, spinner);
+      if (result.success) {
+        spinner.succeed(`Successfully processed ${entry.folder}${result.repoName ? ` -> ${result.repoName}` : ''}`);
+      }
+      results.push(result);
+    }
+  }
+  
+  if (results.length === 0) {
+    log.info('No conversions were left in progress');
+  }
+  return results;
+}
+
+// Undo every conversion of an interrupted run, newest first
+async function rollbackInit() {
+  const journal = await initJournal.load();
+  if (!journal) {
+    log.info('No interrupted init to roll back');
+    return true;
+  }
+  
+  log.section('Rolling Back Interrupted Init');
+  log.info(`Started ${journal.startedAt}`);
+  
+  let success = true;
+  for (const entry of [...journal.services].reverse()) {
+    if (entry.status === 'rolled-back') continue;
+    
+    if (!entry.steps.includes('backup')) {
+      entry.status = 'rolled-back';
+      continue;
+    }
+    
+    const restored = await rollbackService(journal, entry);
+    output.emit({ name: entry.path, path: entry.path, action: 'rolled-back', success: restored });
+    success = restored && success;
+  }
+  
+  if (success) {
+    await initJournal.clear();
+    log.success('All folders restored');
+  }
+  output.summary({ success });
+  return success;
 }
 
-async function initSubmodules() {
+// options.resume: finish an interrupted run first
+// options.rollback: undo an interrupted run instead
+async function initSubmodules(options = {}) {
   console.log(colors.bold(`${icons.rocket} Initializing Git Submodules for AI Startup Methodology Coach`));
   console.log('='.repeat(60));
   
-  // Check if we're in the root directory
-  if (!(await checkProjectRoot())) {
-    log.error('Please run this script from the project root directory');
+  // Work from the superproject root, wherever we were started
+  try {
+    await enterProjectRoot();
+  } catch {
+    log.error('This is not a git repository. Please initialize git first.');
     process.exit(1);
   }
   
-  // Check if it's a git repository
-  if (!(await gitHelpers.isGitRepo())) {
-    log.error('This is not a git repository. Please initialize git first.');
+  const config = await getConfig();
+  
+  if (!(await checkProjectRoot())) {
+    log.error(`README.md and ./${config.servicesDir}/ not found in ${process.cwd()}`);
     process.exit(1);
   }
   
-  // Check if GitHub CLI is installed and authenticated
-  if (!(await githubHelpers.isGhInstalled())) {
-    log.error('GitHub CLI (gh) is not installed. Please install it first.');
-    log.info('Visit: https://cli.github.com/');
-    process.exit(1);
+  if (options.rollback) {
+    return rollbackInit();
   }
   
-  if (!(await githubHelpers.isAuthenticated())) {
-    log.error('GitHub CLI is not authenticated. Please run: gh auth login');
+  let journal = await initJournal.load();
+  if (journal && !options.resume) {
+    log.error(`A previous init (started ${journal.startedAt}) did not finish`);
+    log.info(`Finish it with ${colors.info('npm run init -- --resume')} or undo it with ${colors.info('npm run init -- --rollback')}`);
+    return false;
+  }
+  if (!journal && options.resume) {
+    log.info('No interrupted init found, running a full init');
+  }
+  
+  // Check that repositories can be created on the hosting provider
+  if (!(await ensureProviderAccess(await getProviderForNewRepo(config)))) {
     process.exit(1);
   }
   
   // Create services directory if it doesn't exist
   try {
-    await fs.mkdir('services', { recursive: true });
+    await fsHelpers.mkdir(config.servicesDir);
   } catch (error) {
     // Directory might already exist
   }
   
+  const results = journal ? await resumeInit(journal) : [];
+  journal ??= initJournal.create();
+  
   // Get list of service folders
   log.section('Discovering Service Folders');
-  const serviceFolders = await getServiceFolders();
+  const serviceFolders = (await getServiceFolders())
+    .filter(folderName => !results.some(result => result.folderName === folderName));
   
-  if (serviceFolders.length === 0) {
-    log.warning('No service folders found in ./services/');
-    log.info('Create some folders in ./services/ and run this script again.');
-    return;
+  if (serviceFolders.length === 0 && results.length === 0) {
+    log.warning(`No service folders found in ./${config.servicesDir}/`);
+    log.info(`Create some folders in ./${config.servicesDir}/ and run this script again.`);
+    return true;
   }
   
   log.info(`Found ${serviceFolders.length} service folders: ${serviceFolders.join(', ')}`);
@@ -298,9 +536,8 @@ async function initSubmodules() {
   // Process each service folder
   log.section('Processing Service Folders');
   
-  const results = [];
   for (const folderName of serviceFolders) {
-    const result = await processServiceFolder(folderName);
+    const result = await processServiceFolder(journal, folderName);
     results.push(result);
   }
   
@@ -318,12 +555,11 @@ async function initSubmodules() {
     console.error(error.message);
   }
   
-  // Create .gitmodules backup
-  try {
-    await fs.copyFile('.gitmodules', '.gitmodules.backup');
-    log.info('Created backup of .gitmodules');
-  } catch (error) {
-    log.warning('Could not create .gitmodules backup');
+  // Backups are only needed until every conversion is either done or undone
+  if (journal.services.every(entry => entry.status === 'done' || entry.status === 'rolled-back')) {
+    await initJournal.clear();
+  } else {
+    log.warning(`Some folders could not be restored; their backups are kept in ${colors.info('.git/submodule-cli/init')}`);
   }
   
   // Show summary
@@ -349,19 +585,42 @@ async function initSubmodules() {
       
       log.item(status);
     } else {
-      log.item(colors.error(`${icons.cross} ${result.folderName} (failed: ${result.error})`));
+      const restored = result.restored ? ', folder restored' : '';
+      log.item(colors.error(`${icons.cross} ${result.folderName} (failed: ${result.error}${restored})`));
     }
+    
+    const folderPath = path.join(config.servicesDir, result.folderName);
+    const state = await getSubmoduleState({ name: folderPath, path: folderPath });
+    output.emit({
+      ...state,
+      action: getResultAction(result),
+      repo: result.repoName ?? result.remoteUrl ?? null,
+      success: result.success,
+      restored: result.restored ?? null,
+      error: result.error ?? null,
+    });
   }
+  output.summary({ success: results.every(result => result.success) });
   
   log.section('Next Steps');
   log.item(`Run: ${colors.info('npm run sync')} to sync all submodules`);
   log.item(`Run: ${colors.info('npm run new-feature <service> <feature>')} to start working on a feature`);
   log.item(`Check the documentation: ${colors.info('docs/GIT_SUBMODULE_WORKFLOW.md')}`);
+  
+  return results.every(result => result.success);
 }
 
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  initSubmodules().catch(error => {
+  const args = process.argv.slice(2);
+  if (args.includes('--dry-run')) {
+    dryRun.enable();
+  }
+  output.configure(parseFormatArgs(args), 'init');
+  
+  initSubmodules({ resume: args.includes('--resume'), rollback: args.includes('--rollback') }).then(success => {
+    if (!success) process.exit(1);
+  }).catch(error => {
     log.error(`Unexpected error: ${error.message}`);
     process.exit(1);
   });
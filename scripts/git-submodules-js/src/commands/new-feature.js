@@ -3,17 +3,24 @@
 import fs from 'fs/promises';
 import path from 'path';
 import ora from 'ora';
-import inquirer from 'inquirer';
+import { prompt, configurePrompts, parsePromptArgs } from '../utils/prompt.js';
 import { log, colors, icons } from '../utils/colors.js';
 import { gitHelpers } from '../utils/git.js';
+import { dryRun } from '../utils/dry-run.js';
+import { output, parseFormatArgs } from '../utils/output.js';
+import { exitCodeFor } from '../utils/exit-codes.js';
+import { getConfig, getServiceConfig } from '../utils/config.js';
+import { enterProjectRoot, inferCurrentService } from '../utils/project.js';
+import { featureManifest } from '../utils/feature-manifest.js';
 
 async function getAvailableServices() {
+  const { servicesDir } = await getConfig();
   try {
-    const servicesDir = await fs.readdir('services');
+    const entries = await fs.readdir(servicesDir);
     const services = [];
     
-    for (const service of servicesDir) {
-      const servicePath = path.join('services', service);
+    for (const service of entries) {
+      const servicePath = path.join(servicesDir, service);
       const isSubmodule = await gitHelpers.isSubmodule(servicePath);
       if (isSubmodule) {
         services.push(service);
@@ -26,10 +33,13 @@ async function getAvailableServices() {
   }
 }
 
+// Create (or switch to) the feature branch in one service, starting from its
+// up-to-date default branch. Returns the branch info, or null on failure.
 async function createFeatureBranch(serviceName, featureName) {
-  const servicePath = path.join('services', serviceName);
+  const serviceConfig = await getServiceConfig(serviceName);
+  const servicePath = serviceConfig.path;
   
-  log.section('Creating New Feature Branch');
+  log.section(`Creating Feature Branch in ${serviceName}`);
   log.item(`Service: ${colors.info(serviceName)}`);
   log.item(`Feature: ${colors.info(featureName)}`);
   log.item(`Path: ${servicePath}`);
@@ -47,14 +57,14 @@ async function createFeatureBranch(serviceName, featureName) {
         log.item(service);
       }
     }
-    return false;
+    return null;
   }
   
   // Check if it's a valid git repository
   if (!(await gitHelpers.isGitRepo(servicePath))) {
     log.error(`'${serviceName}' is not a git repository`);
     log.info('Make sure it\'s properly initialized as a submodule');
-    return false;
+    return null;
   }
   
   // Check current status
@@ -67,22 +77,22 @@ async function createFeatureBranch(serviceName, featureName) {
     log.error('Please commit or stash your changes first');
     
     try {
-      const status = await gitHelpers.git.status(['--short'], { cwd: servicePath });
+      const status = await gitHelpers.getShortStatus(servicePath);
       console.log(status);
     } catch {
       // Ignore status error
     }
     
-    return false;
+    return null;
   }
   
-  // Get current and default branches
+  // Get current and base branches (the branch tracked in .gitmodules, else the default)
   const currentBranch = await gitHelpers.getCurrentBranch(servicePath);
-  const defaultBranch = await gitHelpers.getDefaultBranch(servicePath);
+  const defaultBranch = await gitHelpers.getBaseBranch(servicePath);
   
   spinner.succeed('Status check complete');
   log.item(`Current branch: ${currentBranch}`);
-  log.item(`Default branch: ${defaultBranch}`);
+  log.item(`Base branch: ${defaultBranch}`);
   
   // Fetch latest changes
   spinner = ora('Fetching latest changes...').start();
@@ -91,10 +101,10 @@ async function createFeatureBranch(serviceName, featureName) {
     spinner.succeed('Fetched latest changes');
   } catch (error) {
     spinner.fail('Failed to fetch changes');
-    return false;
+    return null;
   }
   
-  // Switch to default branch if not already there
+  // Switch to the base branch if not already there
   if (currentBranch !== defaultBranch) {
     spinner = ora(`Switching to ${defaultBranch}...`).start();
     try {
@@ -102,7 +112,7 @@ async function createFeatureBranch(serviceName, featureName) {
       spinner.succeed(`Switched to ${defaultBranch}`);
     } catch (error) {
       spinner.fail(`Failed to switch to ${defaultBranch}`);
-      return false;
+      return null;
     }
   }
   
@@ -113,11 +123,11 @@ async function createFeatureBranch(serviceName, featureName) {
     spinner.succeed('Pulled latest changes');
   } catch (error) {
     spinner.fail('Failed to pull latest changes');
-    return false;
+    return null;
   }
   
   // Create feature branch name with proper formatting
-  const featureBranch = `feature/${featureName}`;
+  const featureBranch = `${serviceConfig.featurePrefix}${featureName}`;
   
   // Check if feature branch already exists
   const branchExists = await gitHelpers.branchExists(featureBranch, servicePath);
@@ -126,12 +136,13 @@ async function createFeatureBranch(serviceName, featureName) {
   if (branchExists) {
     log.warning(`Feature branch '${featureBranch}' already exists locally`);
     
-    const { switchToBranch } = await inquirer.prompt([
+    const { switchToBranch } = await prompt([
       {
         type: 'confirm',
         name: 'switchToBranch',
         message: 'Do you want to switch to it?',
         default: false,
+        flag: '--yes',
       },
     ]);
     
@@ -141,22 +152,22 @@ async function createFeatureBranch(serviceName, featureName) {
         log.success(`Switched to existing branch: ${featureBranch}`);
       } catch (error) {
         log.error(`Failed to switch to ${featureBranch}`);
-        return false;
+        return null;
       }
     } else {
       log.info('Staying on current branch');
-      return false;
+      return null;
     }
   } else if (remoteBranchExists) {
     log.warning(`Feature branch '${featureBranch}' exists on remote`);
     
     spinner = ora('Checking out remote branch...').start();
     try {
-      await gitHelpers.git.checkoutBranch(featureBranch, `origin/${featureBranch}`, { cwd: servicePath });
+      await gitHelpers.checkoutRemoteBranch(featureBranch, servicePath);
       spinner.succeed(`Checked out remote branch: ${featureBranch}`);
     } catch (error) {
       spinner.fail('Failed to checkout remote branch');
-      return false;
+      return null;
     }
   } else {
     // Create new feature branch
@@ -166,59 +177,211 @@ async function createFeatureBranch(serviceName, featureName) {
       spinner.succeed(`Created and switched to: ${featureBranch}`);
     } catch (error) {
       spinner.fail('Failed to create feature branch');
-      return false;
+      return null;
     }
   }
   
-  // Success message and next steps
-  log.success('🎉 Feature branch setup complete!');
+  return {
+    service: serviceName,
+    path: servicePath,
+    branch: featureBranch,
+    head: await gitHelpers.getHeadSha(servicePath),
+  };
+}
+
+// Create (or switch to) the feature branch in the parent repo from its current HEAD
+export async function createParentFeatureBranch(featureName) {
+  const config = await getConfig();
+  const featureBranch = `${config.featurePrefix}${featureName}`;
+  
+  log.section('Creating Feature Branch in parent repo');
+  
+  const currentBranch = await gitHelpers.getCurrentBranch();
+  if (currentBranch === featureBranch) {
+    log.success(`Already on ${featureBranch}`);
+    return featureBranch;
+  }
+  
+  const defaultBranch = await gitHelpers.getDefaultBranch();
+  if (currentBranch !== defaultBranch) {
+    log.warning(`Parent repo is on ${currentBranch || 'a detached HEAD'}, not ${defaultBranch}; branching from here`);
+  }
+  
+  const spinner = ora(`Switching parent repo to ${featureBranch}...`).start();
+  try {
+    if (await gitHelpers.branchExists(featureBranch)) {
+      await gitHelpers.checkout(featureBranch);
+    } else if (await gitHelpers.remoteBranchExists(featureBranch)) {
+      await gitHelpers.checkoutRemoteBranch(featureBranch);
+    } else {
+      await gitHelpers.createBranch(featureBranch);
+    }
+    spinner.succeed(`Parent repo on ${featureBranch}`);
+    return featureBranch;
+  } catch (error) {
+    spinner.fail(`Failed to switch parent repo to ${featureBranch}: ${error.message}`);
+    return null;
+  }
+}
+
+// Write the feature-to-services mapping and commit it on the parent branch
+async function recordFeature(featureName, parentBranch, results) {
+  const existing = await featureManifest.get(featureName);
+  const entry = await featureManifest.save(featureName, {
+    branch: parentBranch,
+    createdAt: existing?.createdAt ?? new Date().toISOString(),
+    services: Object.fromEntries(results.map(result => [result.service, { path: result.path, branch: result.branch }])),
+  });
   
+  const manifestPath = await featureManifest.getPath();
+  const spinner = ora(`Recording feature in ${manifestPath}...`).start();
+  try {
+    await gitHelpers.add(manifestPath);
+    if (dryRun.enabled || (await gitHelpers.diff(['--cached', '--name-only', '--', manifestPath])).trim()) {
+      await gitHelpers.commit(`chore(${featureName}): track feature services`, '.', [manifestPath]);
+    }
+    spinner.succeed(`Recorded ${Object.keys(entry.services).length} service(s) in ${manifestPath}`);
+    return entry;
+  } catch (error) {
+    spinner.fail(`Failed to commit ${manifestPath}: ${error.message}`);
+    return null;
+  }
+}
+
+// Ask which services the feature touches
+async function promptForServices(availableServices) {
+  const currentService = await inferCurrentService();
+  const { services } = await prompt([
+    {
+      type: 'checkbox',
+      name: 'services',
+      message: 'Which services does this feature touch?',
+      choices: availableServices.map(service => ({ name: service, checked: service === currentService })),
+      validate: selected => selected.length > 0 || 'Select at least one service',
+      flag: '--services <list>',
+    },
+  ]);
+  return services;
+}
+
+function printNextSteps(featureName, results) {
   log.section("What's next:");
-  log.item(`Make your changes in: ${colors.info(servicePath)}`);
-  log.item(`Commit your changes: ${colors.dim(`cd ${servicePath} && git add . && git commit -m "feat: your changes"`)}`);
-  log.item(`Push feature branch: ${colors.dim(`cd ${servicePath} && git push -u origin ${featureBranch}`)}`);
-  log.item(`Create PR: ${colors.info(`npm run create-pr ${serviceName}`)}`);
-  log.item(`After PR merge: ${colors.info(`npm run parent-pr`)}`);
+  for (const result of results) {
+    log.item(`${colors.info(result.service)}: commit in ${result.path}, then ${colors.info(`npm run create-pr ${result.service}`)}`);
+  }
+  log.item(`After the service PRs merge: ${colors.info(`npm run parent-pr ${featureName}`)}`);
   
   log.section('Helpful commands:');
-  log.item(`Check status: ${colors.dim(`cd ${servicePath} && git status`)}`);
-  log.item(`List branches: ${colors.dim(`cd ${servicePath} && git branch -a`)}`);
-  log.item(`Switch branches: ${colors.dim(`cd ${servicePath} && git checkout <branch-name>`)}`);
-  
-  return true;
+  log.item(`Check status: ${colors.dim('node src/index.js status')}`);
+  log.item(`Push a service branch: ${colors.dim(`cd <service path> && git push -u origin <branch>`)}`);
 }
 
-async function newFeature(serviceName, featureName) {
+// Start a feature: branch every selected service and the parent repo, and
+// record which services belong to the feature.
+// options.services: list of service folder names (prompted when missing)
+// options.parent: also branch the parent repo and update the manifest (default true)
+async function newFeature(featureName, options = {}) {
+  await enterProjectRoot();
+  const { parent = true } = options;
+  
+  const availableServices = await getAvailableServices();
+  
   // Validate arguments
-  if (!serviceName || !featureName) {
+  if (!featureName) {
     log.error('Invalid arguments');
-    console.log('Usage: npm run new-feature <service-name> <feature-name>');
-    console.log('');
-    
-    const availableServices = await getAvailableServices();
-    if (availableServices.length > 0) {
-      log.info('Available services:');
-      for (const service of availableServices) {
-        log.item(service);
-      }
+    console.log('Usage: npm run new-feature <feature-name> [--services a,b,c]');
+    return false;
+  }
+  
+  if (availableServices.length === 0) {
+    log.warning('No initialized services found');
+    return false;
+  }
+  
+  let services = options.services?.filter(Boolean);
+  if (!services || services.length === 0) {
+    services = await promptForServices(availableServices);
+  }
+  
+  const unknown = services.filter(service => !availableServices.includes(service));
+  if (unknown.length > 0) {
+    log.error(`Unknown service(s): ${unknown.join(', ')}`);
+    log.info('Available services:');
+    for (const service of availableServices) {
+      log.item(service);
+    }
+    return false;
+  }
+  
+  log.section(`Starting feature: ${featureName}`);
+  log.item(`Services: ${services.map(service => colors.info(service)).join(', ')}`);
+  
+  const results = [];
+  const failed = [];
+  for (const service of services) {
+    const result = await createFeatureBranch(service, featureName);
+    if (result) {
+      results.push(result);
+      output.emit({ ...result, success: true });
     } else {
-      log.warning('No services directory found');
+      failed.push(service);
+      output.emit({ service, success: false });
+    }
+  }
+  
+  let parentBranch = null;
+  let manifest = null;
+  if (parent && failed.length === 0) {
+    parentBranch = await createParentFeatureBranch(featureName);
+    if (parentBranch) {
+      manifest = await recordFeature(featureName, parentBranch, results);
+    }
+  }
+  
+  output.summary({ feature: featureName, parentBranch, services: results, failed });
+  
+  if (failed.length > 0) {
+    log.error(`Could not create the feature branch in: ${failed.join(', ')}`);
+    if (parent) {
+      log.info('Parent branch and feature manifest were not updated; fix the above and re-run');
     }
     return false;
   }
   
-  return await createFeatureBranch(serviceName, featureName);
+  if (parent && !manifest) {
+    return false;
+  }
+  
+  log.success('🎉 Feature branch setup complete!');
+  printNextSteps(featureName, results);
+  return true;
 }
 
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   const args = process.argv.slice(2);
-  const [serviceName, featureName] = args;
+  const servicesIndex = args.indexOf('--services');
+  const servicesArg = args.find(arg => arg.startsWith('--services='))?.split('=')[1]
+    ?? (servicesIndex !== -1 ? args[servicesIndex + 1] : undefined);
+  const positional = args.filter((arg, index) => !arg.startsWith('--') && (servicesIndex === -1 || index !== servicesIndex + 1));
+  
+  if (args.includes('--dry-run')) {
+    dryRun.enable();
+  }
+  output.configure(parseFormatArgs(args), 'new-feature');
+  configurePrompts(parsePromptArgs(args));
+  
+  // Legacy form: new-feature <service> <feature> only branches that service
+  const run = positional.length >= 2
+    ? newFeature(positional[1], { services: [positional[0]], parent: false })
+    : newFeature(positional[0], { services: servicesArg?.split(',') });
   
-  newFeature(serviceName, featureName).catch(error => {
+  run.then(success => {
+    if (!success) process.exit(1);
+  }).catch(error => {
     log.error(`Unexpected error: ${error.message}`);
-    process.exit(1);
+    process.exit(exitCodeFor(error));
   });
 }
 
-export default newFeature;
\ No newline at end of file
+export default newFeature;
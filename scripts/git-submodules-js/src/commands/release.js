@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+
+import path from 'path';
+import ora from 'ora';
+import { execa } from 'execa';
+import { log, colors } from '../utils/colors.js';
+import { gitHelpers } from '../utils/git.js';
+import { dryRun } from '../utils/dry-run.js';
+import { output, parseFormatArgs } from '../utils/output.js';
+import { exitCodeFor } from '../utils/exit-codes.js';
+import { enterProjectRoot } from '../utils/project.js';
+import { releaseManifest } from '../utils/release-manifest.js';
+import { findUnpushedGitlinks, reportUnpushedGitlinks } from '../utils/gitlink-guard.js';
+import { collectGitlinkChangelog, renderGitlinkChangelog } from '../utils/gitlink-changelog.js';
+
+// Versions double as tag names and manifest file names
+const VERSION = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+async function isValidVersion(version) {
+  if (!VERSION.test(version)) return false;
+  try {
+    await execa('git', ['check-ref-format', `refs/tags/${version}`]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Commit a tag points at locally, or null
+async function localTag(tag, dir = '.') {
+  try {
+    const { stdout } = await execa('git', ['rev-parse', '--verify', '--quiet', `refs/tags/${tag}^{commit}`], { cwd: dir });
+    return stdout.trim();
+  } catch {
+    return null;
+  }
+}
+
+// Commit a tag points at on origin, or null. Annotated tags are peeled.
+async function remoteTag(tag, dir = '.') {
+  try {
+    const { stdout } = await execa('git', ['ls-remote', 'origin', `refs/tags/${tag}`, `refs/tags/${tag}^{}`], { cwd: dir });
+    const refs = Object.fromEntries(stdout.split('\n').filter(Boolean).map(line => line.split('\t').reverse()));
+    return refs[`refs/tags/${tag}^{}`] ?? refs[`refs/tags/${tag}`] ?? null;
+  } catch {
+    return null;
+  }
+}
+
+// Check that a service can be released at the commit the parent records.
+// Returns { service, path, url, sha, problems }.
+async function inspectService(submodule, tag) {
+  const sha = await gitHelpers.getRecordedSha(submodule.path);
+  const item = { service: path.posix.basename(submodule.path), path: submodule.path, url: submodule.url, sha, problems: [] };
+
+  if (!sha) {
+    item.problems.push('no gitlink recorded in HEAD');
+    return item;
+  }
+  if (!(await gitHelpers.isSubmodule(submodule.path))) {
+    item.problems.push('not checked out (run init)');
+    return item;
+  }
+
+  if (await gitHelpers.hasUncommittedChanges(submodule.path)) {
+    item.problems.push('uncommitted changes');
+  }
+  const { stdout: head } = await execa('git', ['rev-parse', 'HEAD'], { cwd: submodule.path });
+  if (head.trim() !== sha) {
+    item.problems.push(`checked out at ${head.trim().slice(0, 7)}, the parent records ${sha.slice(0, 7)}`);
+  }
+
+  // A tag left by an interrupted cut is reused; one elsewhere is a conflict
+  for (const tagged of [await localTag(tag, submodule.path), await remoteTag(tag, submodule.path)]) {
+    if (tagged && tagged !== sha) {
+      item.problems.push(`tag ${tag} already points at ${tagged.slice(0, 7)}`);
+      break;
+    }
+  }
+
+  return item;
+}
+
+async function tagService(item, version) {
+  if (!(await localTag(version, item.path))) {
+    await dryRun.exec('git', ['tag', '-a', version, '-m', `Release ${version}`, item.sha], { cwd: item.path });
+  }
+  if (!(await remoteTag(version, item.path))) {
+    await dryRun.exec('git', ['push', '--quiet', 'origin', `refs/tags/${version}`], { cwd: item.path });
+  }
+}
+
+async function originUrl() {
+  try {
+    const { stdout } = await execa('git', ['config', '--get', 'remote.origin.url']);
+    return stdout.trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+const summarizePR = pr => ({ number: pr.number, title: pr.title, url: pr.url });
+
+// Tag every service at its recorded commit and the parent with `version`,
+// recording the release in <releasesDir>/<version>.json
+export async function releaseCut(version) {
+  await enterProjectRoot();
+
+  if (!(await isValidVersion(version))) {
+    log.error(`Invalid version '${version}': use letters, digits, ".", "_" and "-", e.g. 1.4.0`);
+    return false;
+  }
+
+  const manifestFile = await releaseManifest.getPath(version);
+  if (await releaseManifest.get(version)) {
+    log.error(`Release ${version} already exists (${manifestFile})`);
+    return false;
+  }
+  if (await localTag(version) || await remoteTag(version)) {
+    log.error(`The parent already has a tag ${version}`);
+    return false;
+  }
+
+  const submodules = (await gitHelpers.getSubmodules()).filter(submodule => submodule.path);
+  if (submodules.length === 0) {
+    log.error('No submodules to release');
+    return false;
+  }
+
+  log.section(`Cutting Release ${version}`);
+
+  const spinner = ora('Checking services...').start();
+  const items = [];
+  for (const submodule of submodules) {
+    items.push(await inspectService(submodule, version));
+  }
+  const dirty = items.filter(item => item.problems.length > 0);
+  const unpushed = dirty.length > 0 ? [] : await findUnpushedGitlinks(items.map(item => ({ path: item.path, newSha: item.sha })));
+  const parentDirty = dirty.length === 0 && await gitHelpers.hasUncommittedChanges('.');
+  spinner.stop();
+
+  if (dirty.length > 0) {
+    log.error('These services cannot be released as they are:');
+    for (const item of dirty) {
+      console.log(colors.bold(`  ${item.path}`));
+      item.problems.forEach(problem => log.item(colors.error(problem)));
+    }
+    return false;
+  }
+  if (unpushed.length > 0) {
+    reportUnpushedGitlinks(unpushed);
+    log.info('Push them first: a release must only reference commits on origin');
+    return false;
+  }
+  if (parentDirty) {
+    log.error('The parent repository has uncommitted changes; commit or stash them first');
+    return false;
+  }
+
+  const previous = (await releaseManifest.list()).filter(release => release.version !== version).pop() ?? null;
+
+  // PRs merged since the previous release, by the commits between its shas and ours
+  const changes = items.map(item => ({
+    path: item.path,
+    oldSha: previous?.services?.find(entry => entry.path === item.path)?.sha ?? null,
+    newSha: item.sha,
+  }));
+  const changelog = await collectGitlinkChangelog(changes);
+
+  log.info(`Tagging ${items.length} service(s)...`);
+  for (const item of items) {
+    await tagService(item, version);
+  }
+
+  const manifest = {
+    version,
+    createdAt: new Date().toISOString(),
+    previous: previous?.version ?? null,
+    parent: { url: await originUrl(), tag: version },
+    services: items.map((item, index) => ({
+      service: item.service,
+      path: item.path,
+      url: item.url,
+      sha: item.sha,
+      tag: version,
+      pullRequests: changelog[index].pullRequests.map(summarizePR),
+    })),
+  };
+
+  await releaseManifest.save(manifest);
+  await gitHelpers.add(manifestFile);
+  await gitHelpers.commit(`chore(release): ${version}`, '.', [manifestFile]);
+  await dryRun.exec('git', ['tag', '-a', version, '-m', `Release ${version}`]);
+  await dryRun.exec('git', ['push', '--quiet', 'origin', `refs/tags/${version}`]);
+
+  console.log(colors.bold(dryRun.enabled ? '\nPlanned Release:' : '\nRelease:'));
+  for (const service of manifest.services) {
+    const prs = service.pullRequests.length > 0 ? colors.dim(` (${service.pullRequests.length} PR(s) since ${manifest.previous})`) : '';
+    log.item(`${service.path} ${colors.dim(service.sha.slice(0, 7))} -> ${service.tag}${prs}`);
+    output.emit({ service: service.service, path: service.path, sha: service.sha, tag: service.tag, pullRequests: service.pullRequests });
+  }
+
+  const branch = await gitHelpers.getCurrentBranch('.');
+  log.success(`Release ${version} tagged${manifest.previous ? ` (previous: ${manifest.previous})` : ''}; manifest ${manifestFile}`);
+  log.info(`Push the release commit with: git push origin ${branch ?? 'HEAD'}`);
+
+  output.summary({ success: true, version, manifest: manifestFile, previous: manifest.previous });
+  return true;
+}
+
+// Pair the services of two releases by path, then by service name
+function pairServices(from, to) {
+  const changes = [];
+  const matched = new Set();
+
+  for (const service of to.services ?? []) {
+    const old = from.services?.find(entry => entry.path === service.path) ??
+      from.services?.find(entry => entry.service === service.service);
+    if (old) matched.add(old);
+
+    if (old && old.path !== service.path) {
+      changes.push({ path: service.path, from: old.path, kind: 'moved', oldSha: old.sha, newSha: service.sha });
+    } else if (!old) {
+      changes.push({ path: service.path, status: 'A', oldSha: null, newSha: service.sha });
+    } else if (old.sha !== service.sha) {
+      changes.push({ path: service.path, status: 'M', oldSha: old.sha, newSha: service.sha });
+    }
+  }
+  for (const old of (from.services ?? []).filter(entry => !matched.has(entry))) {
+    changes.push({ path: old.path, status: 'D', oldSha: old.sha, newSha: null });
+  }
+
+  return changes;
+}
+
+// Per-service changelog between two releases
+export async function releaseDiff(from, to) {
+  await enterProjectRoot();
+
+  const releases = [];
+  for (const version of [from, to]) {
+    const manifest = await releaseManifest.get(version);
+    if (!manifest) {
+      log.error(`No release ${version}: ${await releaseManifest.getPath(version)} not found, nor in tag ${version}`);
+      return false;
+    }
+    releases.push(manifest);
+  }
+
+  const changes = pairServices(...releases);
+  const spinner = ora('Collecting changelogs...').start();
+  const entries = await collectGitlinkChangelog(changes);
+  spinner.stop();
+
+  const unchanged = (releases[1].services ?? []).length - changes.filter(change => change.newSha).length;
+  console.log(`## Changes from ${from} to ${to}\n`);
+  console.log(renderGitlinkChangelog(entries));
+  if (unchanged > 0) {
+    console.log(colors.dim(`\n${unchanged} service(s) unchanged`));
+  }
+
+  for (const entry of entries) {
+    output.emit({
+      service: path.posix.basename(entry.path),
+      path: entry.path,
+      from: entry.oldSha,
+      to: entry.newSha,
+      commits: entry.commits.map(commit => ({ sha: commit.sha, subject: commit.subject })),
+      pullRequests: entry.pullRequests.map(summarizePR),
+    });
+  }
+  output.summary({ success: true, from, to, changed: entries.length, unchanged });
+  return true;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const [action, ...versions] = args.filter(arg => !arg.startsWith('--'));
+
+  if (args.includes('--dry-run')) {
+    dryRun.enable();
+  }
+  output.configure(parseFormatArgs(args), 'release');
+
+  let run;
+  if (action === 'cut' && versions.length === 1) {
+    run = releaseCut(versions[0]);
+  } else if (action === 'diff' && versions.length === 2) {
+    run = releaseDiff(versions[0], versions[1]);
+  } else {
+    log.error('Usage: npm run release -- <cut <version>|diff <from> <to>>');
+    process.exit(1);
+  }
+
+  run.then(success => {
+    if (!success) process.exit(1);
+  }).catch(error => {
+    log.error(`Unexpected error: ${error.message}`);
+    process.exit(exitCodeFor(error));
+  });
+}
@@ -0,0 +1,552 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import ora from 'ora';
+import { execa } from 'execa';
+import { prompt, configurePrompts, parsePromptArgs } from '../utils/prompt.js';
+import { log, colors, icons } from '../utils/colors.js';
+import { gitHelpers } from '../utils/git.js';
+import { dryRun, fsHelpers } from '../utils/dry-run.js';
+import { output, parseFormatArgs } from '../utils/output.js';
+import { exitCodeFor } from '../utils/exit-codes.js';
+import { getConfig, getServiceConfig } from '../utils/config.js';
+import { enterProjectRoot, getInvocationDir } from '../utils/project.js';
+import { featureManifest } from '../utils/feature-manifest.js';
+import { getProviderForNewRepo, ensureProviderAccess } from '../utils/providers/index.js';
+import { removeSubmoduleLeftovers } from '../utils/init-journal.js';
+import { addServiceRow } from '../utils/architecture-doc.js';
+import { readGitmodules, writeGitmodules } from '../utils/gitmodules.js';
+import { templateValues, defaultServiceTitle, renderServiceTemplate } from '../utils/service-template.js';
+
+const SERVICE_NAME = /^[a-z0-9][a-z0-9-]*$/;
+
+async function exists(target) {
+  try {
+    await fs.lstat(target);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Folder name for a service: "payment" -> "payment-service" (repoNameSuffix)
+function serviceFolderName(name, suffix) {
+  return suffix && !name.endsWith(suffix) ? `${name}${suffix}` : name;
+}
+
+// --template is relative to where the CLI was started, serviceTemplate to the
+// project root
+function resolveTemplateDir(option, configured) {
+  if (option) return path.resolve(getInvocationDir(), option);
+  if (configured) return path.resolve(configured);
+  return null;
+}
+
+// Turn the rendered skeleton into a repository and push its main branch
+async function publishService(staging, repo) {
+  await dryRun.exec('git', ['init', '--quiet'], { cwd: staging });
+  await dryRun.exec('git', ['add', '.'], { cwd: staging });
+  await dryRun.exec('git', ['commit', '--quiet', '--allow-empty', '-m', 'Initial commit'], { cwd: staging });
+  await dryRun.exec('git', ['branch', '-M', 'main'], { cwd: staging });
+  await dryRun.exec('git', ['remote', 'add', 'origin', repo.url], { cwd: staging });
+  await dryRun.exec('git', ['push', '--quiet', '-u', 'origin', 'main'], { cwd: staging });
+}
+
+// Scaffold a new service from a template directory, publish it and register
+// it as a submodule. options: template, codename, description, title
+export async function serviceCreate(name, options = {}) {
+  await enterProjectRoot();
+  const config = await getConfig();
+
+  if (!SERVICE_NAME.test(name)) {
+    log.error(`Invalid service name '${name}': use lowercase letters, digits and dashes`);
+    return false;
+  }
+
+  const folderName = serviceFolderName(name, config.repoNameSuffix);
+  const serviceConfig = await getServiceConfig(folderName);
+  const servicePath = serviceConfig.path;
+
+  log.section(`Creating Service ${folderName}`);
+
+  const templateDir = resolveTemplateDir(options.template, config.serviceTemplate);
+  if (!templateDir) {
+    log.error('No template given');
+    log.info(`Pass ${colors.info('--template <dir>')} or set ${colors.info('serviceTemplate')} in the config`);
+    return false;
+  }
+  if (!(await fs.stat(templateDir).then(stat => stat.isDirectory(), () => false))) {
+    log.error(`Template directory not found: ${templateDir}`);
+    return false;
+  }
+
+  if (await exists(servicePath) || await gitHelpers.isRegisteredSubmodule(servicePath)) {
+    log.error(`${servicePath} already exists`);
+    return false;
+  }
+
+  const answers = await prompt([
+    {
+      type: 'input',
+      name: 'codename',
+      message: 'DC Hero codename for the service:',
+      validate: input => input.trim() !== '' || 'A codename is required',
+      answer: options.codename,
+      flag: '--codename',
+    },
+    {
+      type: 'input',
+      name: 'description',
+      message: 'One-line description:',
+      default: '',
+      answer: options.description,
+      flag: '--description',
+    },
+  ]);
+
+  const values = templateValues({
+    name: serviceConfig.repoName,
+    folder: folderName,
+    title: options.title ?? defaultServiceTitle(serviceConfig.repoName),
+    codename: answers.codename.trim(),
+    description: answers.description.trim(),
+  });
+
+  log.item(`Template: ${templateDir}`);
+  log.item(`Path: ${servicePath}`);
+  log.item(`Title: ${values.title} (${values.codename})`);
+
+  const provider = await getProviderForNewRepo(serviceConfig);
+  if (!(await ensureProviderAccess(provider))) {
+    return false;
+  }
+
+  const namespace = serviceConfig.repoNamespace ?? null;
+  if (await provider.repoExists(serviceConfig.repoName, namespace)) {
+    log.error(`Repository ${serviceConfig.repoName} already exists on ${provider.label}`);
+    log.info(`Add it with ${colors.info(`git submodule add <url> ${servicePath}`)} instead`);
+    return false;
+  }
+
+  const staging = dryRun.enabled
+    ? path.join(os.tmpdir(), `submodule-cli-${folderName}`)
+    : await fs.mkdtemp(path.join(os.tmpdir(), `submodule-cli-${folderName}-`));
+  let repo = null;
+  let spinner = null;
+
+  try {
+    spinner = ora('Rendering template...').start();
+    const files = await dryRun.run('fs', `render ${templateDir} into ${staging}`, () => renderServiceTemplate(templateDir, staging, values), []);
+    spinner.succeed(dryRun.enabled ? 'Template would be rendered' : `Rendered ${files.length} files`);
+
+    spinner = ora(`Creating ${provider.label} repository: ${serviceConfig.repoName}`).start();
+    repo = await provider.createRepo(serviceConfig.repoName, { visibility: serviceConfig.repoVisibility, namespace });
+    spinner.succeed(`Created repository: ${repo.name}`);
+
+    spinner = ora('Pushing main...').start();
+    await publishService(staging, repo);
+    spinner.succeed('Pushed main');
+
+    spinner = ora(`Adding submodule ${servicePath}...`).start();
+    try {
+      await gitHelpers.addSubmodule(repo.url, servicePath);
+    } catch (error) {
+      await removeSubmoduleLeftovers(servicePath);
+      throw error;
+    }
+    spinner.succeed(`Added submodule ${servicePath}`);
+    spinner = null;
+  } catch (error) {
+    spinner?.fail(error.message);
+    if (repo) {
+      log.warning(`Repository ${repo.url} was created; delete it or add it by hand with ${colors.info(`git submodule add ${repo.url} ${servicePath}`)}`);
+    }
+    throw error;
+  } finally {
+    if (!dryRun.enabled) {
+      await fs.rm(staging, { recursive: true, force: true });
+    }
+  }
+
+  // The architecture table is documentation; failing to update it does not
+  // undo the service
+  let documented = false;
+  try {
+    documented = await addServiceRow(config.architectureDoc, values);
+    if (documented) {
+      await gitHelpers.add(config.architectureDoc);
+      log.success(`Added ${values.title} to ${config.architectureDoc}`);
+    } else {
+      log.warning(`${config.architectureDoc} has no services table to add ${values.title} to, or already lists it`);
+    }
+  } catch (error) {
+    log.warning(`Could not update ${config.architectureDoc}: ${error.message}`);
+  }
+
+  output.emit({
+    service: folderName,
+    path: servicePath,
+    repo: repo?.url ?? null,
+    template: templateDir,
+    title: values.title,
+    codename: values.codename,
+    documented,
+  });
+  output.summary({ success: true });
+
+  log.section('Next Steps');
+  log.item(`Review the staged changes: ${colors.info('git diff --cached')}`);
+  log.item(`Commit them: ${colors.info(`git commit -m "feat: add ${folderName}"`)}`);
+  log.item(`Start working: ${colors.info(`npm run new-feature <feature> -- --services ${folderName}`)}`);
+
+  log.newline();
+  log.success(`${icons.rocket} ${folderName} is ready`);
+  return true;
+}
+
+// Find a registered submodule by path, folder name or service name
+// ("services/payment-service", "payment-service" or "payment")
+async function findSubmodule(name) {
+  const { repoNameSuffix } = await getConfig();
+  const gitmodules = await readGitmodules();
+  const folders = [name, serviceFolderName(name, repoNameSuffix)];
+
+  return gitmodules.findByPath(name) ??
+    gitmodules.submodules().find(submodule => submodule.path !== null && folders.includes(path.posix.basename(submodule.path))) ??
+    null;
+}
+
+// Work in a submodule checkout that exists nowhere else: uncommitted and
+// untracked files, commits on no remote branch and stashes
+async function findUnpushedWork(submodulePath) {
+  if (!(await exists(path.join(submodulePath, '.git')))) return [];
+
+  const git = async (...args) => (await execa('git', args, { cwd: submodulePath })).stdout;
+  const work = [];
+
+  for (const line of (await git('status', '--porcelain')).split('\n').filter(Boolean)) {
+    work.push(`uncommitted: ${line.trim()}`);
+  }
+  for (const line of (await git('log', '--format=%h %s', 'HEAD', '--branches', '--not', '--remotes')).split('\n').filter(Boolean)) {
+    work.push(`not pushed: ${line}`);
+  }
+  const stashes = await gitHelpers.getStashCount(submodulePath);
+  if (stashes > 0) {
+    work.push(`${stashes} stash ${stashes === 1 ? 'entry' : 'entries'}`);
+  }
+
+  return work;
+}
+
+async function refuseUnpushedWork(submodulePath, action) {
+  const work = await findUnpushedWork(submodulePath);
+  if (work.length === 0) return false;
+
+  log.error(`Cannot ${action} ${submodulePath}: it has work that exists only in this checkout`);
+  for (const item of work) {
+    log.item(item);
+  }
+  log.info('Push, commit or discard it first');
+  return true;
+}
+
+// Stage .gitmodules after a section was removed, deleting it once empty
+async function stageGitmodules(changes) {
+  if ((await readGitmodules()).names().length > 0) {
+    await gitHelpers.add('.gitmodules');
+  } else {
+    await dryRun.exec('git', ['rm', '--quiet', '--force', '--', '.gitmodules']);
+    changes.push({ path: '.gitmodules', change: 'deleted (no submodules left)' });
+  }
+}
+
+// Drop the submodule's section from .git/config and its repository from
+// .git/modules
+async function removeSubmoduleStorage(submodule, changes) {
+  try {
+    await dryRun.exec('git', ['config', '--remove-section', `submodule.${submodule.name}`]);
+    changes.push({ path: '.git/config', change: `removed [submodule "${submodule.name}"]` });
+  } catch {
+    // Never initialized
+  }
+
+  const moduleDir = await gitHelpers.getGitPath(`modules/${submodule.name}`);
+  if (await exists(moduleDir)) {
+    await fsHelpers.rm(moduleDir);
+    changes.push({ path: path.relative(process.cwd(), moduleDir), change: 'deleted' });
+  }
+}
+
+// Things outside git that still name the service by its old folder
+async function warnAboutReferences(folderName) {
+  const { services } = await getConfig();
+  if (services[folderName]) {
+    log.warning(`The config still has overrides under services.${folderName}; update them by hand`);
+  }
+
+  const features = Object.entries(await featureManifest.list())
+    .filter(([, feature]) => feature.services?.[folderName])
+    .map(([name]) => name);
+  if (features.length > 0) {
+    log.warning(`Features ${features.join(', ')} in ${await featureManifest.getPath()} still list ${folderName}`);
+  }
+}
+
+function reportChanges(changes) {
+  log.section(dryRun.enabled ? 'Planned Changes' : 'Changes');
+  for (const { path: changed, change } of changes) {
+    log.item(`${colors.info(changed)}: ${change}`);
+  }
+  log.newline();
+  log.info(`Nothing was committed; review with ${colors.info('git status')} and commit the staged changes`);
+}
+
+// Deregister a submodule. options.keepFiles: keep its files as ordinary
+// tracked files of the parent instead of deleting them.
+export async function serviceRemove(name, options = {}) {
+  await enterProjectRoot();
+
+  const submodule = await findSubmodule(name);
+  if (!submodule?.path) {
+    log.error(`No submodule found for '${name}'`);
+    return false;
+  }
+
+  log.section(`Removing Service ${submodule.path}`);
+  if (await refuseUnpushedWork(submodule.path, 'remove')) {
+    return false;
+  }
+
+  const changes = [];
+
+  if (options.keepFiles) {
+    await dryRun.exec('git', ['rm', '--cached', '--quiet', '--', submodule.path]);
+    await writeGitmodules((await readGitmodules()).remove(submodule.name));
+    changes.push({ path: '.gitmodules', change: `removed [submodule "${submodule.name}"]` });
+    await stageGitmodules(changes);
+
+    await fsHelpers.rm(path.join(submodule.path, '.git'));
+    await removeSubmoduleStorage(submodule, changes);
+
+    await gitHelpers.add(submodule.path);
+    if (dryRun.enabled) {
+      changes.push({ path: submodule.path, change: 'gitlink replaced by its files' });
+    } else {
+      const { stdout } = await execa('git', ['ls-files', '--', submodule.path]);
+      changes.push({ path: submodule.path, change: `gitlink replaced by ${stdout.split('\n').filter(Boolean).length} tracked files` });
+    }
+  } else {
+    // Also removes the section from .gitmodules and stages it
+    await dryRun.exec('git', ['rm', '-r', '--quiet', '--force', '--', submodule.path]);
+    changes.push({ path: submodule.path, change: 'gitlink and checkout removed' });
+    changes.push({ path: '.gitmodules', change: `removed [submodule "${submodule.name}"]` });
+    if (!dryRun.enabled && (await readGitmodules()).names().length === 0) {
+      await stageGitmodules(changes);
+    }
+
+    await removeSubmoduleStorage(submodule, changes);
+    await fsHelpers.rm(submodule.path);
+  }
+
+  const folderName = path.posix.basename(submodule.path);
+  await warnAboutReferences(folderName);
+  reportChanges(changes);
+
+  output.emit({ service: folderName, action: 'remove', path: submodule.path, keepFiles: Boolean(options.keepFiles), changes });
+  output.summary({ success: true });
+  return true;
+}
+
+// Move a submodule to another path. A submodule named after its path (as
+// `git submodule add` and `init` name them) is renamed along with it, so the
+// name, .gitmodules and .git/modules keep matching the path.
+export async function serviceMove(name, newPath) {
+  const root = await enterProjectRoot();
+
+  const submodule = await findSubmodule(name);
+  if (!submodule?.path) {
+    log.error(`No submodule found for '${name}'`);
+    return false;
+  }
+
+  // Paths are taken relative to where the CLI was started, like git's own
+  const target = path.relative(root, path.resolve(getInvocationDir(), newPath)).split(path.sep).join('/');
+  if (!target || target.startsWith('..') || path.isAbsolute(target)) {
+    log.error(`${newPath} is not inside the repository`);
+    return false;
+  }
+  if (await exists(target)) {
+    log.error(`${target} already exists`);
+    return false;
+  }
+
+  // The repository of a renamed submodule moves to .git/modules/<target>
+  const renames = submodule.name === submodule.path;
+  if (renames && await exists(await gitHelpers.getGitPath(`modules/${target}`))) {
+    log.error(`.git/modules/${target} already exists (left by an earlier submodule); remove it first`);
+    return false;
+  }
+
+  log.section(`Moving Service ${submodule.path} to ${target}`);
+  if (await refuseUnpushedWork(submodule.path, 'move')) {
+    return false;
+  }
+
+  const changes = [];
+
+  // git mv moves the checkout and the gitlink, updates the path in
+  // .gitmodules and points the submodule's core.worktree at the new place
+  await fsHelpers.mkdir(path.posix.dirname(target));
+  await dryRun.exec('git', ['mv', '--', submodule.path, target]);
+  changes.push({ path: `${submodule.path} -> ${target}`, change: 'checkout and gitlink moved' });
+  changes.push({ path: '.gitmodules', change: `submodule.${submodule.name}.path = ${target}` });
+
+  if (renames) {
+    await renameSubmodule(submodule.name, target, changes);
+  }
+
+  await warnAboutReferences(path.posix.basename(submodule.path));
+  reportChanges(changes);
+
+  output.emit({ service: path.posix.basename(target), action: 'move', from: submodule.path, path: target, changes });
+  output.summary({ success: true });
+  return true;
+}
+
+// Rename submodule `from` to `to` in .gitmodules, .git/config and .git/modules,
+// and repoint the checkout at its moved repository
+async function renameSubmodule(from, to, changes) {
+  await writeGitmodules((await readGitmodules()).rename(from, to));
+  await gitHelpers.add('.gitmodules');
+  changes.push({ path: '.gitmodules', change: `renamed [submodule "${from}"] to [submodule "${to}"]` });
+
+  try {
+    await dryRun.exec('git', ['config', '--rename-section', `submodule.${from}`, `submodule.${to}`]);
+    changes.push({ path: '.git/config', change: `renamed [submodule "${from}"] to [submodule "${to}"]` });
+  } catch {
+    // Never initialized
+  }
+
+  const oldModuleDir = await gitHelpers.getGitPath(`modules/${from}`);
+  const newModuleDir = await gitHelpers.getGitPath(`modules/${to}`);
+  if (!(await exists(oldModuleDir))) return;
+
+  await fsHelpers.mkdir(path.dirname(newModuleDir));
+  await fsHelpers.rename(oldModuleDir, newModuleDir);
+  changes.push({ path: `${path.relative(process.cwd(), oldModuleDir)} -> ${path.relative(process.cwd(), newModuleDir)}`, change: 'repository moved' });
+
+  const worktree = path.resolve(to);
+  await fsHelpers.writeFile(path.join(to, '.git'), `gitdir: ${path.relative(worktree, newModuleDir)}\n`);
+  await dryRun.exec('git', ['config', '--file', path.join(newModuleDir, 'config'), 'core.worktree', path.relative(newModuleDir, worktree)]);
+  changes.push({ path: path.posix.join(to, '.git'), change: 'points at the moved repository' });
+}
+
+// Set the branch a submodule tracks (submodule.<name>.branch in .gitmodules),
+// or clear it with options.unset. "." follows the parent's current branch.
+export async function serviceSetBranch(name, branch, options = {}) {
+  await enterProjectRoot();
+
+  const submodule = await findSubmodule(name);
+  if (!submodule?.path) {
+    log.error(`No submodule found for '${name}'`);
+    return false;
+  }
+  if (!branch && !options.unset) {
+    log.error('Give a branch to track, or --unset to follow the default branch');
+    return false;
+  }
+  if (branch && branch !== '.') {
+    try {
+      await execa('git', ['check-ref-format', '--branch', branch]);
+    } catch {
+      log.error(`Invalid branch name '${branch}'`);
+      return false;
+    }
+  }
+
+  log.section(`Setting Tracked Branch of ${submodule.path}`);
+
+  const gitmodules = await readGitmodules();
+  if (options.unset) {
+    gitmodules.unset(submodule.name, 'branch');
+  } else {
+    gitmodules.set(submodule.name, 'branch', branch);
+  }
+  await writeGitmodules(gitmodules);
+  await gitHelpers.add('.gitmodules');
+
+  if (branch && branch !== '.' && await gitHelpers.isSubmodule(submodule.path)) {
+    try {
+      await execa('git', ['ls-remote', '--exit-code', '--heads', 'origin', branch], { cwd: submodule.path });
+    } catch {
+      log.warning(`origin has no branch ${branch} yet; sync --remote fails until it is pushed`);
+    }
+  }
+
+  const previous = submodule.branch ? ` (was ${submodule.branch})` : '';
+  reportChanges([{
+    path: '.gitmodules',
+    change: options.unset ? `submodule.${submodule.name}.branch removed${previous}` : `submodule.${submodule.name}.branch = ${branch}${previous}`,
+  }]);
+
+  output.emit({
+    service: path.posix.basename(submodule.path),
+    action: 'set-branch',
+    path: submodule.path,
+    branch: options.unset ? null : branch,
+    previous: submodule.branch,
+  });
+  output.summary({ success: true });
+  return true;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+
+  // Options that take a value, as --option=value or --option value
+  const valueOptions = ['template', 'codename', 'description', 'title'].map(option => `--${option}`);
+  const values = new Set(args.flatMap((arg, index) => valueOptions.includes(arg) ? [index + 1] : []));
+  const valueOf = (option) => {
+    const index = args.indexOf(`--${option}`);
+    if (index !== -1) return args[index + 1];
+    return args.find(arg => arg.startsWith(`--${option}=`))?.split('=').slice(1).join('=');
+  };
+
+  const positional = args.filter((arg, index) => !arg.startsWith('--') && !values.has(index));
+  const [action, name] = positional;
+
+  if (args.includes('--dry-run')) {
+    dryRun.enable();
+  }
+  output.configure(parseFormatArgs(args), 'service');
+  configurePrompts(parsePromptArgs(args));
+
+  let run;
+  if (action === 'remove' && name) {
+    run = serviceRemove(name, { keepFiles: args.includes('--keep-files') });
+  } else if (action === 'set-branch' && name && (positional[2] || args.includes('--unset'))) {
+    run = serviceSetBranch(name, positional[2], { unset: args.includes('--unset') });
+  } else if (action === 'move' && name && positional[2]) {
+    run = serviceMove(name, positional[2]);
+  } else if (action === 'create' && name) {
+    run = serviceCreate(name, {
+      template: valueOf('template'),
+      codename: valueOf('codename'),
+      description: valueOf('description'),
+      title: valueOf('title'),
+    });
+  } else {
+    log.error('Usage: npm run service -- <create|remove|move|set-branch> <name> [<newpath>|<branch>] [--template <dir>] [--codename <codename>] [--keep-files] [--unset]');
+    process.exit(1);
+  }
+
+  run.then(success => {
+    if (!success) process.exit(1);
+  }).catch(error => {
+    log.error(`Unexpected error: ${error.message}`);
+    process.exit(exitCodeFor(error));
+  });
+}
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+import ora from 'ora';
+import { log, colors } from '../utils/colors.js';
+import { gitHelpers } from '../utils/git.js';
+import { dryRun } from '../utils/dry-run.js';
+import { output, parseFormatArgs } from '../utils/output.js';
+import { stashLedger } from '../utils/stash-ledger.js';
+import { enterProjectRoot } from '../utils/project.js';
+
+// Match a ledger entry against a service name (folder, submodule name or path)
+function matchesService(entry, service) {
+  return !service || [entry.submodule, entry.path, entry.path.split('/').pop()].includes(service);
+}
+
+// Attach the current stash ref to each ledger entry (null when the stash is gone)
+async function resolveEntries(entries) {
+  const stashLists = new Map();
+  const resolved = [];
+
+  for (const entry of entries) {
+    if (!stashLists.has(entry.path)) {
+      stashLists.set(entry.path, await gitHelpers.getStashList(entry.path));
+    }
+    const stash = stashLists.get(entry.path).find(item => item.sha === entry.sha);
+    resolved.push({ ...entry, ref: stash?.ref ?? null });
+  }
+
+  return resolved;
+}
+
+// Re-apply CLI stashes. Conflicting pops keep both the stash and the ledger entry.
+export async function restoreStashEntries(entries) {
+  const results = [];
+
+  // Oldest first; refs are resolved right before each pop because popping
+  // shifts the stash@{n} indexes of the remaining entries
+  for (const recorded of entries) {
+    const [entry] = await resolveEntries([recorded]);
+
+    if (!entry.ref) {
+      log.warning(`${entry.path}: stash ${entry.sha.slice(0, 7)} no longer exists, removing from ledger`);
+      await stashLedger.remove(entry.sha);
+      results.push({ ...entry, success: false, error: 'stash not found' });
+      continue;
+    }
+
+    const currentBranch = await gitHelpers.getCurrentBranch(entry.path);
+    if (entry.branch && currentBranch !== entry.branch) {
+      log.warning(`${entry.path}: stash was created on ${entry.branch}, applying on ${currentBranch}`);
+    }
+
+    const spinner = ora(`Restoring ${entry.ref} in ${entry.path}...`).start();
+    try {
+      await gitHelpers.stashPop(entry.ref, entry.path);
+      await stashLedger.remove(entry.sha);
+      spinner.succeed(`Restored stash in ${entry.path}`);
+      results.push({ ...entry, success: true });
+    } catch (error) {
+      const conflicts = await gitHelpers.getConflictedFiles(entry.path);
+      if (conflicts.length > 0) {
+        spinner.fail(`Conflicts restoring stash in ${entry.path} (stash kept as ${entry.ref})`);
+        for (const file of conflicts) {
+          log.item(colors.error(file));
+        }
+        log.info(`Resolve the conflicts, then run: ${colors.dim(`cd ${entry.path} && git stash drop ${entry.ref}`)}`);
+      } else {
+        spinner.fail(`Failed to restore stash in ${entry.path}: ${error.message}`);
+      }
+      results.push({ ...entry, success: false, conflicts, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+// Show stashes created by the CLI
+export async function listStashes() {
+  await enterProjectRoot();
+  log.section('Auto-stashes created by submodule-cli');
+
+  const entries = await resolveEntries(await stashLedger.list());
+  if (entries.length === 0) {
+    log.info('No CLI stashes recorded');
+    return true;
+  }
+
+  for (const entry of entries) {
+    output.emit(entry);
+
+    const state = entry.ref ? colors.info(entry.ref) : colors.dim('missing');
+    log.item(`${colors.bold(entry.path)} ${state} ${colors.dim(`on ${entry.branch || 'detached'}, ${entry.createdAt}`)}`);
+  }
+
+  log.newline();
+  log.info(`Restore with: ${colors.info('submodule-cli stash restore [service]')}`);
+  return true;
+}
+
+// Re-apply orphaned CLI stashes, optionally for a single service
+export async function restoreStashes(service = null) {
+  await enterProjectRoot();
+  log.section('Restoring auto-stashes');
+
+  const entries = (await stashLedger.list()).filter(entry => matchesService(entry, service));
+  if (entries.length === 0) {
+    log.info(service ? `No CLI stashes recorded for ${service}` : 'No CLI stashes recorded');
+    return true;
+  }
+
+  const results = await restoreStashEntries(entries);
+  for (const result of results) {
+    output.emit(result);
+  }
+
+  const restored = results.filter(result => result.success).length;
+  if (restored === results.length) {
+    log.success(`Restored ${restored} stash(es)`);
+    return true;
+  }
+
+  log.warning(`Restored ${restored} of ${results.length} stash(es)`);
+  return false;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const [action = 'list', service] = args.filter(arg => !arg.startsWith('--'));
+
+  if (args.includes('--dry-run')) {
+    dryRun.enable();
+  }
+  output.configure(parseFormatArgs(args), 'stash');
+
+  const run = action === 'restore' ? restoreStashes(service) : listStashes();
+  run.then(success => {
+    if (!success) process.exit(1);
+  }).catch(error => {
+    log.error(`Unexpected error: ${error.message}`);
+    process.exit(1);
+  });
+}
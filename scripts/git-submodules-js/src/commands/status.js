@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+import { log, colors, icons } from '../utils/colors.js';
+import { gitHelpers } from '../utils/git.js';
+import { output, parseFormatArgs } from '../utils/output.js';
+import { getSubmoduleState, getParentState } from '../utils/submodule-state.js';
+import { enterProjectRoot } from '../utils/project.js';
+
+const short = sha => (sha ? sha.slice(0, 7) : colors.dim('none'));
+
+// Print drift and push state below a submodule's status line
+function printSubmoduleDetails(state) {
+  const indent = '      ';
+
+  let drift = `recorded ${short(state.recorded)} ${icons.arrow} checked out ${short(state.head)}`;
+  if (state.status === 'conflict') {
+    drift += colors.error(' (merge conflict in gitlink)');
+  } else if (state.recorded && state.head !== state.recorded) {
+    drift += colors.warning(' (differs from parent)');
+  }
+  console.log(indent + drift);
+
+  if (state.ahead !== null) {
+    const counts = `ahead ${state.ahead} / behind ${state.behind} of origin/${state.defaultBranch}`;
+    console.log(indent + (state.behind > 0 ? colors.warning(counts) : counts));
+  }
+
+  if (state.unpushed.length > 0) {
+    console.log(indent + colors.warning(`${state.unpushed.length} unpushed commits:`));
+    for (const commit of state.unpushed.slice(0, 5)) {
+      console.log(`${indent}  ${colors.dim(short(commit.sha))} ${commit.subject}`);
+    }
+    if (state.unpushed.length > 5) {
+      console.log(`${indent}  ${colors.dim(`... and ${state.unpushed.length - 5} more`)}`);
+    }
+  }
+
+  if (state.stashes > 0) {
+    console.log(indent + colors.warning(`${state.stashes} stash entries`));
+  }
+
+  if (state.onRemote === false) {
+    console.log(indent + colors.error(`${icons.cross} checked-out commit is not on any remote - do not commit this gitlink yet`));
+  }
+}
+
+async function status() {
+  console.log(colors.bold(`${icons.info} Current Submodule Status`));
+  console.log('='.repeat(35));
+
+  try {
+    // Work from the superproject root, wherever we were started
+    const isRepo = await enterProjectRoot().then(() => true, () => false);
+    if (!isRepo) {
+      log.error('Not in a git repository');
+      output.summary({ success: false, error: 'Not in a git repository' });
+      return false;
+    }
+
+    const parent = await getParentState();
+    output.summary({ parent });
+
+    // Show current branch
+    log.item(`Current branch: ${colors.info(parent.branch)}`);
+
+    // Check for changes
+    if (parent.dirty) {
+      log.item(`Status: ${colors.warning('Has uncommitted changes')}`);
+    } else {
+      log.item(`Status: ${colors.success('Clean')}`);
+    }
+
+    // Show submodule status
+    const submodules = await gitHelpers.getSubmodules();
+    if (submodules.length === 0) {
+      log.item('No submodules found');
+      return true;
+    }
+
+    console.log();
+    log.section('Submodules:');
+
+    for (const submodule of submodules) {
+      const state = await getSubmoduleState(submodule);
+      output.emit({ ...state, success: state.initialized && !state.error, error: state.error ?? null });
+
+      if (!state.initialized) {
+        log.item(`${colors.dim(submodule.name)}: ${colors.error('not initialized')}`);
+        continue;
+      }
+
+      let status = colors.success('clean');
+      if (state.dirty) {
+        status = colors.warning('has changes');
+      }
+
+      log.item(`${colors.info(submodule.name)}: ${state.branch || colors.warning('detached')} (${status})`);
+      printSubmoduleDetails(state);
+    }
+
+    return true;
+  } catch (error) {
+    log.error(`Status check failed: ${error.message}`);
+    output.summary({ success: false, error: error.message });
+    return false;
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  output.configure(parseFormatArgs(args), 'status');
+
+  status().catch(error => {
+    log.error(`Unexpected error: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+export default status;
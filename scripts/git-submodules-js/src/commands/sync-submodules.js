@@ -2,84 +2,246 @@
 
 import fs from 'fs/promises';
 import ora from 'ora';
-import inquirer from 'inquirer';
+import { InvalidArgumentError } from 'commander';
+import { prompt, configurePrompts, parsePromptArgs, InputRequiredError } from '../utils/prompt.js';
 import { log, colors, icons } from '../utils/colors.js';
 import { gitHelpers } from '../utils/git.js';
+import { dryRun } from '../utils/dry-run.js';
+import { output, parseFormatArgs } from '../utils/output.js';
+import { EXIT_CODES, exitCodeFor } from '../utils/exit-codes.js';
+import { getSubmoduleState } from '../utils/submodule-state.js';
+import { verifyGitlinksPushed } from '../utils/gitlink-guard.js';
+import { stashLedger } from '../utils/stash-ledger.js';
+import { enterProjectRoot } from '../utils/project.js';
+import { restoreStashEntries } from './stash.js';
+import {
+  consoleReporter,
+  createBufferedReporter,
+  createProgressBoard,
+  mapWithConcurrency,
+} from '../utils/progress.js';
 
-async function syncSubmodule(submodulePath, submoduleName, forceUpdate = false) {
-  log.section(`Syncing submodule: ${submoduleName}`);
-  log.item(`Path: ${submodulePath}`);
+// Stash local changes and record the stash in the CLI's ledger
+async function stashChanges(submodulePath, submoduleName) {
+  const branch = await gitHelpers.getCurrentBranch(submodulePath);
+  const createdAt = new Date().toISOString();
+  const message = `Auto-stash before sync ${createdAt}`;
+  
+  const [previous] = await gitHelpers.getStashList(submodulePath);
+  await gitHelpers.stash(message, submodulePath);
+  const [latest] = await gitHelpers.getStashList(submodulePath);
+  
+  // Nothing is stashed when only untracked files changed
+  if (latest && latest.sha !== previous?.sha) {
+    await stashLedger.record({
+      sha: latest.sha,
+      submodule: submoduleName,
+      path: submodulePath,
+      branch: branch && branch !== 'HEAD' ? branch : null,
+      message,
+      createdAt,
+    });
+  }
+}
+
+export const SYNC_STRATEGIES = ['ff-only', 'rebase', 'merge'];
+
+// Option parser for --jobs: a count of submodules synced at once
+export function parseJobs(value) {
+  const jobs = Number(value);
+  if (String(value).trim() === '' || !Number.isInteger(jobs) || jobs < 1) {
+    throw new InvalidArgumentError('Not a positive integer.');
+  }
+  return jobs;
+}
+
+// Resolve the strategy for a submodule: --strategy, then the submodule's
+// `update` key in .gitmodules (rebase/merge), then ff-only
+async function resolveStrategy(submodule, strategyOption) {
+  if (strategyOption) {
+    return strategyOption;
+  }
+  
+  const update = await gitHelpers.getSubmoduleConfig(submodule.name, 'update');
+  return SYNC_STRATEGIES.includes(update) ? update : 'ff-only';
+}
+
+// Print the commits on each side of a diverged branch
+function reportDivergence(reporter, branch, localCommits, remoteCommits) {
+  reporter.warning(`${branch} has diverged from origin/${branch}`);
+  reporter.item(`${localCommits.length} local commit(s) not on origin:`);
+  for (const commit of localCommits) {
+    reporter.item(`  ${colors.dim(commit.sha.slice(0, 7))} ${commit.subject}`);
+  }
+  reporter.item(`${remoteCommits.length} commit(s) on origin not in ${branch}:`);
+  for (const commit of remoteCommits) {
+    reporter.item(`  ${colors.dim(commit.sha.slice(0, 7))} ${commit.subject}`);
+  }
+  reporter.info('Re-run with --strategy=rebase or --strategy=merge to integrate them');
+}
+
+// Update the checked-out branch from origin using the given strategy
+async function updateBranch(submodulePath, branch, strategy, reporter) {
+  const upstream = `origin/${branch}`;
+  
+  if (!(await gitHelpers.remoteBranchExists(branch, submodulePath))) {
+    reporter.item(`${upstream} does not exist, nothing to pull`);
+    return { success: true };
+  }
+  
+  const localCommits = await gitHelpers.getCommitsBetween(upstream, 'HEAD', submodulePath);
+  const remoteCommits = await gitHelpers.getCommitsBetween('HEAD', upstream, submodulePath);
+  
+  if (remoteCommits.length === 0) {
+    reporter.item(`Already up to date with ${upstream}`);
+    return { success: true };
+  }
+  
+  if (strategy === 'ff-only' && localCommits.length > 0) {
+    reportDivergence(reporter, branch, localCommits, remoteCommits);
+    return {
+      success: false,
+      error: `${branch} diverged from ${upstream} (${localCommits.length} local, ${remoteCommits.length} remote)`,
+      diverged: { local: localCommits, remote: remoteCommits },
+    };
+  }
+  
+  const action = {
+    'ff-only': `Fast-forwarding ${branch} to ${upstream}`,
+    rebase: `Rebasing ${branch} onto ${upstream}`,
+    merge: `Merging ${upstream} into ${branch}`,
+  }[strategy];
+  const spinner = reporter.spinner(`${action}...`);
+  try {
+    await gitHelpers.integrate(upstream, strategy, submodulePath);
+    spinner.succeed(`Updated ${branch} from ${upstream} (${strategy}, ${remoteCommits.length} new commit(s))`);
+    return { success: true };
+  } catch (error) {
+    const conflicts = await gitHelpers.getConflictedFiles(submodulePath);
+    if (conflicts.length === 0) {
+      spinner.fail(`Failed to update ${branch} (${strategy})`);
+      return { success: false, error: `Failed to update ${branch}: ${error.message}` };
+    }
+    
+    // Leave the submodule exactly as it was before the sync attempt
+    await gitHelpers.abortIntegration(strategy, submodulePath);
+    spinner.fail(`Conflicts while ${strategy === 'rebase' ? 'rebasing' : 'merging'} ${branch}; aborted, branch left unchanged`);
+    for (const file of conflicts) {
+      reporter.item(colors.error(file));
+    }
+    reporter.info(`Resolve manually: cd ${submodulePath} && git ${strategy === 'rebase' ? 'rebase' : 'merge'} ${upstream}`);
+    return { success: false, error: `Conflicts in ${conflicts.join(', ')}`, conflicts };
+  }
+}
+
+async function syncSubmodule(submodule, options = {}, reporter = consoleReporter) {
+  const { path: submodulePath, name: submoduleName } = submodule;
+  const { force: forceUpdate = false, strategy = 'ff-only', remote = false } = options;
+  
+  reporter.section(`Syncing submodule: ${submoduleName}`);
+  reporter.item(`Path: ${submodulePath}`);
   
   if (!(await fs.access(submodulePath).then(() => true).catch(() => false))) {
-    log.error(`Submodule directory not found: ${submodulePath}`);
-    return false;
+    reporter.error(`Submodule directory not found: ${submodulePath}`);
+    return { success: false, error: `Submodule directory not found: ${submodulePath}` };
   }
   
   // Check for uncommitted changes
   const hasChanges = await gitHelpers.hasUncommittedChanges(submodulePath);
   if (hasChanges) {
-    log.warning(`Uncommitted changes detected in ${submoduleName}`);
+    reporter.warning(`Uncommitted changes detected in ${submoduleName}`);
     
     if (!forceUpdate) {
-      log.warning(`Use --force to sync anyway, or commit your changes first`);
-      log.warning(`Skipping ${submoduleName}...`);
-      return false;
+      reporter.warning(`Use --force to sync anyway, or commit your changes first`);
+      reporter.warning(`Skipping ${submoduleName}...`);
+      return { success: false, error: 'Uncommitted changes (use --force)' };
     } else {
-      const spinner = ora('Force update enabled, stashing changes...').start();
+      const spinner = reporter.spinner('Force update enabled, stashing changes...');
       try {
-        await gitHelpers.stash(`Auto-stash before sync ${new Date().toISOString()}`, submodulePath);
+        await stashChanges(submodulePath, submoduleName);
         spinner.succeed('Changes stashed');
       } catch (error) {
         spinner.fail('Failed to stash changes');
-        return false;
+        return { success: false, error: `Failed to stash changes: ${error.message}` };
       }
     }
   }
   
   // Get current branch
   const currentBranch = await gitHelpers.getCurrentBranch(submodulePath);
-  log.item(`Current branch: ${currentBranch || 'detached'}`);
+  reporter.item(`Current branch: ${currentBranch || 'detached'}`);
+  reporter.item(`Strategy: ${strategy}`);
   
   // Fetch latest changes
-  let spinner = ora('Fetching latest changes...').start();
+  let spinner = reporter.spinner('Fetching latest changes...');
   try {
     await gitHelpers.fetch(submodulePath);
     spinner.succeed('Fetched latest changes');
   } catch (error) {
     spinner.fail('Failed to fetch changes');
-    return false;
+    return { success: false, error: `Failed to fetch changes: ${error.message}` };
   }
   
-  // If we're on a branch, pull latest
-  if (currentBranch && currentBranch !== 'HEAD') {
-    spinner = ora(`Pulling latest from ${currentBranch}...`).start();
+  // With --remote, move to the tip of the tracked branch (.gitmodules
+  // `branch`, else the default) like `git submodule update --remote`. Without
+  // it the checked-out branch is updated, or the tracked one when detached.
+  let branch = currentBranch;
+  if (remote || !branch || branch === 'HEAD') {
+    branch = await gitHelpers.getBaseBranch(submodulePath);
+    reporter.item(`Tracked branch: ${branch}`);
+  }
+  if (branch !== currentBranch) {
+    spinner = reporter.spinner(`Checking out ${branch}...`);
     try {
-      await gitHelpers.pull(submodulePath, 'origin', currentBranch);
-      spinner.succeed(`Pulled latest from ${currentBranch}`);
+      await gitHelpers.checkout(branch, submodulePath);
+      spinner.succeed(`Checked out ${branch}`);
     } catch (error) {
-      spinner.fail(`Failed to pull from ${currentBranch}`);
-      return false;
+      spinner.fail(`Failed to checkout ${branch}`);
+      return { success: false, error: `Failed to checkout ${branch}: ${error.message}` };
     }
-  } else {
-    // If detached, checkout main/master
-    const defaultBranch = await gitHelpers.getDefaultBranch(submodulePath);
-    spinner = ora(`Checking out ${defaultBranch}...`).start();
+  }
+  
+  const result = await updateBranch(submodulePath, branch, strategy, reporter);
+  if (result.success) {
+    reporter.success(`Successfully synced ${submoduleName}`);
+  }
+  return { ...result, strategy };
+}
+
+// Sync submodules concurrently with a live progress row per submodule.
+// Each submodule's log is buffered and printed afterwards in .gitmodules order.
+async function syncInParallel(submodules, options, jobs) {
+  log.section(`Syncing ${submodules.length} submodules (${jobs} jobs)`);
+  
+  const board = createProgressBoard(submodules.map(submodule => submodule.name));
+  const results = await mapWithConcurrency(submodules, jobs, async (submodule) => {
+    const reporter = createBufferedReporter(submodule.name, board);
+    let result;
     try {
-      await gitHelpers.checkout(defaultBranch, submodulePath);
-      await gitHelpers.pull(submodulePath, 'origin', defaultBranch);
-      spinner.succeed(`Checked out and pulled ${defaultBranch}`);
+      const strategy = await resolveStrategy(submodule, options.strategy);
+      result = await syncSubmodule(submodule, { ...options, strategy }, reporter);
     } catch (error) {
-      spinner.fail(`Failed to checkout ${defaultBranch}`);
-      return false;
+      reporter.error(error.message);
+      result = { success: false, error: error.message };
+    }
+    board.update(submodule.name, result.success ? 'success' : 'failed', result.success ? 'synced' : result.error);
+    return { name: submodule.name, path: submodule.path, ...result, lines: reporter.lines };
+  });
+  
+  for (const result of results) {
+    for (const line of result.lines) {
+      console.log(line);
     }
+    delete result.lines;
   }
   
-  log.success(`Successfully synced ${submoduleName}`);
-  return true;
+  return results;
 }
 
 async function syncSubmodules(options = {}) {
-  const { force = false } = options;
+  const { force = false, strategy = null, remote = false } = options;
+  const jobs = options.jobs ?? 1;
+  const startedAt = new Date().toISOString();
   
   console.log(colors.bold(`${icons.sync} Syncing Git Submodules`));
   console.log('='.repeat(30));
@@ -88,11 +250,17 @@ async function syncSubmodules(options = {}) {
     log.warning('Force update enabled - will stash uncommitted changes');
   }
   
-  // Check if we're in the root directory
+  if (strategy && !SYNC_STRATEGIES.includes(strategy)) {
+    log.error(`Unknown strategy '${strategy}' (expected one of: ${SYNC_STRATEGIES.join(', ')})`);
+    process.exit(1);
+  }
+  
+  // Work from the superproject root, wherever we were started
+  const root = await enterProjectRoot();
   try {
     await fs.access('.gitmodules');
   } catch {
-    log.error('.gitmodules not found. Please run from project root.');
+    log.error(`.gitmodules not found in ${root}`);
     process.exit(1);
   }
   
@@ -100,7 +268,7 @@ async function syncSubmodules(options = {}) {
   log.section('Syncing submodule URLs');
   let spinner = ora('Syncing submodule configuration...').start();
   try {
-    await gitHelpers.git.raw(['submodule', 'sync']);
+    await gitHelpers.syncSubmoduleUrls();
     spinner.succeed('Synced submodule URLs');
   } catch (error) {
     spinner.fail('Failed to sync submodule URLs');
@@ -126,10 +294,22 @@ async function syncSubmodules(options = {}) {
   }
   
   // Sync each submodule
-  const results = [];
-  for (const submodule of submodules) {
-    const success = await syncSubmodule(submodule.path, submodule.name, force);
-    results.push({ name: submodule.name, path: submodule.path, success });
+  let results;
+  if (jobs > 1 && submodules.length > 1) {
+    results = await syncInParallel(submodules, { force, strategy, remote }, jobs);
+  } else {
+    results = [];
+    for (const submodule of submodules) {
+      let result;
+      try {
+        const submoduleStrategy = await resolveStrategy(submodule, strategy);
+        result = await syncSubmodule(submodule, { force, strategy: submoduleStrategy, remote });
+      } catch (error) {
+        log.error(error.message);
+        result = { success: false, error: error.message };
+      }
+      results.push({ name: submodule.name, path: submodule.path, ...result });
+    }
   }
   
   // Update submodule references in parent repo
@@ -143,19 +323,25 @@ async function syncSubmodules(options = {}) {
       log.info('Changes detected in parent repo:');
       
       // Show git status
-      const status = await gitHelpers.git.status(['--short']);
+      const status = await gitHelpers.getShortStatus();
       console.log(status);
       
-      const { commitChanges } = await inquirer.prompt([
+      const { commitChanges } = await prompt([
         {
           type: 'confirm',
           name: 'commitChanges',
           message: 'Commit submodule updates to parent repo?',
           default: false,
+          answer: options.commit,
+          flag: '--commit or --no-commit',
         },
       ]);
       
-      if (commitChanges) {
+      const gitlinkChanges = commitChanges ? await gitHelpers.getGitlinkChanges(['--cached']) : [];
+      
+      if (commitChanges && !(await verifyGitlinksPushed(gitlinkChanges))) {
+        log.warning('Submodule updates staged but not committed');
+      } else if (commitChanges) {
         const submoduleStatus = await gitHelpers.getSubmoduleStatus();
         const commitMessage = `chore: update submodule references to latest commits\n\n${submoduleStatus.join('\n')}`;
         
@@ -168,6 +354,7 @@ async function syncSubmodules(options = {}) {
       log.success('No submodule reference updates needed');
     }
   } catch (error) {
+    if (error instanceof InputRequiredError) throw error;
     log.error('Failed to update parent repo');
     console.error(error);
   }
@@ -180,6 +367,36 @@ async function syncSubmodules(options = {}) {
     } else {
       log.item(colors.error(`${icons.cross} ${result.name} (failed)`));
     }
+    
+    const state = await getSubmoduleState(result);
+    output.emit({ ...state, success: result.success, error: result.error ?? null });
+  }
+  output.summary({ success: results.every(result => result.success) });
+  
+  // Offer to re-apply the stashes made during this sync
+  const stashes = (await stashLedger.list()).filter(entry => entry.createdAt >= startedAt);
+  if (stashes.length > 0) {
+    log.section('Auto-stashed changes');
+    for (const entry of stashes) {
+      log.item(`${entry.path} ${colors.dim(`(${entry.branch || 'detached'})`)}`);
+    }
+    
+    const { restoreNow } = await prompt([
+      {
+        type: 'confirm',
+        name: 'restoreNow',
+        message: `Re-apply ${stashes.length} auto-stash(es) now?`,
+        default: true,
+        answer: options.restore,
+        flag: '--restore or --no-restore',
+      },
+    ]);
+    
+    if (restoreNow) {
+      await restoreStashEntries(stashes);
+    } else {
+      log.warning(`Your changes are stashed. Restore later with: ${colors.info('submodule-cli stash restore')}`);
+    }
   }
   
   // Show current submodule status
@@ -205,10 +422,32 @@ async function syncSubmodules(options = {}) {
 if (import.meta.url === `file://${process.argv[1]}`) {
   const args = process.argv.slice(2);
   const force = args.includes('--force');
+  const jobsIndex = args.indexOf('--jobs');
+  const jobsValue = jobsIndex !== -1
+    ? args[jobsIndex + 1]
+    : args.find(arg => arg.startsWith('--jobs='))?.split('=')[1];
+  let jobs;
+  try {
+    jobs = jobsValue === undefined ? undefined : parseJobs(jobsValue);
+  } catch (error) {
+    log.error(`Invalid --jobs '${jobsValue}': ${error.message}`);
+    process.exit(EXIT_CODES.usage);
+  }
   
-  syncSubmodules({ force }).catch(error => {
+  if (args.includes('--dry-run')) {
+    dryRun.enable();
+  }
+  output.configure(parseFormatArgs(args), 'sync');
+  configurePrompts(parsePromptArgs(args));
+  
+  const strategy = args.find(arg => arg.startsWith('--strategy='))?.split('=')[1];
+  const commit = args.includes('--commit') || (args.includes('--no-commit') ? false : undefined);
+  const remote = args.includes('--remote');
+  const restore = args.includes('--restore') || (args.includes('--no-restore') ? false : undefined);
+  
+  syncSubmodules({ force, jobs, strategy, commit, remote, restore }).catch(error => {
     log.error(`Unexpected error: ${error.message}`);
-    process.exit(1);
+    process.exit(exitCodeFor(error));
   });
 }
 
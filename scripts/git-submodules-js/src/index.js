@@ -1,15 +1,27 @@
 #!/usr/bin/env node
 
-import { Command } from 'commander';
+import { Command, Option } from 'commander';
 import chalk from 'chalk';
 import { log, colors, icons } from './utils/colors.js';
+import { dryRun } from './utils/dry-run.js';
+import { output, FORMATS } from './utils/output.js';
+import { configurePrompts, promptsEnabled } from './utils/prompt.js';
+import { EXIT_CODES, exitCodeFor } from './utils/exit-codes.js';
 
 // Import command functions
 import initSubmodules from './commands/init-submodules.js';
-import syncSubmodules from './commands/sync-submodules.js';
+import syncSubmodules, { SYNC_STRATEGIES, parseJobs } from './commands/sync-submodules.js';
 import newFeature from './commands/new-feature.js';
 import createSubmodulePR from './commands/create-submodule-pr.js';
 import createParentPR from './commands/create-parent-pr.js';
+import cleanup from './commands/cleanup.js';
+import status from './commands/status.js';
+import { installHooks, uninstallHooks, runPrePushHook } from './commands/hooks.js';
+import { listStashes, restoreStashes } from './commands/stash.js';
+import { showConfig, validateConfigFile } from './commands/config.js';
+import { featurePR, featureLand, parsePositiveNumber } from './commands/feature.js';
+import { serviceCreate, serviceRemove, serviceMove, serviceSetBranch } from './commands/service.js';
+import { releaseCut, releaseDiff } from './commands/release.js';
 
 const program = new Command();
 
@@ -28,18 +40,43 @@ program
 // Global options
 program
   .option('-v, --verbose', 'verbose output')
-  .option('--no-color', 'disable colors');
+  .option('--no-color', 'disable colors')
+  .option('--dry-run', 'print the planned git, gh and file operations without executing them')
+  .option('--json', 'print a machine-readable JSON result on stdout')
+  .addOption(new Option('--format <format>', 'output format').choices(FORMATS).default('text'))
+  .option('-y, --yes', 'never prompt: answer confirmations with yes and other questions with their default')
+  .option('--no-input', 'never prompt: fail with a hint naming the flag for any question not answered by one');
+
+// Invalid usage exits with its own code (help and --version still exit 0).
+// Set before the commands are defined so that they inherit it.
+program.exitOverride((error) => {
+  process.exit(error.exitCode === 0 ? EXIT_CODES.success : EXIT_CODES.usage);
+});
+
+program.hook('preAction', (thisCommand, actionCommand) => {
+  const options = program.opts();
+  if (options.dryRun) {
+    dryRun.enable();
+  }
+  configurePrompts({ yes: options.yes, input: options.input });
+  output.configure(options.json ? 'json' : options.format, actionCommand.name());
+});
 
 // Init command
 program
   .command('init')
   .description('Initialize all service submodules')
-  .action(async () => {
+  .option('--resume', 'finish an interrupted init')
+  .addOption(new Option('--rollback', 'restore the folders an interrupted init was converting').conflicts('resume'))
+  .action(async (options) => {
     try {
-      await initSubmodules();
+      const success = await initSubmodules({ resume: options.resume, rollback: options.rollback });
+      if (!success) {
+        process.exit(EXIT_CODES.failure);
+      }
     } catch (error) {
       log.error(`Init failed: ${error.message}`);
-      process.exit(1);
+      process.exit(exitCodeFor(error));
     }
   });
 
@@ -48,30 +85,40 @@ program
   .command('sync')
   .description('Sync all submodules to latest commits')
   .option('--force', 'force sync even with uncommitted changes')
+  .option('-j, --jobs <n>', 'number of submodules to sync concurrently', parseJobs, 1)
+  .option('--remote', 'move each submodule to the tip of its tracked branch (.gitmodules branch, else the default)')
+  .addOption(new Option('--strategy <strategy>', 'how to update branches (default: ff-only, or the submodule\'s update key)').choices(SYNC_STRATEGIES))
+  .option('--commit', 'commit the updated submodule references without asking')
+  .option('--no-commit', 'leave the updated submodule references staged without asking')
+  .option('--restore', 're-apply the changes auto-stashed by --force without asking')
+  .option('--no-restore', 'keep the changes auto-stashed by --force in the stash without asking')
   .action(async (options) => {
     try {
       await syncSubmodules(options);
     } catch (error) {
       log.error(`Sync failed: ${error.message}`);
-      process.exit(1);
+      process.exit(exitCodeFor(error));
     }
   });
 
 // New feature command
 program
   .command('new-feature')
-  .description('Create a new feature branch in a service')
-  .argument('<service>', 'service name')
+  .description('Create a feature branch across services and the parent repo')
   .argument('<feature>', 'feature name')
-  .action(async (service, feature) => {
+  .argument('[legacy-feature]', 'legacy form "new-feature <service> <feature>" branches only that service')
+  .option('-s, --services <list>', 'comma-separated services (default: choose interactively)')
+  .action(async (feature, legacyFeature, options) => {
     try {
-      const success = await newFeature(service, feature);
+      const success = legacyFeature
+        ? await newFeature(legacyFeature, { services: [feature], parent: false })
+        : await newFeature(feature, { services: options.services?.split(',') });
       if (!success) {
-        process.exit(1);
+        process.exit(EXIT_CODES.failure);
       }
     } catch (error) {
       log.error(`New feature failed: ${error.message}`);
-      process.exit(1);
+      process.exit(exitCodeFor(error));
     }
   });
 
@@ -79,17 +126,28 @@ program
 program
   .command('create-pr')
   .description('Create PR for a service submodule')
-  .argument('<service>', 'service name')
+  .argument('[service]', 'service name (default: the service the command is run from)')
   .option('--draft', 'create as draft PR')
+  .option('--template [file]', 'render a PR template (default: .github/pull_request_template.md)')
+  .option('--commit', 'commit uncommitted changes without asking')
+  .option('--no-commit', 'stop instead of committing uncommitted changes')
+  .option('-m, --message <message>', 'commit message for uncommitted changes (implies --commit)')
+  .option('--update-existing', 'update the title and body of an existing PR without asking')
+  .option('--no-update-existing', 'leave an existing PR untouched')
   .action(async (service, options) => {
     try {
-      const success = await createSubmodulePR(service, options.draft);
+      const success = await createSubmodulePR(service, options.draft, {
+        template: options.template,
+        commit: options.commit,
+        message: options.message,
+        updateExisting: options.updateExisting,
+      });
       if (!success) {
-        process.exit(1);
+        process.exit(EXIT_CODES.failure);
       }
     } catch (error) {
       log.error(`Create PR failed: ${error.message}`);
-      process.exit(1);
+      process.exit(exitCodeFor(error));
     }
   });
 
@@ -99,15 +157,318 @@ program
   .description('Create PR for parent repository with submodule updates')
   .argument('[feature]', 'feature name (optional)')
   .option('--draft', 'create as draft PR')
+  .option('--include-other', 'also commit changes outside submodule references')
+  .option('--update-existing', 'update the title and body of an existing PR without asking')
+  .option('--no-update-existing', 'leave an existing PR untouched')
   .action(async (feature, options) => {
     try {
-      const success = await createParentPR(feature, options.draft);
+      const success = await createParentPR(feature, options.draft, {
+        includeOther: options.includeOther,
+        updateExisting: options.updateExisting,
+      });
       if (!success) {
-        process.exit(1);
+        process.exit(EXIT_CODES.failure);
       }
     } catch (error) {
       log.error(`Parent PR failed: ${error.message}`);
-      process.exit(1);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+// Cleanup command
+program
+  .command('cleanup')
+  .description('Delete feature branches already merged in all submodules and the parent repo')
+  .option('--remote', 'also delete merged branches on origin')
+  .action(async (options) => {
+    try {
+      const success = await cleanup(options);
+      if (!success) {
+        process.exit(EXIT_CODES.failure);
+      }
+    } catch (error) {
+      log.error(`Cleanup failed: ${error.message}`);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+// Stash commands
+const stash = program
+  .command('stash')
+  .description('Manage changes auto-stashed by sync --force');
+
+stash
+  .command('list')
+  .description('List stashes created by the CLI')
+  .action(async () => {
+    try {
+      await listStashes();
+    } catch (error) {
+      log.error(`Stash list failed: ${error.message}`);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+stash
+  .command('restore')
+  .description('Re-apply stashes created by the CLI')
+  .argument('[service]', 'only restore stashes of this service')
+  .action(async (service) => {
+    try {
+      const success = await restoreStashes(service);
+      if (!success) {
+        process.exit(EXIT_CODES.failure);
+      }
+    } catch (error) {
+      log.error(`Stash restore failed: ${error.message}`);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+// Cross-service feature commands
+const feature = program
+  .command('feature')
+  .description('Work with features that span several services');
+
+feature
+  .command('pr')
+  .description('Push every service of a feature, open or update their PRs and the parent PR, and cross-link them')
+  .argument('<feature>', 'feature name')
+  .option('--draft', 'create new PRs as drafts')
+  .action(async (featureName, options) => {
+    try {
+      const success = await featurePR(featureName, options);
+      if (!success) {
+        process.exit(EXIT_CODES.failure);
+      }
+    } catch (error) {
+      log.error(`Feature PR failed: ${error.message}`);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+feature
+  .command('land')
+  .description('Wait for all service PRs of a feature to merge, then update the gitlinks and open the parent PR')
+  .argument('<feature>', 'feature name')
+  .option('--once', 'check the PRs once and report instead of polling')
+  .option('--timeout <minutes>', 'give up polling after this many minutes', parsePositiveNumber, 30)
+  .option('--interval <seconds>', 'seconds between checks', parsePositiveNumber, 60)
+  .option('--draft', 'create the parent PR as a draft')
+  .action(async (featureName, options) => {
+    try {
+      const success = await featureLand(featureName, options);
+      if (!success) {
+        process.exit(EXIT_CODES.failure);
+      }
+    } catch (error) {
+      log.error(`Feature land failed: ${error.message}`);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+// Service commands
+const service = program
+  .command('service')
+  .description('Add and manage service submodules');
+
+service
+  .command('create')
+  .description('Scaffold a service from a template, publish it to a new repository and add it as a submodule')
+  .argument('<name>', 'service name, e.g. "payment" for services/payment-service')
+  .option('--template <dir>', 'skeleton directory to render (default: serviceTemplate from the config)')
+  .option('--codename <codename>', 'DC Hero codename for the services table')
+  .option('--description <text>', 'one-line description for the services table')
+  .option('--title <title>', 'display name (default: "<Name> Service")')
+  .action(async (name, options) => {
+    try {
+      const success = await serviceCreate(name, options);
+      if (!success) {
+        process.exit(EXIT_CODES.failure);
+      }
+    } catch (error) {
+      log.error(`Service create failed: ${error.message}`);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+service
+  .command('remove')
+  .description('Deregister a service submodule and delete its checkout and repository storage')
+  .argument('<name>', 'service name, folder or path')
+  .option('--keep-files', 'keep the files as ordinary tracked files of the parent')
+  .action(async (name, options) => {
+    try {
+      const success = await serviceRemove(name, options);
+      if (!success) {
+        process.exit(EXIT_CODES.failure);
+      }
+    } catch (error) {
+      log.error(`Service remove failed: ${error.message}`);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+service
+  .command('move')
+  .description('Move a service submodule to another path, keeping .gitmodules and .git/modules in step')
+  .argument('<name>', 'service name, folder or path')
+  .argument('<newpath>', 'new path, relative to the current directory')
+  .action(async (name, newPath) => {
+    try {
+      const success = await serviceMove(name, newPath);
+      if (!success) {
+        process.exit(EXIT_CODES.failure);
+      }
+    } catch (error) {
+      log.error(`Service move failed: ${error.message}`);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+service
+  .command('set-branch')
+  .description('Set the branch a service submodule tracks (submodule.<name>.branch in .gitmodules)')
+  .argument('<name>', 'service name, folder or path')
+  .argument('[branch]', 'branch to track, or "." to follow the parent\'s current branch')
+  .option('--unset', 'stop tracking a branch and follow the default branch again')
+  .action(async (name, branch, options) => {
+    try {
+      const success = await serviceSetBranch(name, branch, options);
+      if (!success) {
+        process.exit(EXIT_CODES.failure);
+      }
+    } catch (error) {
+      log.error(`Service set-branch failed: ${error.message}`);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+// Release commands
+const release = program
+  .command('release')
+  .description('Tag and record releases of the parent and every service');
+
+release
+  .command('cut')
+  .description('Tag every clean, pushed service at its recorded commit and the parent, and write releases/<version>.json')
+  .argument('<version>', 'release version, used as the tag name, e.g. 1.4.0')
+  .action(async (version) => {
+    try {
+      const success = await releaseCut(version);
+      if (!success) {
+        process.exit(EXIT_CODES.failure);
+      }
+    } catch (error) {
+      log.error(`Release cut failed: ${error.message}`);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+release
+  .command('diff')
+  .description('Show the per-service changelog between two releases')
+  .argument('<from>', 'older release version')
+  .argument('<to>', 'newer release version')
+  .action(async (from, to) => {
+    try {
+      const success = await releaseDiff(from, to);
+      if (!success) {
+        process.exit(EXIT_CODES.failure);
+      }
+    } catch (error) {
+      log.error(`Release diff failed: ${error.message}`);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+// Config commands
+const config = program
+  .command('config')
+  .description('Inspect the project configuration (.submodulerc)');
+
+config
+  .command('show')
+  .description('Show the effective configuration and the file it was loaded from')
+  .action(async () => {
+    try {
+      await showConfig();
+    } catch (error) {
+      log.error(`Config show failed: ${error.message}`);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+config
+  .command('validate')
+  .description('Validate a config file against the schema')
+  .argument('[file]', 'config file to check (default: the discovered one)')
+  .action(async (file) => {
+    try {
+      const success = await validateConfigFile(file);
+      if (!success) {
+        process.exit(EXIT_CODES.failure);
+      }
+    } catch (error) {
+      log.error(`Config validate failed: ${error.message}`);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+// Hooks commands
+const hooks = program
+  .command('hooks')
+  .description('Manage git hooks installed in the parent repository');
+
+hooks
+  .command('install')
+  .description('Install a pre-push hook that refuses gitlinks pointing at unpushed submodule commits')
+  .option('--force', 'replace an existing pre-push hook')
+  .action(async (options) => {
+    try {
+      const success = await installHooks(options);
+      if (!success) {
+        process.exit(EXIT_CODES.failure);
+      }
+    } catch (error) {
+      log.error(`Hook install failed: ${error.message}`);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+hooks
+  .command('uninstall')
+  .description('Remove the pre-push hook installed by this CLI')
+  .action(async () => {
+    try {
+      const success = await uninstallHooks();
+      if (!success) {
+        process.exit(EXIT_CODES.failure);
+      }
+    } catch (error) {
+      log.error(`Hook uninstall failed: ${error.message}`);
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+hooks
+  .command('run', { hidden: true })
+  .description('Run a hook (invoked by git)')
+  .argument('<hook>', 'hook name')
+  .argument('[args...]', 'arguments passed by git')
+  .action(async (hook) => {
+    if (hook !== 'pre-push') {
+      log.error(`Unknown hook: ${hook}`);
+      process.exit(EXIT_CODES.usage);
+    }
+    try {
+      const success = await runPrePushHook();
+      if (!success) {
+        process.exit(EXIT_CODES.failure);
+      }
+    } catch (error) {
+      log.error(`pre-push hook failed: ${error.message}`);
+      process.exit(exitCodeFor(error));
     }
   });
 
@@ -116,6 +477,10 @@ program
   .command('workflow')
   .description('Interactive workflow helper')
   .action(async () => {
+    if (!promptsEnabled()) {
+      log.error('The workflow helper is interactive; run the command you need directly (see --help)');
+      process.exit(EXIT_CODES.inputRequired);
+    }
     const inquirer = await import('inquirer');
     
     console.log(colors.bold(`${icons.rocket} Git Submodule Workflow Helper`));
@@ -132,6 +497,7 @@ program
           { name: '🌱 Start new feature', value: 'new-feature' },
           { name: '📤 Create service PR', value: 'create-pr' },
           { name: '📝 Create parent PR', value: 'parent-pr' },
+          { name: '🧹 Clean up merged branches', value: 'cleanup' },
           { name: '❓ Show help', value: 'help' },
         ],
       },
@@ -155,13 +521,7 @@ program
         break;
         
       case 'new-feature':
-        const { service, feature } = await inquirer.default.prompt([
-          {
-            type: 'input',
-            name: 'service',
-            message: 'Service name:',
-            validate: input => input.trim() !== '',
-          },
+        const { feature } = await inquirer.default.prompt([
           {
             type: 'input',
             name: 'feature',
@@ -169,7 +529,7 @@ program
             validate: input => input.trim() !== '',
           },
         ]);
-        await newFeature(service, feature);
+        await newFeature(feature);
         break;
         
       case 'create-pr':
@@ -207,6 +567,18 @@ program
         await createParentPR(parentAnswers.feature || null, parentAnswers.draft);
         break;
         
+      case 'cleanup':
+        const { remote } = await inquirer.default.prompt([
+          {
+            type: 'confirm',
+            name: 'remote',
+            message: 'Also delete merged branches on origin?',
+            default: false,
+          },
+        ]);
+        await cleanup({ remote });
+        break;
+        
       case 'help':
         program.help();
         break;
@@ -228,23 +600,28 @@ program
     
     console.log(colors.bold('🔄 Typical Workflow:'));
     console.log('   1. npm run sync                    # Sync to latest');
-    console.log('   2. npm run new-feature <svc> <feat> # Create feature branch');
+    console.log('   2. npm run new-feature <feat>      # Branch services + parent');
     console.log('   3. # Make changes in services/<svc>/');
     console.log('   4. npm run create-pr <svc>         # Create service PR');
-    console.log('   5. # Merge PR on GitHub');
+    console.log('   5. # Merge PR on GitHub (or: submodule-cli feature land <feat>)');
     console.log('   6. npm run sync                    # Sync merged changes');
     console.log('   7. npm run parent-pr <feat>        # Create parent PR');
+    console.log('      (or: submodule-cli feature pr <feat> for linked service + parent PRs)');
+    console.log('   8. npm run cleanup                 # Delete merged branches');
     console.log();
     
     console.log(colors.bold('🚀 Quick Commands:'));
     console.log('   submodule-cli init                 # Initialize submodules');
     console.log('   submodule-cli sync                 # Sync all submodules');
     console.log('   submodule-cli sync --force         # Force sync with stash');
+    console.log('   submodule-cli sync --jobs 4        # Sync 4 submodules concurrently');
+    console.log('   submodule-cli sync --strategy=rebase  # Rebase local commits onto origin');
+    console.log('   submodule-cli cleanup --dry-run    # Preview merged branch cleanup');
     console.log('   submodule-cli workflow             # Interactive helper');
     console.log();
     
     console.log(colors.bold('📋 Examples:'));
-    console.log('   submodule-cli new-feature brainiac-ai template-scanner');
+    console.log('   submodule-cli new-feature template-scanner --services brainiac-ai,ui-service');
     console.log('   submodule-cli create-pr brainiac-ai --draft');
     console.log('   submodule-cli parent-pr template-scanner');
     console.log();
@@ -260,58 +637,9 @@ program
   .command('status')
   .description('Show current submodule status')
   .action(async () => {
-    const { gitHelpers } = await import('./utils/git.js');
-    
-    console.log(colors.bold(`${icons.info} Current Submodule Status`));
-    console.log('='.repeat(35));
-    
-    try {
-      // Check if in git repo
-      const isRepo = await gitHelpers.isGitRepo();
-      if (!isRepo) {
-        log.error('Not in a git repository');
-        return;
-      }
-      
-      // Show current branch
-      const currentBranch = await gitHelpers.getCurrentBranch();
-      log.item(`Current branch: ${colors.info(currentBranch)}`);
-      
-      // Check for changes
-      const hasChanges = await gitHelpers.hasUncommittedChanges();
-      if (hasChanges) {
-        log.item(`Status: ${colors.warning('Has uncommitted changes')}`);
-      } else {
-        log.item(`Status: ${colors.success('Clean')}`);
-      }
-      
-      // Show submodule status
-      const submodules = await gitHelpers.getSubmodules();
-      if (submodules.length > 0) {
-        console.log();
-        log.section('Submodules:');
-        
-        for (const submodule of submodules) {
-          if (await gitHelpers.isSubmodule(submodule.path)) {
-            const subBranch = await gitHelpers.getCurrentBranch(submodule.path);
-            const subHasChanges = await gitHelpers.hasUncommittedChanges(submodule.path);
-            
-            let status = colors.success('clean');
-            if (subHasChanges) {
-              status = colors.warning('has changes');
-            }
-            
-            log.item(`${colors.info(submodule.name)}: ${subBranch} (${status})`);
-          } else {
-            log.item(`${colors.dim(submodule.name)}: ${colors.error('not initialized')}`);
-          }
-        }
-      } else {
-        log.item('No submodules found');
-      }
-      
-    } catch (error) {
-      log.error(`Status check failed: ${error.message}`);
+    const success = await status();
+    if (!success) {
+      process.exit(EXIT_CODES.failure);
     }
   });
 
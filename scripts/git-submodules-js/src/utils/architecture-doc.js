@@ -0,0 +1,87 @@
+import fs from 'fs/promises';
+import { fsHelpers } from './dry-run.js';
+
+// The services table in the architecture document (`architectureDoc`):
+//
+// | Service Name        | DC Hero Codename   | Description                                      |
+// | ------------------- | ------------------ | ------------------------------------------------ |
+// | Gateway Service     | Oracle             | The single entry point for all client requests.  |
+//
+// Rows are padded to the width of the separator row, as the existing rows are.
+
+// Cells of a table row; `\|` is a literal pipe inside a cell
+function splitRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function isRow(line) {
+  return line.trim().startsWith('|');
+}
+
+// Locate the first table whose header has a "Service Name" column.
+// Returns { header, widths, start, end } with line indexes, or null.
+function findServicesTable(lines) {
+  for (let index = 0; index < lines.length - 1; index++) {
+    if (!isRow(lines[index]) || !/^\s*\|?\s*:?-+/.test(lines[index + 1])) continue;
+
+    const header = splitRow(lines[index]);
+    if (!header.some(cell => /^service name$/i.test(cell))) continue;
+
+    const widths = lines[index + 1].trim().replace(/^\|/, '').replace(/\|$/, '').split('|')
+      .map(cell => Math.max(cell.trim().length, 3));
+    let end = index + 2;
+    while (end < lines.length && isRow(lines[end])) end++;
+    return { header, widths, start: index, end };
+  }
+  return null;
+}
+
+// A `|` inside a cell would end it early
+function escapeCell(text) {
+  return text.replace(/\|/g, '\\|');
+}
+
+function formatRow(cells, widths) {
+  return `| ${cells.map((cell, index) => cell.padEnd(widths[index] ?? 0)).join(' | ')} |`;
+}
+
+export async function readArchitectureDoc(file) {
+  try {
+    return await fs.readFile(file, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Service names listed in the table
+export function listServiceRows(content) {
+  const lines = content.split('\n');
+  const table = findServicesTable(lines);
+  if (!table) return [];
+  return lines.slice(table.start + 2, table.end).map(line => splitRow(line)[0]);
+}
+
+// Append { title, codename, description } to the services table. Returns
+// false when the document has no services table or already lists the service.
+export async function addServiceRow(file, { title, codename, description = '' }) {
+  const content = await readArchitectureDoc(file);
+  if (content === null) return false;
+
+  const lines = content.split('\n');
+  const table = findServicesTable(lines);
+  if (!table || listServiceRows(content).some(name => name.toLowerCase() === title.toLowerCase())) {
+    return false;
+  }
+
+  const cells = table.header.map(column => {
+    if (/^service name$/i.test(column)) return escapeCell(title);
+    if (/codename/i.test(column)) return escapeCell(codename);
+    if (/^description$/i.test(column)) return escapeCell(description);
+    return '';
+  });
+  lines.splice(table.end, 0, formatRow(cells, table.widths));
+
+  await fsHelpers.writeFile(file, lines.join('\n'));
+  return true;
+}
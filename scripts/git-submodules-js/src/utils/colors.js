@@ -28,20 +28,30 @@ export const icons = {
   dot: '•',
 };
 
+// Message formatters (shared by log and buffered output)
+export const format = {
+  success: (message) => colors.success(`${icons.success} ${message}`),
+  error: (message) => colors.error(`${icons.error} ${message}`),
+  warning: (message) => colors.warning(`${icons.warning} ${message}`),
+  info: (message) => colors.info(`${icons.info} ${message}`),
+  dim: (message) => colors.dim(message),
+  
+  section: (title) => '\n' + colors.bold(colors.info(title)) + '\n' + colors.dim('='.repeat(title.length)),
+  
+  item: (message) => `  ${icons.dot} ${message}`,
+};
+
 // Log helper functions
 export const log = {
-  success: (message) => console.log(colors.success(`${icons.success} ${message}`)),
-  error: (message) => console.log(colors.error(`${icons.error} ${message}`)),
-  warning: (message) => console.log(colors.warning(`${icons.warning} ${message}`)),
-  info: (message) => console.log(colors.info(`${icons.info} ${message}`)),
-  dim: (message) => console.log(colors.dim(message)),
+  success: (message) => console.log(format.success(message)),
+  error: (message) => console.log(format.error(message)),
+  warning: (message) => console.log(format.warning(message)),
+  info: (message) => console.log(format.info(message)),
+  dim: (message) => console.log(format.dim(message)),
   
-  section: (title) => {
-    console.log('\n' + colors.bold(colors.info(title)));
-    console.log(colors.dim('='.repeat(title.length)));
-  },
+  section: (title) => console.log(format.section(title)),
   
-  item: (message) => console.log(`  ${icons.dot} ${message}`),
+  item: (message) => console.log(format.item(message)),
   
   newline: () => console.log(),
-};
\ No newline at end of file
+};
@@ -0,0 +1,208 @@
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+
+// Searched in this order in each directory, walking up from cwd
+export const CONFIG_FILES = ['.submodulerc', '.submodulerc.json', '.submodulerc.yaml', '.submodulerc.yml'];
+
+export const DEFAULT_CONFIG = {
+  servicesDir: 'services',
+  featurePrefix: 'feature/',
+  parentBranchPrefix: 'feature/submodule-',
+  repoVisibility: 'private',
+  repoNameSuffix: '-service',
+  protectedBranches: ['main', 'master', 'develop'],
+  featureManifest: '.submodule-features.json',
+  architectureDoc: 'services-architecture.md',
+  releasesDir: 'releases',
+  hosts: {},
+  services: {},
+};
+
+const VISIBILITIES = ['private', 'public', 'internal'];
+export const PROVIDER_TYPES = ['github', 'gitlab', 'gitea', 'local'];
+
+// Top-level settings. `services` maps a service folder name to overrides.
+const SCHEMA = {
+  servicesDir: { type: 'string', description: 'Directory holding the service submodules' },
+  featurePrefix: { type: 'string', description: 'Prefix for feature branches in services' },
+  parentBranchPrefix: { type: 'string', description: 'Prefix for parent repo branches created by parent-pr' },
+  repoVisibility: { type: 'string', enum: VISIBILITIES, description: 'Visibility of repositories created by init' },
+  repoNameSuffix: { type: 'string', description: 'Suffix stripped from folder names to get repo names ("" keeps them)' },
+  protectedBranches: { type: 'string[]', description: 'Branches never treated as feature branches' },
+  featureManifest: { type: 'string', description: 'Tracked file mapping cross-service features to their services' },
+  architectureDoc: { type: 'string', description: 'Tracked document whose services table lists every service' },
+  releasesDir: { type: 'string', description: 'Tracked directory holding the release manifests written by "release cut"' },
+  serviceTemplate: { type: 'string', description: 'Skeleton directory used by "service create" when --template is not given' },
+  provider: { type: 'string', enum: PROVIDER_TYPES, description: 'Hosting provider for every repo (detected from the remote URL by default)' },
+  repoNamespace: { type: 'string', description: 'User, org or group owning repositories created by init (default: current user)' },
+  hosts: { type: 'object', description: 'Per-host provider settings, keyed by host name' },
+  services: { type: 'object', description: 'Per-service overrides, keyed by folder name' },
+};
+
+// Settings for a self-hosted or otherwise undetectable host
+const HOST_SCHEMA = {
+  type: { type: 'string', enum: PROVIDER_TYPES, description: 'Provider serving this host' },
+  apiUrl: { type: 'string', description: 'REST API base URL (default: https://<host>/api/v4 or /api/v1)' },
+  tokenEnv: { type: 'string', description: 'Environment variable holding the API token' },
+};
+
+const SERVICE_SCHEMA = {
+  repoName: { type: 'string', description: 'Repository name used by init' },
+  repoVisibility: SCHEMA.repoVisibility,
+  featurePrefix: SCHEMA.featurePrefix,
+  protectedBranches: SCHEMA.protectedBranches,
+  provider: SCHEMA.provider,
+  repoNamespace: SCHEMA.repoNamespace,
+};
+
+export class ConfigError extends Error {
+  constructor(message, file = null, errors = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+function checkValue(value, rule, key) {
+  if (rule.type === 'string[]') {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item)) {
+      return `${key}: expected a list of branch names`;
+    }
+  } else if (rule.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return `${key}: expected a mapping`;
+    }
+  } else if (typeof value !== rule.type) {
+    return `${key}: expected a ${rule.type}, got ${Array.isArray(value) ? 'list' : typeof value}`;
+  } else if (rule.enum && !rule.enum.includes(value)) {
+    return `${key}: must be one of ${rule.enum.join(', ')}`;
+  }
+  return null;
+}
+
+function checkObject(data, schema, prefix = '') {
+  const errors = [];
+
+  for (const [key, value] of Object.entries(data)) {
+    const rule = schema[key];
+    if (!rule) {
+      errors.push(`${prefix}${key}: unknown setting`);
+      continue;
+    }
+    const error = checkValue(value, rule, `${prefix}${key}`);
+    if (error) errors.push(error);
+  }
+
+  return errors;
+}
+
+// Validate parsed config data against the schema. Returns a list of errors.
+export function validateConfig(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['config must be a mapping of settings'];
+  }
+
+  const errors = checkObject(data, SCHEMA);
+
+  for (const [key, schema] of [['services', SERVICE_SCHEMA], ['hosts', HOST_SCHEMA]]) {
+    if (!data[key] || typeof data[key] !== 'object' || Array.isArray(data[key])) continue;
+
+    for (const [name, overrides] of Object.entries(data[key])) {
+      const error = checkValue(overrides, SCHEMA[key], `${key}.${name}`);
+      if (error) {
+        errors.push(error);
+      } else {
+        errors.push(...checkObject(overrides, schema, `${key}.${name}.`));
+      }
+    }
+  }
+
+  for (const key of ['servicesDir', 'featureManifest', 'architectureDoc', 'releasesDir']) {
+    if (typeof data[key] === 'string' && (path.isAbsolute(data[key]) || data[key].startsWith('..'))) {
+      errors.push(`${key}: must be a path inside the repository`);
+    }
+  }
+
+  return errors;
+}
+
+// Walk up from startDir looking for a config file
+export async function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const candidate = path.join(dir, name);
+      try {
+        await fs.access(candidate);
+        return candidate;
+      } catch {
+        // Keep looking
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// Parse a config file. `.json` must be JSON; everything else is read as YAML,
+// which also accepts JSON.
+export async function readConfigFile(file) {
+  const content = await fs.readFile(file, 'utf-8');
+
+  try {
+    const data = file.endsWith('.json') ? JSON.parse(content) : YAML.parse(content);
+    return data ?? {};
+  } catch (error) {
+    throw new ConfigError(`Cannot parse ${file}: ${error.message}`, file);
+  }
+}
+
+let cached = null;
+
+// Load, validate and merge the project config with the defaults.
+// Returns { file, config } where file is null when no config was found.
+export async function loadConfig({ reload = false } = {}) {
+  if (cached && !reload) return cached;
+
+  const file = await findConfigFile();
+  let data = {};
+
+  if (file) {
+    data = await readConfigFile(file);
+    const errors = validateConfig(data);
+    if (errors.length > 0) {
+      throw new ConfigError(`Invalid config in ${file}:\n  - ${errors.join('\n  - ')}`, file, errors);
+    }
+  }
+
+  cached = { file, config: { ...DEFAULT_CONFIG, ...data, hosts: { ...data.hosts }, services: { ...data.services } } };
+  return cached;
+}
+
+export async function getConfig() {
+  return (await loadConfig()).config;
+}
+
+// Settings for a single service folder, with its overrides applied
+export async function getServiceConfig(folderName) {
+  const config = await getConfig();
+  const { services, hosts, ...defaults } = config;
+  const overrides = services[folderName] ?? {};
+
+  let repoName = overrides.repoName;
+  if (!repoName) {
+    const suffix = config.repoNameSuffix;
+    repoName = suffix && folderName.endsWith(suffix) && folderName !== suffix
+      ? folderName.slice(0, -suffix.length)
+      : folderName;
+  }
+
+  return { ...defaults, ...overrides, repoName, path: path.posix.join(config.servicesDir, folderName) };
+}
+
+export const configSchema = { settings: SCHEMA, service: SERVICE_SCHEMA, host: HOST_SCHEMA };
@@ -0,0 +1,92 @@
+import fs from 'fs/promises';
+import { execa } from 'execa';
+import { log, colors } from './colors.js';
+
+// Quote a command argument for display
+function quote(arg) {
+  const value = String(arg);
+  if (value === '' || /[\s"'$`\\|&;<>()*?]/.test(value)) {
+    return `'${value.replace(/'/g, `'\\''`)}'`;
+  }
+  return value;
+}
+
+// Format a command the way a user would type it
+export function formatCommand(command, args = [], cwd = '.') {
+  const location = cwd && cwd !== '.' ? ['-C', cwd] : [];
+  if (command === 'git') {
+    return ['git', ...location, ...args].map(quote).join(' ');
+  }
+  const prefix = cwd && cwd !== '.' ? `(cd ${quote(cwd)} && ` : '';
+  const suffix = prefix ? ')' : '';
+  return `${prefix}${[command, ...args].map(quote).join(' ')}${suffix}`;
+}
+
+// Recorder for mutating operations. When enabled, operations are added to
+// the plan instead of being executed, and the plan is printed on exit.
+export const dryRun = {
+  enabled: false,
+  plan: [],
+
+  enable() {
+    if (this.enabled) return;
+    this.enabled = true;
+    process.once('exit', () => this.printPlan());
+  },
+
+  // Run a mutating operation, or record it and return the fallback value
+  async run(kind, description, operation, fallback = undefined) {
+    if (this.enabled) {
+      this.plan.push({ kind, description });
+      return fallback;
+    }
+    return operation();
+  },
+
+  // Execute an external command that changes state
+  async exec(command, args, options = {}, fallback = { stdout: '' }) {
+    const description = formatCommand(command, args, options.cwd);
+    return this.run(command, description, () => execa(command, args, options), fallback);
+  },
+
+  printPlan() {
+    if (!this.enabled) return;
+
+    log.section('Dry Run Plan');
+    if (this.plan.length === 0) {
+      log.info('No changes would be made');
+      return;
+    }
+
+    const width = String(this.plan.length).length;
+    this.plan.forEach((step, index) => {
+      const number = String(index + 1).padStart(width);
+      console.log(`  ${colors.dim(`${number}.`)} ${step.description}`);
+    });
+    log.newline();
+    log.warning(`${this.plan.length} operations planned, nothing was executed`);
+  },
+};
+
+// File system operations that honor --dry-run
+export const fsHelpers = {
+  async rm(target) {
+    await dryRun.run('fs', `rm -rf ${quote(target)}`, () => fs.rm(target, { recursive: true, force: true }));
+  },
+
+  async rename(from, to) {
+    await dryRun.run('fs', `mv ${quote(from)} ${quote(to)}`, () => fs.rename(from, to));
+  },
+
+  async copyFile(from, to) {
+    await dryRun.run('fs', `cp ${quote(from)} ${quote(to)}`, () => fs.copyFile(from, to));
+  },
+
+  async writeFile(target, content, options = {}) {
+    await dryRun.run('fs', `write ${quote(target)}`, () => fs.writeFile(target, content, options));
+  },
+
+  async mkdir(dir) {
+    await dryRun.run('fs', `mkdir -p ${quote(dir)}`, () => fs.mkdir(dir, { recursive: true }));
+  },
+};
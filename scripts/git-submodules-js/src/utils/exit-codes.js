@@ -0,0 +1,16 @@
+// Process exit codes (documented in the README under "Exit Codes")
+export const EXIT_CODES = {
+  success: 0,
+  // The command ran and failed, or refused to continue
+  failure: 1,
+  // Unknown command or option, or a missing or invalid argument
+  usage: 2,
+  // A decision had to be made but prompts are disabled (--yes, --no-input or
+  // no TTY) and no flag answered it
+  inputRequired: 3,
+};
+
+// Exit code for an error thrown by a command
+export function exitCodeFor(error) {
+  return error?.exitCode ?? EXIT_CODES.failure;
+}
@@ -0,0 +1,56 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getConfig } from './config.js';
+import { fsHelpers } from './dry-run.js';
+
+// Tracked manifest mapping each cross-service feature to the repositories it
+// touches. Lives in the superproject root and is committed on the parent branch:
+//
+// { "features": { "<feature>": { "branch", "createdAt", "services": { "<svc>": { "path", "branch" } } } } }
+
+async function readManifest() {
+  const { featureManifest } = await getConfig();
+  try {
+    const content = await fs.readFile(featureManifest, 'utf-8');
+    return JSON.parse(content).features ?? {};
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new Error(`Cannot read ${featureManifest}: ${error.message}`);
+  }
+}
+
+async function writeManifest(features) {
+  const { featureManifest } = await getConfig();
+  const sorted = Object.fromEntries(Object.entries(features).sort(([a], [b]) => a.localeCompare(b)));
+  if (path.dirname(featureManifest) !== '.') {
+    await fsHelpers.mkdir(path.dirname(featureManifest));
+  }
+  await fsHelpers.writeFile(featureManifest, JSON.stringify({ features: sorted }, null, 2) + '\n');
+}
+
+export const featureManifest = {
+  async getPath() {
+    return (await getConfig()).featureManifest;
+  },
+
+  async list() {
+    return readManifest();
+  },
+
+  async get(feature) {
+    return (await readManifest())[feature] ?? null;
+  },
+
+  // Merge an entry into the manifest; services are merged with any already recorded
+  async save(feature, entry) {
+    const features = await readManifest();
+    const existing = features[feature] ?? {};
+    features[feature] = {
+      ...existing,
+      ...entry,
+      services: { ...existing.services, ...entry.services },
+    };
+    await writeManifest(features);
+    return features[feature];
+  },
+};
@@ -1,11 +1,45 @@
 import simpleGit from 'simple-git';
-import { execa } from 'execa';
 import fs from 'fs/promises';
 import path from 'path';
 import { log, colors } from './colors.js';
+import { dryRun } from './dry-run.js';
+import { readGitmodules } from './gitmodules.js';
+
+// Run a git command that changes repository state, honoring --dry-run.
+// Uses execa so any non-zero exit (e.g. a conflicting stash pop) is an error.
+function mutate(args, dir = '.') {
+  return dryRun.exec('git', args, { cwd: dir });
+}
+
+// States reported by the prefix of a `git submodule status` line
+const SUBMODULE_STATUS_STATES = {
+  ' ': 'in-sync',
+  '+': 'modified',
+  '-': 'uninitialized',
+  'U': 'conflict',
+};
 
-// Initialize git client
-export const git = simpleGit();
+// Parse a `git submodule status` line: "<prefix><sha> <path> (<describe>)"
+export function parseSubmoduleStatusLine(line) {
+  const match = line.match(/^([ +\-U])([0-9a-f]+) (.+?)(?: \((.*)\))?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, prefix, sha, path, describe = null] = match;
+  return { prefix, state: SUBMODULE_STATUS_STATES[prefix], sha, path, describe };
+}
+
+// Parse `git log --format=%H %s` output
+function parseCommitLines(result) {
+  return result
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      const [sha, ...subject] = line.split(' ');
+      return { sha, subject: subject.join(' ') };
+    });
+}
 
 // Git helper functions
 export const gitHelpers = {
@@ -52,6 +86,59 @@ export const gitHelpers = {
     }
   },
 
+  // Base branch of a submodule: submodule.<name>.branch from .gitmodules
+  // ("." follows the parent's current branch), else the remote's default
+  async getBaseBranch(submodulePath) {
+    const tracked = (await readGitmodules()).findByPath(submodulePath)?.branch;
+    if (tracked === '.') {
+      const parentBranch = await this.getCurrentBranch();
+      if (parentBranch && parentBranch !== 'HEAD') return parentBranch;
+    } else if (tracked) {
+      return tracked;
+    }
+    return this.getDefaultBranch(submodulePath);
+  },
+
+  // Get the commit checked out in a repository
+  async getHeadSha(dir = '.') {
+    try {
+      const gitInstance = simpleGit(dir);
+      return (await gitInstance.revparse(['HEAD'])).trim();
+    } catch {
+      return null;
+    }
+  },
+
+  // Get the submodule commit recorded (gitlink) in the parent's HEAD
+  async getRecordedSha(submodulePath) {
+    try {
+      const result = await simpleGit().raw(['ls-tree', 'HEAD', '--', submodulePath]);
+      const match = result.match(/^160000 commit ([0-9a-f]+)\t/m);
+      return match ? match[1] : null;
+    } catch {
+      return null;
+    }
+  },
+
+  // Count commits HEAD is ahead of / behind another ref
+  async getAheadBehind(ref, dir = '.') {
+    try {
+      const gitInstance = simpleGit(dir);
+      const result = await gitInstance.raw(['rev-list', '--left-right', '--count', `HEAD...${ref}`]);
+      const [ahead, behind] = result.trim().split(/\s+/).map(Number);
+      return { ahead, behind };
+    } catch {
+      return null;
+    }
+  },
+
+  // Resolve a path inside the git directory (e.g. hooks), honoring worktrees
+  async getGitPath(name, dir = '.') {
+    const gitInstance = simpleGit(dir);
+    const result = await gitInstance.raw(['rev-parse', '--git-path', name]);
+    return path.resolve(dir, result.trim());
+  },
+
   // Check for uncommitted changes
   async hasUncommittedChanges(dir = '.') {
     const gitInstance = simpleGit(dir);
@@ -59,86 +146,87 @@ export const gitHelpers = {
     return !status.isClean();
   },
 
-  // Get list of submodules from .gitmodules
+  // Get list of submodules from .gitmodules, in file order
   async getSubmodules() {
-    try {
-      const gitmodulesContent = await fs.readFile('.gitmodules', 'utf-8');
-      const submodules = [];
-      const lines = gitmodulesContent.split('\n');
-      
-      let currentSubmodule = null;
-      for (const line of lines) {
-        if (line.startsWith('[submodule')) {
-          const name = line.match(/\[submodule "(.+)"\]/)?.[1];
-          if (name) {
-            currentSubmodule = { name };
-            submodules.push(currentSubmodule);
-          }
-        } else if (currentSubmodule) {
-          if (line.includes('path =')) {
-            currentSubmodule.path = line.split('=')[1].trim();
-          } else if (line.includes('url =')) {
-            currentSubmodule.url = line.split('=')[1].trim();
-          }
-        }
-      }
-      
-      return submodules;
-    } catch (error) {
-      return [];
-    }
+    return (await readGitmodules()).submodules();
   },
 
   // Fetch latest changes
   async fetch(dir = '.', remote = 'origin') {
-    const gitInstance = simpleGit(dir);
-    await gitInstance.fetch(remote);
+    await mutate(['fetch', remote], dir);
   },
 
   // Pull latest changes
   async pull(dir = '.', remote = 'origin', branch = null) {
-    const gitInstance = simpleGit(dir);
     if (branch) {
-      await gitInstance.pull(remote, branch);
+      await mutate(['pull', remote, branch], dir);
     } else {
-      await gitInstance.pull();
+      await mutate(['pull'], dir);
     }
   },
 
+  // Bring a fetched upstream ref into the current branch (ff-only, merge or rebase)
+  async integrate(upstream, strategy = 'ff-only', dir = '.') {
+    if (strategy === 'rebase') {
+      await mutate(['rebase', upstream], dir);
+    } else if (strategy === 'merge') {
+      await mutate(['merge', '--no-edit', upstream], dir);
+    } else {
+      await mutate(['merge', '--ff-only', upstream], dir);
+    }
+  },
+
+  // Abort an in-progress rebase or merge, restoring the previous state
+  async abortIntegration(strategy, dir = '.') {
+    await mutate([strategy === 'rebase' ? 'rebase' : 'merge', '--abort'], dir);
+  },
+
   // Create and checkout new branch
   async createBranch(branchName, dir = '.') {
-    const gitInstance = simpleGit(dir);
-    await gitInstance.checkoutLocalBranch(branchName);
+    await mutate(['checkout', '-b', branchName], dir);
   },
 
   // Checkout existing branch
   async checkout(branch, dir = '.') {
-    const gitInstance = simpleGit(dir);
-    await gitInstance.checkout(branch);
+    await mutate(['checkout', branch], dir);
+  },
+
+  // Create local branch tracking a remote branch and check it out
+  async checkoutRemoteBranch(branchName, dir = '.', remote = 'origin') {
+    await mutate(['checkout', '-b', branchName, `${remote}/${branchName}`], dir);
   },
 
   // Push to remote
   async push(dir = '.', setUpstream = false, branch = null) {
-    const gitInstance = simpleGit(dir);
     const currentBranch = branch || (await this.getCurrentBranch(dir));
     
     if (setUpstream) {
-      await gitInstance.push(['-u', 'origin', currentBranch]);
+      await mutate(['push', '-u', 'origin', currentBranch], dir);
     } else {
-      await gitInstance.push('origin', currentBranch);
+      await mutate(['push', 'origin', currentBranch], dir);
     }
   },
 
   // Add files
   async add(files = '.', dir = '.') {
+    await mutate(['add', ...[].concat(files)], dir);
+  },
+
+  // Commit changes (only the given paths when provided)
+  async commit(message, dir = '.', paths = []) {
+    await mutate(['commit', '-m', message, ...(paths.length > 0 ? ['--', ...paths] : [])], dir);
+  },
+
+  // Get short status output
+  async getShortStatus(dir = '.') {
     const gitInstance = simpleGit(dir);
-    await gitInstance.add(files);
+    return gitInstance.raw(['status', '--short']);
   },
 
-  // Commit changes
-  async commit(message, dir = '.') {
+  // Run git diff with the given arguments
+  async diff(args = [], dir = '.') {
     const gitInstance = simpleGit(dir);
-    await gitInstance.commit(message);
+    return gitInstance.diff(args);
   },
 
   // Get remote branches
@@ -167,166 +255,235 @@ export const gitHelpers = {
     return branches.includes(branchName);
   },
 
-  // Get merged branches
-  async getMergedBranches(targetBranch, dir = '.') {
+  // Commits on the first-parent line of a ref. A branch pointing at one of them
+  // never diverged from it (or was fast-forwarded): it has no commits of its own.
+  async getFirstParentHistory(ref, dir = '.') {
+    const gitInstance = simpleGit(dir);
+    const result = await gitInstance.raw(['rev-list', '--first-parent', ref]);
+    return new Set(result.split('\n').filter(Boolean));
+  },
+
+  // Get branches merged into target, leaving out protected ones and those with
+  // no commits of their own (e.g. just created from target)
+  async getMergedBranches(targetBranch, dir = '.', protectedBranches = ['main', 'master', 'develop']) {
+    const gitInstance = simpleGit(dir);
+    const result = await gitInstance.raw(['branch', '--merged', targetBranch, '--format=%(refname:short)%09%(objectname)']);
+    const mainline = await this.getFirstParentHistory(targetBranch, dir);
+    return result
+      .split('\n')
+      .map(line => line.split('\t'))
+      .filter(([b, sha]) => b && !protectedBranches.includes(b) && !mainline.has(sha))
+      .map(([b]) => b);
+  },
+
+  // Get remote branches merged into target (e.g. origin/main), without the remote prefix.
+  // Like getMergedBranches, branches with no commits of their own are left out.
+  async getMergedRemoteBranches(targetBranch, dir = '.', remote = 'origin', protectedBranches = ['main', 'master', 'develop']) {
     const gitInstance = simpleGit(dir);
-    const result = await gitInstance.raw(['branch', '--merged', targetBranch]);
+    const result = await gitInstance.raw(['branch', '-r', '--merged', targetBranch, '--format=%(refname:short)%09%(objectname)']);
+    const mainline = await this.getFirstParentHistory(targetBranch, dir);
     return result
       .split('\n')
-      .map(b => b.trim().replace('* ', ''))
-      .filter(b => b && !['main', 'master', 'develop'].includes(b));
+      .map(line => line.split('\t'))
+      .filter(([b, sha]) => b?.startsWith(`${remote}/`) && !mainline.has(sha))
+      .map(([b]) => b.replace(`${remote}/`, ''))
+      .filter(b => b && b !== 'HEAD' && !protectedBranches.includes(b));
   },
 
   // Delete local branch
   async deleteBranch(branchName, dir = '.', force = false) {
-    const gitInstance = simpleGit(dir);
-    if (force) {
-      await gitInstance.deleteLocalBranch(branchName, true);
-    } else {
-      await gitInstance.deleteLocalBranch(branchName);
-    }
+    await mutate(['branch', force ? '-D' : '-d', branchName], dir);
+  },
+
+  // Delete branch on remote
+  async deleteRemoteBranch(branchName, dir = '.', remote = 'origin') {
+    await mutate(['push', remote, '--delete', branchName], dir);
   },
 
   // Prune remote branches
   async pruneRemote(dir = '.', remote = 'origin') {
-    const gitInstance = simpleGit(dir);
-    await gitInstance.raw(['remote', 'prune', remote]);
+    await mutate(['remote', 'prune', remote], dir);
   },
 
   // Stash changes
   async stash(message = null, dir = '.') {
-    const gitInstance = simpleGit(dir);
     if (message) {
-      await gitInstance.stash(['push', '-m', message]);
+      await mutate(['stash', 'push', '-m', message], dir);
     } else {
-      await gitInstance.stash();
+      await mutate(['stash'], dir);
+    }
+  },
+
+  // List stash entries with their commit sha
+  async getStashList(dir = '.') {
+    try {
+      const gitInstance = simpleGit(dir);
+      const result = await gitInstance.raw(['stash', 'list', '--format=%H %gd %gs']);
+      return result
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+          const [sha, ref, ...message] = line.split(' ');
+          return { sha, ref, message: message.join(' ') };
+        });
+    } catch {
+      return [];
     }
   },
 
+  // Apply a stash entry and drop it if it applied cleanly
+  async stashPop(ref, dir = '.') {
+    await mutate(['stash', 'pop', ref], dir);
+  },
+
+  // Get files with unresolved merge conflicts
+  async getConflictedFiles(dir = '.') {
+    const gitInstance = simpleGit(dir);
+    const result = await gitInstance.raw(['diff', '--name-only', '--diff-filter=U']);
+    return result.split('\n').filter(line => line.trim());
+  },
+
   // Initialize submodules
   async initSubmodules() {
-    await git.submoduleInit();
+    await mutate(['submodule', 'init']);
   },
 
   // Update submodules
   async updateSubmodules() {
-    await git.submoduleUpdate();
+    await mutate(['submodule', 'update']);
+  },
+
+  // Sync submodule URLs from .gitmodules into .git/config
+  async syncSubmoduleUrls() {
+    await mutate(['submodule', 'sync']);
   },
 
   // Add submodule
   async addSubmodule(url, path) {
-    await git.submoduleAdd(url, path);
+    await mutate(['submodule', 'add', url, path]);
   },
 
   // Get submodule status
-  async getSubmoduleStatus() {
-    const result = await git.raw(['submodule', 'status']);
+  async getSubmoduleStatus(paths = []) {
+    const result = await simpleGit().raw(['submodule', 'status', '--', ...paths]);
     return result.split('\n').filter(line => line.trim());
   },
 
-  // Check if path is already a submodule according to .gitmodules
-  async isRegisteredSubmodule(path) {
-    try {
-      const result = await git.raw(['config', '--file', '.gitmodules', '--get-regexp', '^submodule\\..*\\.path$']);
-      const lines = result.split('\n').filter(line => line.trim());
-      return lines.some(line => line.includes(path));
-    } catch {
-      return false;
+  // Get parsed submodule status entries
+  async getSubmoduleStatusEntries(paths = []) {
+    const lines = await this.getSubmoduleStatus(paths);
+    return lines.map(parseSubmoduleStatusLine).filter(Boolean);
+  },
+
+  // Get gitlink (mode 160000) changes from `git diff --raw` with the given arguments.
+  // Renames are reported as a removal plus an addition.
+  async getGitlinkChanges(diffArgs = ['--cached']) {
+    const result = await simpleGit().raw(['diff', '--raw', '--no-abbrev', '--no-renames', ...diffArgs]);
+    const changes = result
+      .split('\n')
+      .map(line => line.match(/^:(\d{6}) (\d{6}) ([0-9a-f]+) ([0-9a-f]+) (\w)\d*\t(.+)$/))
+      .filter(match => match && (match[1] === '160000' || match[2] === '160000'))
+      .map(([, oldMode, newMode, oldSha, newSha, status, path]) => ({
+        path,
+        status,
+        oldSha: oldMode === '160000' ? oldSha : null,
+        newSha: newMode === '160000' ? newSha : null,
+      }));
+
+    // Against the working tree git reports a zero sha; use the submodule's HEAD
+    for (const change of changes) {
+      if (change.newSha && /^0+$/.test(change.newSha)) {
+        change.newSha = await this.getHeadSha(change.path);
+      }
     }
+    return changes;
+  },
+
+  // Get all gitlinks recorded in a commit
+  async getGitlinks(ref = 'HEAD') {
+    const result = await simpleGit().raw(['ls-tree', '-r', ref]);
+    return result
+      .split('\n')
+      .map(line => line.match(/^160000 commit ([0-9a-f]+)\t(.+)$/))
+      .filter(Boolean)
+      .map(([, sha, path]) => ({ path, sha }));
   },
-};
 
-// GitHub CLI helpers
-export const githubHelpers = {
-  // Check if gh CLI is installed
-  async isGhInstalled() {
+  // Get commits reachable from a sha that are not on the given remote
+  async getCommitsNotOnRemote(sha, dir = '.', remote = 'origin') {
     try {
-      await execa('gh', ['--version']);
-      return true;
+      const gitInstance = simpleGit(dir);
+      const result = await gitInstance.raw(['log', '--format=%H %s', sha, '--not', `--remotes=${remote}`]);
+      return parseCommitLines(result);
     } catch {
-      return false;
+      return null;
     }
   },
 
-  // Check if gh is authenticated
-  async isAuthenticated() {
+  // Get commits reachable from `to` but not from `from`
+  async getCommitsBetween(from, to, dir = '.') {
+    const gitInstance = simpleGit(dir);
+    const result = await gitInstance.raw(['log', '--format=%H %s', `${from}..${to}`]);
+    return parseCommitLines(result);
+  },
+
+  // Read a submodule setting from .gitmodules (e.g. update, branch)
+  async getSubmoduleConfig(name, key) {
+    return (await readGitmodules()).getValue(name, key) ?? null;
+  },
+
+  // Get commits in HEAD that are not on any remote-tracking branch
+  async getUnpushedCommits(dir = '.') {
     try {
-      await execa('gh', ['auth', 'status']);
-      return true;
+      const gitInstance = simpleGit(dir);
+      const result = await gitInstance.raw(['log', '--format=%H %s', 'HEAD', '--not', '--remotes']);
+      return parseCommitLines(result);
     } catch {
-      return false;
+      return [];
     }
   },
 
-  // Create PR
-  async createPR(title, body, base = null, draft = false, dir = '.') {
-    const args = ['pr', 'create', '--title', title, '--body', body];
-    
-    if (base) {
-      args.push('--base', base);
-    }
-    
-    if (draft) {
-      args.push('--draft');
+  // Count stash entries
+  async getStashCount(dir = '.') {
+    try {
+      const gitInstance = simpleGit(dir);
+      const result = await gitInstance.raw(['stash', 'list']);
+      return result.split('\n').filter(line => line.trim()).length;
+    } catch {
+      return 0;
     }
-    
-    const { stdout } = await execa('gh', args, { cwd: dir });
-    
-    // Extract PR number from output
-    const prNumber = stdout.match(/#(\d+)/)?.[1];
-    const prUrl = stdout.match(/https:\/\/[^\s]+/)?.[0];
-    
-    return { number: prNumber, url: prUrl };
   },
 
-  // Check if PR exists for current branch
-  async getPRForBranch(branch, dir = '.') {
+  // Check if a commit is an ancestor of (or equal to) another ref
+  async isAncestor(ancestor, ref, dir = '.') {
     try {
-      const { stdout } = await execa('gh', [
-        'pr', 'list',
-        '--head', branch,
-        '--json', 'number,url',
-        '--jq', '.[0]'
-      ], { cwd: dir });
-      
-      if (stdout) {
-        return JSON.parse(stdout);
-      }
-      return null;
+      const gitInstance = simpleGit(dir);
+      await gitInstance.raw(['merge-base', '--is-ancestor', ancestor, ref]);
+      return true;
     } catch {
-      return null;
+      return false;
     }
   },
 
-  // Update PR
-  async updatePR(prNumber, title, body, dir = '.') {
-    await execa('gh', [
-      'pr', 'edit', prNumber,
-      '--title', title,
-      '--body', body
-    ], { cwd: dir });
+  // Get the best common ancestor of two refs
+  async getMergeBase(a, b, dir = '.') {
+    const gitInstance = simpleGit(dir);
+    return (await gitInstance.raw(['merge-base', a, b])).trim();
   },
 
-  // View PR
-  async viewPR(prNumber = null, dir = '.') {
-    const args = ['pr', 'view'];
-    if (prNumber) {
-      args.push(prNumber);
+  // Check if a commit is contained in any remote-tracking branch
+  async isCommitOnRemote(sha, dir = '.') {
+    try {
+      const gitInstance = simpleGit(dir);
+      const result = await gitInstance.raw(['branch', '-r', '--contains', sha]);
+      return result.trim() !== '';
+    } catch {
+      return false;
     }
-    args.push('--json', 'url', '--jq', '.url');
-    
-    const { stdout } = await execa('gh', args, { cwd: dir });
-    return stdout.trim();
   },
 
-  // List PRs
-  async listPRs(dir = '.') {
-    const { stdout } = await execa('gh', [
-      'pr', 'list',
-      '--json', 'number,title,state',
-      '--jq', '.[] | "\\(.number): \\(.title) (\\(.state))"'
-    ], { cwd: dir });
-    
-    return stdout.split('\n').filter(line => line.trim());
+  // Check if path is already a submodule according to .gitmodules
+  async isRegisteredSubmodule(path) {
+    return (await readGitmodules()).findByPath(path) !== null;
   },
-};
\ No newline at end of file
+};
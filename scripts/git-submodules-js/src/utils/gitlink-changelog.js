@@ -0,0 +1,120 @@
+import { gitHelpers } from './git.js';
+import { getProvider, parseRemoteUrl } from './providers/index.js';
+
+const MAX_COMMITS = 20;
+
+// Web URL of a repository from its clone URL (ssh, scp-like or https).
+// Returns null for local paths and other URLs without a web UI.
+export function getRepoWebUrl(remoteUrl) {
+  const remote = parseRemoteUrl(remoteUrl);
+  return remote && !remote.local ? `https://${remote.host}/${remote.path}` : null;
+}
+
+// Compare view URL between two commits (GitLab uses /-/compare)
+export function getCompareUrl(webUrl, oldSha, newSha) {
+  if (!webUrl || !oldSha || !newSha || oldSha === newSha) return null;
+  const compare = /gitlab/i.test(new URL(webUrl).host) ? '-/compare' : 'compare';
+  return `${webUrl}/${compare}/${oldSha}...${newSha}`;
+}
+
+async function getCommitsInRange(change) {
+  if (!change.oldSha || !change.newSha) return { commits: [], missing: false };
+
+  try {
+    return { commits: await gitHelpers.getCommitsBetween(change.oldSha, change.newSha, change.path), missing: false };
+  } catch {
+    // Objects not present locally; fetch once and retry
+    try {
+      await gitHelpers.fetch(change.path);
+      return { commits: await gitHelpers.getCommitsBetween(change.oldSha, change.newSha, change.path), missing: false };
+    } catch {
+      return { commits: [], missing: true };
+    }
+  }
+}
+
+// Gather, for each changed gitlink, its compare URL, the commits in the range
+// and the service PRs whose merge commit falls inside it
+export async function collectGitlinkChangelog(changes) {
+  const submodules = await gitHelpers.getSubmodules();
+  const entries = [];
+
+  for (const change of changes) {
+    const submodule = submodules.find(item => item.path === change.path);
+    const webUrl = getRepoWebUrl(submodule?.url);
+    const { commits, missing } = await getCommitsInRange(change);
+
+    let pullRequests = [];
+    if (commits.length > 0) {
+      const shas = new Set(commits.map(commit => commit.sha));
+      try {
+        const provider = await getProvider(change.path);
+        pullRequests = (await provider.listMergedPRs()).filter(pr => shas.has(pr.mergeCommit?.oid));
+      } catch {
+        // No usable provider for this submodule; list the commits only
+      }
+    }
+
+    entries.push({
+      ...change,
+      name: submodule?.name ?? change.path,
+      url: submodule?.url ?? null,
+      webUrl,
+      compareUrl: getCompareUrl(webUrl, change.oldSha, change.newSha),
+      commits,
+      missing,
+      pullRequests,
+    });
+  }
+
+  return entries;
+}
+
+const short = sha => (sha ? sha.slice(0, 7) : '-');
+
+function renderEntry(entry) {
+  const lines = [`### \`${entry.path}\``];
+
+  if (entry.kind === 'moved') {
+    const range = entry.oldSha === entry.newSha
+      ? `at \`${short(entry.newSha)}\``
+      : `\`${short(entry.oldSha)}\` → \`${short(entry.newSha)}\``;
+    lines.push(`Moved from \`${entry.from}\` ${range}`);
+  } else if (entry.status === 'A' || !entry.oldSha) {
+    lines.push(`Added at \`${short(entry.newSha)}\``);
+  } else if (entry.status === 'D' || !entry.newSha) {
+    lines.push(`Removed (was \`${short(entry.oldSha)}\`)`);
+  } else {
+    const range = `\`${short(entry.oldSha)}\` → \`${short(entry.newSha)}\``;
+    lines.push(entry.compareUrl ? `${range} ([compare](${entry.compareUrl}))` : range);
+  }
+
+  if (entry.pullRequests.length > 0) {
+    lines.push('', '**Merged PRs:**');
+    for (const pr of entry.pullRequests) {
+      lines.push(`- [#${pr.number}](${pr.url}) ${pr.title}`);
+    }
+  }
+
+  if (entry.missing) {
+    lines.push('', '_Commit range not available locally_');
+  } else if (entry.commits.length > 0) {
+    lines.push('', `**Commits (${entry.commits.length}):**`);
+    for (const commit of entry.commits.slice(0, MAX_COMMITS)) {
+      lines.push(`- ${short(commit.sha)} ${commit.subject}`);
+    }
+    if (entry.commits.length > MAX_COMMITS) {
+      lines.push(`- … and ${entry.commits.length - MAX_COMMITS} more`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+// Markdown with one section per changed gitlink
+export function renderGitlinkChangelog(entries) {
+  if (entries.length === 0) {
+    return '_No submodule references changed_';
+  }
+  return entries.map(renderEntry).join('\n\n');
+}
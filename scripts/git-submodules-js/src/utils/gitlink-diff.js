@@ -0,0 +1,116 @@
+import simpleGit from 'simple-git';
+import { gitHelpers } from './git.js';
+import { readGitmodules } from './gitmodules.js';
+
+// Submodule name -> path from either a .gitmodules file or a blob such as
+// `HEAD:.gitmodules`
+async function readSubmodulePaths(source) {
+  const paths = new Map();
+  for (const submodule of (await readGitmodules(source)).submodules()) {
+    if (submodule.path !== null) paths.set(submodule.name, submodule.path);
+  }
+  return paths;
+}
+
+function invert(map) {
+  return new Map([...map].map(([key, value]) => [value, key]));
+}
+
+// Gitlinks (mode 160000) recorded in the index, keyed by path
+export async function getIndexGitlinks() {
+  const result = await simpleGit().raw(['ls-files', '--stage']);
+  const gitlinks = new Map();
+
+  for (const line of result.split('\n')) {
+    const match = line.match(/^160000 ([0-9a-f]+) \d\t(.+)$/);
+    if (match) gitlinks.set(match[2], match[1]);
+  }
+  return gitlinks;
+}
+
+// Every submodule change between `base` and `head`, or the working tree
+// (staged or not) when no head is given. Each change is
+// { kind, path, from, name, oldSha, newSha, staged } where kind is added,
+// removed, moved or updated and `from` is the old path of a move.
+export async function detectGitlinkChanges(base = 'HEAD', head = null) {
+  const diff = await gitHelpers.getGitlinkChanges(head ? [base, head] : [base]);
+  const index = head ? null : await getIndexGitlinks();
+  const oldNames = invert(await readSubmodulePaths({ blob: `${base}:.gitmodules` }));
+  const newNames = invert(await readSubmodulePaths(head ? { blob: `${head}:.gitmodules` } : { file: '.gitmodules' }));
+
+  const removed = diff.filter(change => !change.newSha);
+  const added = diff.filter(change => !change.oldSha);
+  const changes = diff
+    .filter(change => change.oldSha && change.newSha)
+    .map(change => ({ ...change, kind: 'updated', from: null, name: newNames.get(change.path) ?? null }));
+
+  // A removed and an added gitlink form a move when .gitmodules keeps the
+  // submodule name for the new path, or failing that when the commit matches
+  for (const gone of removed) {
+    const name = oldNames.get(gone.path);
+    const target = added.find(change => name && newNames.get(change.path) === name)
+      ?? added.find(change => change.newSha === gone.oldSha);
+
+    if (target) {
+      added.splice(added.indexOf(target), 1);
+      changes.push({ ...target, kind: 'moved', from: gone.path, oldSha: gone.oldSha, name: name ?? null });
+    } else {
+      changes.push({ ...gone, kind: 'removed', from: null, name: name ?? null });
+    }
+  }
+  for (const change of added) {
+    changes.push({ ...change, kind: 'added', from: null, name: newNames.get(change.path) ?? null });
+  }
+
+  for (const change of changes) {
+    if (!index) {
+      change.staged = true;
+      continue;
+    }
+    const pathStaged = change.newSha ? index.get(change.path) === change.newSha : !index.has(change.path);
+    change.staged = pathStaged && !(change.from && index.has(change.from));
+  }
+
+  return changes.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// Paths to stage or commit for the given changes; .gitmodules is included
+// whenever a submodule was added, removed or moved
+export function getGitlinkPaths(changes) {
+  const paths = new Set();
+  for (const change of changes) {
+    if (change.from) paths.add(change.from);
+    paths.add(change.path);
+  }
+  if (changes.some(change => change.kind !== 'updated')) {
+    paths.add('.gitmodules');
+  }
+  return [...paths];
+}
+
+// Stage the changes that are not staged yet (git add -A also records removals)
+export async function stageGitlinkChanges(changes) {
+  const paths = getGitlinkPaths(changes.filter(change => !change.staged));
+  if (paths.length > 0) {
+    await gitHelpers.add(['-A', '--', ...paths]);
+  }
+  return paths;
+}
+
+const short = sha => sha.slice(0, 7);
+
+// One-line description, e.g. "services/a: 1234567 -> 89abcde"
+export function describeGitlinkChange(change) {
+  switch (change.kind) {
+    case 'added':
+      return `${change.path}: added at ${short(change.newSha)}`;
+    case 'removed':
+      return `${change.path}: removed (was ${short(change.oldSha)})`;
+    case 'moved':
+      return change.oldSha === change.newSha
+        ? `${change.path}: moved from ${change.from}`
+        : `${change.path}: moved from ${change.from}, ${short(change.oldSha)} -> ${short(change.newSha)}`;
+    default:
+      return `${change.path}: ${short(change.oldSha)} -> ${short(change.newSha)}`;
+  }
+}
@@ -0,0 +1,107 @@
+import ora from 'ora';
+import { prompt } from './prompt.js';
+import { log, colors } from './colors.js';
+import { gitHelpers } from './git.js';
+
+// Find changed gitlinks whose new commit is not reachable from the submodule's origin
+export async function findUnpushedGitlinks(changes) {
+  const offending = [];
+
+  for (const change of changes) {
+    if (!change.newSha) continue; // Removed submodule, nothing to push
+
+    if (!(await gitHelpers.isSubmodule(change.path))) {
+      offending.push({ ...change, commits: null, reason: 'submodule not checked out' });
+      continue;
+    }
+
+    try {
+      await gitHelpers.fetch(change.path);
+    } catch {
+      // Offline: fall back to the remote-tracking refs we already have
+    }
+
+    const commits = await gitHelpers.getCommitsNotOnRemote(change.newSha, change.path);
+    if (commits === null) {
+      offending.push({ ...change, commits: null, reason: 'commit not found in submodule' });
+    } else if (commits.length > 0) {
+      // Only offer to push the current branch if it actually contains the commit
+      let branch = await gitHelpers.getCurrentBranch(change.path);
+      if (!branch || branch === 'HEAD' || !(await gitHelpers.isAncestor(change.newSha, branch, change.path))) {
+        branch = null;
+      }
+      offending.push({ ...change, commits, branch });
+    }
+  }
+
+  return offending;
+}
+
+// Print the offending gitlinks and the commits missing on origin
+export function reportUnpushedGitlinks(offending) {
+  log.error('These submodule commits are not on origin yet:');
+  for (const item of offending) {
+    console.log(colors.bold(`  ${item.path}`) + colors.dim(` -> ${item.newSha.slice(0, 7)}`));
+    if (!item.commits) {
+      log.item(colors.error(item.reason));
+      continue;
+    }
+    for (const commit of item.commits) {
+      log.item(`${colors.dim(commit.sha.slice(0, 7))} ${commit.subject}`);
+    }
+  }
+}
+
+// Verify that every changed gitlink points at a pushed commit before the
+// parent commit is made. Offers to push the submodule branches first.
+// Returns true when it is safe to commit.
+export async function verifyGitlinksPushed(changes, { interactive = true } = {}) {
+  const spinner = ora('Verifying submodule commits are pushed...').start();
+  const offending = await findUnpushedGitlinks(changes);
+
+  if (offending.length === 0) {
+    spinner.succeed('All submodule commits are on origin');
+    return true;
+  }
+
+  spinner.fail(`${offending.length} submodule(s) point at unpushed commits`);
+  reportUnpushedGitlinks(offending);
+
+  const pushable = offending.filter(item => item.branch);
+  if (!interactive || pushable.length !== offending.length) {
+    if (pushable.length !== offending.length) {
+      log.info('Check out a branch containing the commit in each submodule and push it first');
+    }
+    return false;
+  }
+
+  const { pushFirst } = await prompt([
+    {
+      type: 'confirm',
+      name: 'pushFirst',
+      message: `Push ${pushable.map(item => `${item.path} (${item.branch})`).join(', ')} first?`,
+      default: true,
+      flag: '--yes',
+    },
+  ]);
+
+  if (!pushFirst) {
+    log.warning('Aborting: parent commit would reference unpushed submodule commits');
+    return false;
+  }
+
+  for (const item of pushable) {
+    const pushSpinner = ora(`Pushing ${item.branch} in ${item.path}...`).start();
+    try {
+      const remoteBranchExists = await gitHelpers.remoteBranchExists(item.branch, item.path);
+      await gitHelpers.push(item.path, !remoteBranchExists, item.branch);
+      pushSpinner.succeed(`Pushed ${item.branch} in ${item.path}`);
+    } catch (error) {
+      pushSpinner.fail(`Failed to push ${item.path}: ${error.message}`);
+      return false;
+    }
+  }
+
+  log.success('Submodule commits pushed');
+  return true;
+}
@@ -0,0 +1,369 @@
+import fs from 'fs/promises';
+import simpleGit from 'simple-git';
+import { fsHelpers } from './dry-run.js';
+
+// Reader and writer for .gitmodules in git's config format. The file is kept
+// as a list of lines; edits replace, insert or drop whole lines, so comments,
+// blank lines, ordering and the spelling of untouched entries survive a
+// read-modify-write round trip.
+//
+// Supported syntax is git's: `[submodule "name"]` headers (with \" and \\
+// escapes in the name) and the legacy `[section.sub]` form, `key = value`
+// entries, keys without a value (boolean true), double-quoted values with
+// \" \\ \n \t \b escapes, `#` and `;` comments, and backslash line
+// continuations. Section and key names are case-insensitive.
+
+// Submodule keys with their canonical spelling
+const KEYS = {
+  path: 'path',
+  url: 'url',
+  branch: 'branch',
+  update: 'update',
+  shallow: 'shallow',
+  ignore: 'ignore',
+  fetchrecursesubmodules: 'fetchRecurseSubmodules',
+};
+
+const ESCAPES = { '"': '"', '\\': '\\', n: '\n', t: '\t', b: '\b' };
+
+// git's boolean values; a key without `=` is true
+export function parseBoolean(value) {
+  if (value === null) return true;
+  const normalized = value.trim().toLowerCase();
+  if (['true', 'yes', 'on', '1'].includes(normalized)) return true;
+  if (['false', 'no', 'off', '0', ''].includes(normalized)) return false;
+  return null;
+}
+
+// Parse `[section "subsection"]` or `[section.subsection]` at the start of a
+// line. Returns { section, subsection, length } or null.
+function parseHeader(line) {
+  const quoted = line.match(/^\s*\[\s*([A-Za-z0-9.-]+)\s+"((?:[^"\\\n]|\\.)*)"\s*\]/);
+  if (quoted) {
+    return {
+      section: quoted[1].toLowerCase(),
+      subsection: quoted[2].replace(/\\(.)/g, '$1'),
+      length: quoted[0].length,
+    };
+  }
+
+  const plain = line.match(/^\s*\[\s*([A-Za-z0-9-]+)(?:\.([A-Za-z0-9.-]*))?\s*\]/);
+  if (plain) {
+    return {
+      section: plain[1].toLowerCase(),
+      subsection: plain[2] !== undefined ? plain[2].toLowerCase() : null,
+      length: plain[0].length,
+    };
+  }
+  return null;
+}
+
+// Parse the value after `=`. Returns { value, continued } where continued is
+// true when the line ends with a backslash continuation.
+function parseValue(text) {
+  let value = '';
+  let pending = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (char === '\\') {
+      if (index === text.length - 1) {
+        return { value: value + pending, continued: true };
+      }
+      const next = text[++index];
+      value += pending + (ESCAPES[next] ?? next);
+      pending = '';
+    } else if (char === '"') {
+      value += pending;
+      pending = '';
+      quoted = !quoted;
+    } else if (!quoted && (char === '#' || char === ';')) {
+      break;
+    } else if (!quoted && /\s/.test(char)) {
+      // Whitespace is kept between words and dropped at either end
+      if (value !== '') pending += char;
+    } else {
+      value += pending + char;
+      pending = '';
+    }
+  }
+
+  return { value, continued: false };
+}
+
+function quoteValue(value) {
+  const text = String(value);
+  if (text === '' || /^\s|\s$|[#;"\\\n\t\x08]/.test(text)) {
+    const escaped = text.replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n').replace(/\t/g, '\\t').replace(/\x08/g, '\\b');
+    return `"${escaped}"`;
+  }
+  return text;
+}
+
+function formatHeader(name) {
+  return `[submodule "${name.replace(/[\\"]/g, '\\$&')}"]`;
+}
+
+function formatEntry(key, value) {
+  return value === true ? `\t${key}` : `\t${key} = ${quoteValue(value)}`;
+}
+
+function canonicalKey(key) {
+  return KEYS[key.toLowerCase()] ?? key.toLowerCase();
+}
+
+// Split file content into lines: { raw, kind, section, key, value, joined }.
+// kind is blank, comment, section, entry or invalid; entries carry the
+// section object they belong to. `joined` marks an entry written on the same
+// line as its header.
+function parseLines(text) {
+  const physical = text.split('\n');
+  const lines = [];
+  let section = null;
+
+  for (let index = 0; index < physical.length; index++) {
+    let raw = physical[index];
+    if (index === physical.length - 1 && raw === '') break;
+
+    let rest = raw;
+    let joined = false;
+    const header = parseHeader(raw);
+    if (header) {
+      section = { section: header.section, subsection: header.subsection };
+      rest = raw.slice(header.length);
+      if (!rest.trim() || /^\s*[#;]/.test(rest)) {
+        lines.push({ raw, kind: 'section', section });
+        continue;
+      }
+      lines.push({ raw: raw.slice(0, header.length), kind: 'section', section });
+      raw = rest;
+      joined = true;
+    }
+
+    if (!raw.trim()) {
+      lines.push({ raw, kind: 'blank', section });
+      continue;
+    }
+    if (/^\s*[#;]/.test(raw)) {
+      lines.push({ raw, kind: 'comment', section });
+      continue;
+    }
+
+    const entry = raw.match(/^\s*([A-Za-z][A-Za-z0-9-]*)\s*(?:(=)(.*))?$/);
+    if (!entry || !section) {
+      lines.push({ raw, kind: 'invalid', section });
+      continue;
+    }
+
+    let value = null;
+    if (entry[2]) {
+      let parsed = parseValue(entry[3]);
+      value = parsed.value;
+      while (parsed.continued && index + 1 < physical.length) {
+        raw += `\n${physical[++index]}`;
+        parsed = parseValue(physical[index]);
+        value += parsed.value;
+      }
+    }
+    lines.push({ raw, kind: 'entry', section, key: entry[1], value, joined });
+  }
+
+  return lines;
+}
+
+function isSubmoduleSection(section, name = undefined) {
+  return section?.section === 'submodule' && section.subsection !== null &&
+    (name === undefined || section.subsection === name);
+}
+
+// Typed view of a submodule's settings: shallow is a boolean,
+// fetchRecurseSubmodules a boolean or "on-demand". Unset keys are null.
+function toSubmodule(name, values) {
+  const submodule = { name };
+  for (const key of Object.values(KEYS)) {
+    submodule[key] = values.get(key) ?? null;
+  }
+
+  if (values.has('shallow')) {
+    submodule.shallow = parseBoolean(values.get('shallow'));
+  }
+  if (values.has('fetchRecurseSubmodules') && values.get('fetchRecurseSubmodules') !== 'on-demand') {
+    submodule.fetchRecurseSubmodules = parseBoolean(values.get('fetchRecurseSubmodules'));
+  }
+  return submodule;
+}
+
+// Parse .gitmodules content into an editable document
+export function parseGitmodules(text = '') {
+  let lines = parseLines(text);
+  const trailingNewline = text === '' || text.endsWith('\n');
+
+  // Raw string values by submodule name, last one wins (as in git)
+  function collect() {
+    const submodules = new Map();
+    for (const line of lines) {
+      if (!isSubmoduleSection(line.section)) continue;
+
+      const name = line.section.subsection;
+      if (!submodules.has(name)) submodules.set(name, new Map());
+      if (line.kind === 'entry') {
+        submodules.get(name).set(canonicalKey(line.key), line.value);
+      }
+    }
+    return submodules;
+  }
+
+  // Index just past the last entry (or the header) of the last section `name`
+  function insertionPoint(name) {
+    let point = -1;
+    lines.forEach((line, index) => {
+      if (!isSubmoduleSection(line.section, name)) return;
+      if (line.kind === 'section' || line.kind === 'entry') point = index + 1;
+    });
+    return point;
+  }
+
+  function headerIndexes(name) {
+    return lines
+      .map((line, index) => (line.kind === 'section' && isSubmoduleSection(line.section, name) ? index : -1))
+      .filter(index => index !== -1);
+  }
+
+  return {
+    // Every submodule in file order
+    submodules() {
+      return [...collect()].map(([name, values]) => toSubmodule(name, values));
+    },
+
+    names() {
+      return [...collect().keys()];
+    },
+
+    get(name) {
+      const values = collect().get(name);
+      return values ? toSubmodule(name, values) : null;
+    },
+
+    // The submodule registered at `submodulePath` (exact match), or null
+    findByPath(submodulePath) {
+      const wanted = normalizePath(submodulePath);
+      return this.submodules().find(submodule => submodule.path !== null && normalizePath(submodule.path) === wanted) ?? null;
+    },
+
+    // Raw value of any key (null for a key without `=`, undefined when unset)
+    getValue(name, key) {
+      const values = collect().get(name);
+      const canonical = canonicalKey(key);
+      return values?.has(canonical) ? values.get(canonical) : undefined;
+    },
+
+    // Set a key, replacing its last occurrence or adding it to the section.
+    // `true` writes a key without a value; the section is created if needed.
+    set(name, key, value) {
+      const canonical = canonicalKey(key);
+      const existing = lines.findLastIndex(line => line.kind === 'entry' &&
+        isSubmoduleSection(line.section, name) && canonicalKey(line.key) === canonical);
+
+      if (existing !== -1) {
+        const line = lines[existing];
+        lines[existing] = { ...line, raw: formatEntry(line.key, value), value: value === true ? null : String(value) };
+        return this;
+      }
+
+      let point = insertionPoint(name);
+      if (point === -1) {
+        this.add(name);
+        point = insertionPoint(name);
+      }
+      const section = lines[point - 1].section;
+      lines.splice(point, 0, { raw: formatEntry(canonical, value), kind: 'entry', section, key: canonical, value: value === true ? null : String(value) });
+      return this;
+    },
+
+    // Remove every occurrence of a key
+    unset(name, key) {
+      const canonical = canonicalKey(key);
+      lines = lines.filter(line => !(line.kind === 'entry' && isSubmoduleSection(line.section, name) && canonicalKey(line.key) === canonical));
+      return this;
+    },
+
+    // Append a new submodule section with the given keys (path and url first)
+    add(name, values = {}) {
+      const section = { section: 'submodule', subsection: name };
+      lines.push({ raw: formatHeader(name), kind: 'section', section });
+      for (const [key, value] of Object.entries(values)) {
+        if (value !== null && value !== undefined) this.set(name, key, value);
+      }
+      return this;
+    },
+
+    // Drop every section of a submodule: its header, entries and the comments
+    // between them. Blank lines and comments after the last entry are kept,
+    // as they usually introduce the next section.
+    remove(name) {
+      const kept = [];
+      let trailing = [];
+
+      for (const line of lines) {
+        if (!isSubmoduleSection(line.section, name)) {
+          kept.push(...trailing, line);
+          trailing = [];
+        } else if (line.kind === 'blank' || line.kind === 'comment') {
+          trailing.push({ ...line, section: null });
+        } else {
+          trailing = [];
+        }
+      }
+      lines = [...kept, ...trailing];
+      return this;
+    },
+
+    rename(from, to) {
+      const section = { section: 'submodule', subsection: to };
+      for (const index of headerIndexes(from)) {
+        lines[index] = { raw: formatHeader(to), kind: 'section', section };
+      }
+      lines = lines.map(line => (isSubmoduleSection(line.section, from) ? { ...line, section } : line));
+      return this;
+    },
+
+    toString() {
+      if (lines.length === 0) return '';
+      const text = lines.reduce((out, line, index) => {
+        if (index === 0) return line.raw;
+        return out + (line.joined ? '' : '\n') + line.raw;
+      }, '');
+      return trailingNewline ? `${text}\n` : text;
+    },
+  };
+}
+
+function normalizePath(submodulePath) {
+  return submodulePath.replace(/^(\.\/)+/, '').replace(/\/+$/, '');
+}
+
+// Read .gitmodules from the working tree, or from a blob such as
+// `HEAD:.gitmodules`. A missing file reads as an empty document.
+export async function readGitmodules({ file = '.gitmodules', blob = null } = {}) {
+  if (blob) {
+    try {
+      return parseGitmodules(await simpleGit().raw(['cat-file', 'blob', blob]));
+    } catch {
+      // No .gitmodules in that commit
+      return parseGitmodules('');
+    }
+  }
+
+  try {
+    return parseGitmodules(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return parseGitmodules('');
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+export async function writeGitmodules(document, file = '.gitmodules') {
+  await fsHelpers.writeFile(file, document.toString());
+}
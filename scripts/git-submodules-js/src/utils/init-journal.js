@@ -0,0 +1,197 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { execa } from 'execa';
+import { gitHelpers } from './git.js';
+import { dryRun, fsHelpers } from './dry-run.js';
+
+const JOURNAL_DIR = 'submodule-cli/init';
+
+// Journal of the folder-to-submodule conversions made by `init`, kept in the
+// parent's .git directory next to a backup of every folder being converted:
+//
+// { "startedAt", "services": [{ "folder", "path", "kind", "status", "current",
+//   "steps": [...], "repo": { "name", "url" }, "head", "branch", "error" }] }
+//
+// status is in-progress, done, rolled-back or failed (a rollback that did not
+// finish). `current` is the step that was running; `steps` the ones that
+// completed. The journal and the backups are removed once a run finishes.
+
+async function getJournalDir() {
+  return gitHelpers.getGitPath(JOURNAL_DIR);
+}
+
+async function getJournalPath() {
+  return path.join(await getJournalDir(), 'journal.json');
+}
+
+// Backup of one service: tree/ (the folder as it was, including .git and
+// untracked and ignored files), index (the parent's index) and gitmodules
+export async function getBackupDir(entry) {
+  return path.join(await getJournalDir(), 'backups', entry.folder);
+}
+
+export const initJournal = {
+  async load() {
+    try {
+      return JSON.parse(await fs.readFile(await getJournalPath(), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Cannot read the init journal: ${error.message}`);
+    }
+  },
+
+  create() {
+    return { startedAt: new Date().toISOString(), services: [] };
+  },
+
+  // A dry run changes nothing, so there is nothing to journal
+  async save(journal) {
+    if (dryRun.enabled) return;
+    const journalPath = await getJournalPath();
+    await fs.mkdir(path.dirname(journalPath), { recursive: true });
+    await fs.writeFile(journalPath, JSON.stringify(journal, null, 2) + '\n');
+  },
+
+  async clear() {
+    if (dryRun.enabled) return;
+    await fs.rm(await getJournalDir(), { recursive: true, force: true });
+  },
+};
+
+async function exists(target) {
+  try {
+    await fs.lstat(target);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Copy a folder verbatim: dotfiles, .git, ignored files and symlinks included
+async function copyTree(from, to) {
+  await fs.cp(from, to, { recursive: true, verbatimSymlinks: true, force: true, errorOnExist: false });
+}
+
+// Back up a service folder and the parent state its conversion touches
+export async function backupService(entry) {
+  const backupDir = await getBackupDir(entry);
+  await dryRun.run('fs', `cp -a ${entry.path} ${path.join(backupDir, 'tree')}`, async () => {
+    await fs.rm(backupDir, { recursive: true, force: true });
+    await fs.mkdir(backupDir, { recursive: true });
+    await copyTree(entry.path, path.join(backupDir, 'tree'));
+    await fs.copyFile(await gitHelpers.getGitPath('index'), path.join(backupDir, 'index')).catch(() => {});
+    await fs.copyFile('.gitmodules', path.join(backupDir, 'gitmodules')).catch(() => {});
+  });
+}
+
+// Remove what `git submodule add` leaves behind for a path: the checkout, its
+// git directory under .git/modules and the submodule section in .git/config
+export async function removeSubmoduleLeftovers(submodulePath) {
+  await fsHelpers.rm(submodulePath);
+  await fsHelpers.rm(await gitHelpers.getGitPath(`modules/${submodulePath}`));
+  try {
+    await dryRun.exec('git', ['config', '--remove-section', `submodule.${submodulePath}`]);
+  } catch {
+    // No section to remove
+  }
+}
+
+// Put a service folder and the parent's index and .gitmodules back the way
+// they were before the conversion started
+export async function restoreService(entry) {
+  const backupDir = await getBackupDir(entry);
+  const tree = path.join(backupDir, 'tree');
+  if (!(await exists(tree))) {
+    throw new Error(`No backup of ${entry.path} found in ${backupDir}`);
+  }
+
+  if (entry.steps.includes('add-submodule') || entry.current === 'add-submodule') {
+    await removeSubmoduleLeftovers(entry.path);
+  } else {
+    await fsHelpers.rm(entry.path);
+  }
+  await dryRun.run('fs', `cp -a ${tree} ${entry.path}`, () => copyTree(tree, entry.path));
+
+  const gitmodulesBackup = path.join(backupDir, 'gitmodules');
+  if (await exists(gitmodulesBackup)) {
+    await fsHelpers.copyFile(gitmodulesBackup, '.gitmodules');
+  } else {
+    await fsHelpers.rm('.gitmodules');
+  }
+
+  const indexBackup = path.join(backupDir, 'index');
+  if (await exists(indexBackup)) {
+    await fsHelpers.copyFile(indexBackup, await gitHelpers.getGitPath('index'));
+  }
+}
+
+// List the files, directories and symlinks under a folder (without its .git)
+// with a digest of their contents
+async function listTree(root, dir = '', entries = new Map()) {
+  for (const item of await fs.readdir(path.join(root, dir), { withFileTypes: true })) {
+    const relative = path.join(dir, item.name);
+    if (relative === '.git') continue;
+
+    const absolute = path.join(root, relative);
+    if (item.isSymbolicLink()) {
+      entries.set(relative, `link:${await fs.readlink(absolute)}`);
+    } else if (item.isDirectory()) {
+      entries.set(relative, 'dir');
+      await listTree(root, relative, entries);
+    } else {
+      const hash = crypto.createHash('sha1').update(await fs.readFile(absolute)).digest('hex');
+      entries.set(relative, `file:${hash}`);
+    }
+  }
+  return entries;
+}
+
+// Bring the files of the backup into the new checkout (uncommitted changes,
+// untracked and ignored files), and drop files the original did not have
+export async function restoreWorkingFiles(entry) {
+  const tree = path.join(await getBackupDir(entry), 'tree');
+  await dryRun.run('fs', `rsync ${tree}/ ${entry.path}/ (without .git)`, async () => {
+    const original = await listTree(tree);
+    const checkout = await listTree(entry.path);
+    for (const [relative] of checkout) {
+      if (!original.has(relative)) {
+        await fs.rm(path.join(entry.path, relative), { recursive: true, force: true });
+      }
+    }
+    for (const item of await fs.readdir(tree)) {
+      if (item === '.git') continue;
+      await copyTree(path.join(tree, item), path.join(entry.path, item));
+    }
+  });
+}
+
+// Check the new checkout against the backup. Returns a list of problems.
+export async function verifyCheckout(entry) {
+  const problems = [];
+
+  const original = await listTree(path.join(await getBackupDir(entry), 'tree'));
+  const checkout = await listTree(entry.path);
+  const differing = [...new Set([...original.keys(), ...checkout.keys()])]
+    .filter(relative => original.get(relative) !== checkout.get(relative))
+    .sort();
+  if (differing.length > 0) {
+    const listed = differing.slice(0, 5).join(', ');
+    problems.push(`${differing.length} path(s) differ from the original folder: ${listed}${differing.length > 5 ? ', ...' : ''}`);
+  }
+
+  const { stdout: head } = await execa('git', ['rev-parse', 'HEAD'], { cwd: entry.path });
+  if (entry.head && head.trim() !== entry.head) {
+    problems.push(`checkout is at ${head.trim().slice(0, 7)}, the original folder was at ${entry.head.slice(0, 7)}`);
+  }
+
+  const { stdout: staged } = await execa('git', ['ls-files', '--stage', '--', entry.path]);
+  const gitlink = staged.match(/^160000 ([0-9a-f]{40})/);
+  if (!gitlink) {
+    problems.push(`${entry.path} is not staged as a submodule`);
+  } else if (gitlink[1] !== head.trim()) {
+    problems.push(`staged gitlink ${gitlink[1].slice(0, 7)} does not match the checkout`);
+  }
+
+  return problems;
+}
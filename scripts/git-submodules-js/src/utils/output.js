@@ -0,0 +1,75 @@
+import { dryRun } from './dry-run.js';
+
+export const FORMATS = ['text', 'json', 'ndjson'];
+
+// Read --json / --format=<format> from raw arguments (for direct script runs)
+export function parseFormatArgs(args) {
+  if (args.includes('--json')) return 'json';
+  const inline = args.find(arg => arg.startsWith('--format='));
+  if (inline) return inline.slice('--format='.length);
+  const index = args.indexOf('--format');
+  return index !== -1 && args[index + 1] ? args[index + 1] : 'text';
+}
+
+// Structured output for --json / --format=ndjson. In machine-readable mode
+// everything a command prints for humans (logs, spinners, prompts) is sent to
+// stderr so that stdout only carries JSON.
+export const output = {
+  format: 'text',
+  command: null,
+  records: [],
+  result: null,
+  writeOut: null,
+
+  get isMachine() {
+    return this.format !== 'text';
+  },
+
+  configure(format, command = null) {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown output format '${format}' (expected one of: ${FORMATS.join(', ')})`);
+    }
+
+    this.format = format;
+    this.command = command;
+    if (!this.isMachine) return;
+
+    this.writeOut = process.stdout.write.bind(process.stdout);
+    process.stdout.write = process.stderr.write.bind(process.stderr);
+    process.once('exit', (code) => this.flush(code));
+  },
+
+  // Emit a single record (one per submodule/repository). Streamed for ndjson.
+  emit(record) {
+    if (!this.isMachine) return;
+
+    if (this.format === 'ndjson') {
+      this.writeOut(JSON.stringify({ type: 'record', command: this.command, ...record }) + '\n');
+    } else {
+      this.records.push(record);
+    }
+  },
+
+  // Record the final result of the command
+  summary(result) {
+    if (!this.isMachine) return;
+    this.result = { ...this.result, ...result };
+  },
+
+  flush(code = 0) {
+    const result = {
+      command: this.command,
+      success: code === 0,
+      ...this.result,
+    };
+    if (dryRun.enabled) {
+      result.plan = dryRun.plan;
+    }
+
+    if (this.format === 'ndjson') {
+      this.writeOut(JSON.stringify({ type: 'summary', ...result }) + '\n');
+    } else {
+      this.writeOut(JSON.stringify({ ...result, results: this.records }, null, 2) + '\n');
+    }
+  },
+};
@@ -0,0 +1,180 @@
+import fs from 'fs/promises';
+import simpleGit from 'simple-git';
+
+// Conventional Commit types in the order they appear in PR descriptions
+const COMMIT_TYPES = [
+  { type: 'feat', title: '✨ Features' },
+  { type: 'fix', title: '🐛 Fixes' },
+  { type: 'perf', title: '⚡ Performance' },
+  { type: 'refactor', title: '♻️ Refactoring' },
+  { type: 'docs', title: '📝 Documentation' },
+  { type: 'test', title: '✅ Tests' },
+  { type: 'build', title: '📦 Build' },
+  { type: 'ci', title: '👷 CI' },
+  { type: 'style', title: '🎨 Style' },
+  { type: 'chore', title: '🔧 Chores' },
+  { type: 'revert', title: '⏪ Reverts' },
+];
+const OTHER_TITLE = '📌 Other Changes';
+const MAX_FILES = 30;
+
+const CONVENTIONAL = /^(\w+)(?:\(([^)]+)\))?(!)?:\s*(.+)$/;
+const CLOSING_REFS = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\s*:?\s+((?:[\w.-]+\/[\w.-]+)?#\d+)/gi;
+
+function parseCommit(sha, subject, body) {
+  const match = subject.match(CONVENTIONAL);
+  const known = match && COMMIT_TYPES.some(entry => entry.type === match[1].toLowerCase());
+
+  return {
+    sha,
+    subject,
+    body: body.trim(),
+    type: known ? match[1].toLowerCase() : null,
+    scope: known ? match[2] ?? null : null,
+    breaking: Boolean(known && match[3]) || /^BREAKING[ -]CHANGE:/m.test(body),
+    description: known ? match[4] : subject,
+  };
+}
+
+// Collect everything a PR description is built from: the commits in
+// base..head, closing references in their messages and the diff stats
+export async function collectPRContext(dir, base, head = 'HEAD') {
+  const gitInstance = simpleGit(dir);
+
+  const log = await gitInstance.raw(['log', '--reverse', '--format=%H%x1f%s%x1f%b%x1e', `${base}..${head}`]);
+  const commits = log
+    .split('\x1e')
+    .map(record => record.trim())
+    .filter(Boolean)
+    .map(record => {
+      const [sha, subject, body = ''] = record.split('\x1f');
+      return parseCommit(sha, subject, body);
+    });
+
+  const closes = new Set();
+  for (const commit of commits) {
+    for (const match of `${commit.subject}\n${commit.body}`.matchAll(CLOSING_REFS)) {
+      closes.add(match[1]);
+    }
+  }
+
+  // Three-dot diff: changes on the branch since it forked from base
+  const numstat = await gitInstance.raw(['diff', '--numstat', `${base}...${head}`]);
+  const files = numstat
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      const [added, deleted, ...file] = line.split('\t');
+      return {
+        file: file.join('\t'),
+        added: added === '-' ? null : Number(added),
+        deleted: deleted === '-' ? null : Number(deleted),
+      };
+    });
+
+  return {
+    base,
+    head,
+    commits,
+    closes: [...closes],
+    files,
+    stats: {
+      files: files.length,
+      insertions: files.reduce((sum, file) => sum + (file.added ?? 0), 0),
+      deletions: files.reduce((sum, file) => sum + (file.deleted ?? 0), 0),
+    },
+  };
+}
+
+// Title from the commits: the subject of a single commit, otherwise
+// "<most significant type>(<scope>): <feature>"
+export function generateTitle(context, scope, featureName) {
+  if (context.commits.length === 1) {
+    return context.commits[0].subject;
+  }
+
+  const types = new Set(context.commits.map(commit => commit.type));
+  const type = COMMIT_TYPES.find(entry => types.has(entry.type))?.type ?? 'feat';
+  return `${type}(${scope}): ${featureName}`;
+}
+
+function formatCommit(commit) {
+  const scope = commit.scope ? `**${commit.scope}:** ` : '';
+  const breaking = commit.breaking ? ' ⚠️ **BREAKING**' : '';
+  return `- ${scope}${commit.description} (${commit.sha.slice(0, 7)})${breaking}`;
+}
+
+// Sections of the generated description, also used as template values
+export function renderSections(context) {
+  const { commits, stats, files, closes } = context;
+
+  const summary = `${commits.length} commit(s) since \`${context.base}\`: `
+    + `${stats.files} file(s) changed, +${stats.insertions} / -${stats.deletions}`;
+
+  const groups = [];
+  for (const { type, title } of COMMIT_TYPES) {
+    const matching = commits.filter(commit => commit.type === type);
+    if (matching.length > 0) {
+      groups.push(`### ${title}\n${matching.map(formatCommit).join('\n')}`);
+    }
+  }
+  const other = commits.filter(commit => !commit.type);
+  if (other.length > 0) {
+    groups.push(`### ${OTHER_TITLE}\n${other.map(formatCommit).join('\n')}`);
+  }
+
+  const rows = files.slice(0, MAX_FILES).map(file => {
+    const added = file.added === null ? 'bin' : `+${file.added}`;
+    const deleted = file.deleted === null ? 'bin' : `-${file.deleted}`;
+    return `| \`${file.file}\` | ${added} | ${deleted} |`;
+  });
+  if (files.length > MAX_FILES) {
+    rows.push(`| … and ${files.length - MAX_FILES} more | | |`);
+  }
+
+  const breaking = commits.filter(commit => commit.breaking);
+
+  return {
+    summary,
+    changes: groups.join('\n\n') || '_No commits_',
+    commits: commits.map(commit => `- ${commit.subject} (${commit.sha.slice(0, 7)})`).join('\n'),
+    files: rows.length > 0 ? `| File | Added | Deleted |\n|------|-------|---------|\n${rows.join('\n')}` : '_No file changes_',
+    stats: `${stats.files} file(s) changed, +${stats.insertions} / -${stats.deletions}`,
+    closes: closes.map(ref => `Closes ${ref}`).join('\n'),
+    breaking: breaking.map(formatCommit).join('\n'),
+  };
+}
+
+export function generateBody(context) {
+  const sections = renderSections(context);
+
+  const parts = [`## Summary\n${sections.summary}`, `## Changes\n${sections.changes}`];
+  if (sections.breaking) {
+    parts.push(`## ⚠️ Breaking Changes\n${sections.breaking}`);
+  }
+  parts.push(`## Files Changed\n${sections.files}`);
+  if (sections.closes) {
+    parts.push(`## Related Issues\n${sections.closes}`);
+  }
+  parts.push('---\n*Auto-generated by submodule workflow script*');
+
+  return parts.join('\n\n');
+}
+
+// Render a PR template file. {{summary}}, {{changes}}, {{commits}}, {{files}},
+// {{stats}}, {{closes}}, {{breaking}} and any extra values passed in (e.g.
+// {{service}}, {{branch}}) are substituted. A template without placeholders is
+// kept as-is with the generated description appended below it.
+export async function renderTemplate(file, context, values = {}) {
+  const template = await fs.readFile(file, 'utf-8');
+  const all = { ...renderSections(context), ...values };
+
+  let used = false;
+  const rendered = template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) => {
+    if (!Object.hasOwn(all, key)) return placeholder;
+    used = true;
+    return all[key];
+  });
+
+  return used ? rendered : `${template.trimEnd()}\n\n${generateBody(context)}`;
+}
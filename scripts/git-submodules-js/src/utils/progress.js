@@ -0,0 +1,119 @@
+import ora from 'ora';
+import { log, format, colors, icons } from './colors.js';
+
+// Reporter that prints straight to the console, with ora spinners
+export const consoleReporter = {
+  section: log.section,
+  item: log.item,
+  success: log.success,
+  warning: log.warning,
+  error: log.error,
+  info: log.info,
+  spinner: (text) => ora(text).start(),
+};
+
+// Reporter that keeps a task's output in its own buffer and mirrors the
+// current step into a progress board row
+export function createBufferedReporter(name, board) {
+  const lines = [];
+  const push = (line) => lines.push(line);
+
+  return {
+    lines,
+    section: (title) => push(format.section(title)),
+    item: (message) => push(format.item(message)),
+    success: (message) => push(format.success(message)),
+    warning: (message) => push(format.warning(message)),
+    error: (message) => push(format.error(message)),
+    info: (message) => push(format.info(message)),
+    spinner(text) {
+      board.update(name, 'running', text);
+      return {
+        set text(value) {
+          board.update(name, 'running', value);
+        },
+        succeed: (message = text) => {
+          push(`${colors.success('✔')} ${message}`);
+          board.update(name, 'running', message);
+        },
+        fail: (message = text) => {
+          push(`${colors.error('✖')} ${message}`);
+          board.update(name, 'running', message);
+        },
+        warn: (message = text) => {
+          push(`${colors.warning('⚠')} ${message}`);
+          board.update(name, 'running', message);
+        },
+      };
+    },
+  };
+}
+
+const STATUS_ICONS = {
+  pending: colors.dim(icons.dot),
+  running: colors.info(icons.arrow),
+  success: colors.success(icons.check),
+  failed: colors.error(icons.cross),
+};
+
+// Multi-line progress view with one row per task. Rows are redrawn in place
+// on a TTY; otherwise each finished task is printed once.
+export function createProgressBoard(names, { stream = process.stderr } = {}) {
+  const width = Math.max(...names.map(name => name.length));
+  const rows = new Map(names.map(name => [name, { status: 'pending', text: 'waiting' }]));
+  const interactive = Boolean(stream.isTTY);
+  let drawn = 0;
+
+  const formatRow = (name, row) => {
+    // Keep rows on a single line so the cursor math for redraws stays right
+    const maxText = interactive && stream.columns ? Math.max(stream.columns - width - 7, 10) : Infinity;
+    const plain = row.text.length > maxText ? `${row.text.slice(0, maxText - 1)}…` : row.text;
+    const text = row.status === 'failed' ? colors.error(plain) : colors.dim(plain);
+    return `  ${STATUS_ICONS[row.status]} ${name.padEnd(width)}  ${text}`;
+  };
+
+  const render = () => {
+    if (drawn > 0) {
+      stream.write(`\x1b[${drawn}A`);
+    }
+    for (const [name, row] of rows) {
+      stream.write(`\x1b[2K${formatRow(name, row)}\n`);
+    }
+    drawn = rows.size;
+  };
+
+  if (interactive) {
+    render();
+  }
+
+  return {
+    update(name, status, text) {
+      const row = rows.get(name);
+      const finished = status !== row.status && (status === 'success' || status === 'failed');
+      row.status = status;
+      row.text = text ?? row.text;
+
+      if (interactive) {
+        render();
+      } else if (finished) {
+        stream.write(formatRow(name, row) + '\n');
+      }
+    },
+  };
+}
+
+// Map over items with at most `limit` running at once, preserving order
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+}
@@ -0,0 +1,64 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { execa } from 'execa';
+import { getConfig } from './config.js';
+
+// Directory the CLI was started from, before moving to the superproject root
+const invocationDir = process.cwd();
+let projectRoot = null;
+
+async function revParse(flag, cwd) {
+  try {
+    const { stdout } = await execa('git', ['rev-parse', flag], { cwd });
+    return stdout.trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+// Find the superproject working tree for a directory. From inside a submodule
+// this is the parent repository, otherwise the repository's own top level.
+export async function findProjectRoot(startDir = invocationDir) {
+  const superproject = await revParse('--show-superproject-working-tree', startDir);
+  if (superproject) {
+    return superproject;
+  }
+  return revParse('--show-toplevel', startDir);
+}
+
+// Change into the superproject root so every git operation (and every relative
+// path such as .gitmodules or services/) resolves against it. Safe to call
+// from every command; the root is only resolved once.
+export async function enterProjectRoot() {
+  if (!projectRoot) {
+    projectRoot = await findProjectRoot();
+    if (!projectRoot) {
+      throw new Error(`Not inside a git repository: ${invocationDir}`);
+    }
+  }
+
+  if (process.cwd() !== projectRoot) {
+    process.chdir(projectRoot);
+  }
+  return projectRoot;
+}
+
+export function getInvocationDir() {
+  return invocationDir;
+}
+
+// Name of the service the CLI was invoked from (inside <servicesDir>/<svc>), or null
+export async function inferCurrentService() {
+  const root = await enterProjectRoot();
+  const { servicesDir } = await getConfig();
+
+  // The root comes from git with symlinks resolved, so compare real paths
+  const relative = path.relative(root, await fs.realpath(invocationDir)).split(path.sep);
+  const servicesParts = servicesDir.split('/').filter(Boolean);
+  const inServicesDir = servicesParts.every((part, index) => relative[index] === part);
+
+  if (!inServicesDir || relative.length <= servicesParts.length) {
+    return null;
+  }
+  return relative[servicesParts.length];
+}
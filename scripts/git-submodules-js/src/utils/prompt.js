@@ -0,0 +1,107 @@
+import fs from 'fs';
+import inquirer from 'inquirer';
+import { EXIT_CODES } from './exit-codes.js';
+
+// A prompt was needed while prompts are disabled
+export class InputRequiredError extends Error {
+  constructor(question) {
+    const hint = question.flag ? `pass ${question.flag}` : 'run it from an interactive terminal';
+    super(`Input required for "${question.message}" but prompts are disabled; ${hint}`);
+    this.name = 'InputRequiredError';
+    this.flag = question.flag ?? null;
+    this.exitCode = EXIT_CODES.inputRequired;
+  }
+}
+
+// --yes answers confirmations with yes and other prompts with their default;
+// --no-input answers nothing. Either way the CLI never waits for input, and
+// neither does it without a TTY on stdin.
+const settings = {
+  assumeYes: false,
+  input: true,
+};
+
+// Read --yes / --no-input from raw arguments (for direct script runs)
+export function parsePromptArgs(args) {
+  return { yes: args.includes('--yes'), input: !args.includes('--no-input') };
+}
+
+export function configurePrompts({ yes = false, input = true } = {}) {
+  settings.assumeYes = Boolean(yes);
+  settings.input = input !== false;
+}
+
+export function promptsEnabled() {
+  return settings.input && !settings.assumeYes && Boolean(process.stdin.isTTY);
+}
+
+// Scripted answers for non-interactive runs (tests, CI), keyed by question
+// name. SUBMODULE_CLI_ANSWERS holds JSON or the path of a JSON file. A list
+// answers repeated prompts of the same name in order (for checkbox prompts,
+// a list of lists).
+let scripted;
+
+function loadScriptedAnswers() {
+  if (scripted !== undefined) return scripted;
+
+  const source = process.env.SUBMODULE_CLI_ANSWERS;
+  if (!source) {
+    scripted = null;
+    return scripted;
+  }
+
+  const text = source.trim().startsWith('{') ? source : fs.readFileSync(source, 'utf-8');
+  scripted = JSON.parse(text);
+  return scripted;
+}
+
+function takeScriptedAnswer(answers, question) {
+  const value = answers[question.name];
+  const queued = question.type === 'checkbox' ? Array.isArray(value?.[0]) : Array.isArray(value);
+  if (!queued) return value;
+
+  if (value.length === 0) {
+    throw new Error(`Scripted answers for prompt '${question.name}' ran out: ${question.message}`);
+  }
+  return value.shift();
+}
+
+// Answer a question without asking, or return undefined
+function answerWithoutAsking(question) {
+  if (question.answer !== undefined) return question.answer;
+
+  const answers = loadScriptedAnswers();
+  if (answers && question.name in answers) return takeScriptedAnswer(answers, question);
+
+  if (settings.assumeYes) {
+    if (question.type === 'confirm') return true;
+    if (question.default !== undefined) return question.default;
+  }
+  return undefined;
+}
+
+// Drop-in replacement for inquirer.prompt. Besides the inquirer fields a
+// question may carry:
+//   answer  the value given on the command line (undefined: ask)
+//   flag    the option(s) that answer it, named when prompting is impossible
+// Questions are answered from the flag, then SUBMODULE_CLI_ANSWERS, then
+// --yes, and only then by asking.
+export async function prompt(questions) {
+  const result = {};
+  for (const { answer, flag, ...question } of [].concat(questions)) {
+    if (typeof question.when === 'function' && !(await question.when(result))) continue;
+    if (question.when === false) continue;
+
+    const value = answerWithoutAsking({ ...question, answer });
+    if (value !== undefined) {
+      result[question.name] = value;
+      continue;
+    }
+
+    if (!promptsEnabled()) {
+      throw new InputRequiredError({ ...question, flag });
+    }
+    Object.assign(result, await inquirer.prompt([{ ...question, when: undefined }], result));
+  }
+  return result;
+}
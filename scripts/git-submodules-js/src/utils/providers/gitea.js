@@ -0,0 +1,136 @@
+import { gitHelpers } from '../git.js';
+import { createRestClient } from './rest.js';
+
+const DRAFT_PREFIX = /^\s*(?:WIP:|\[WIP\])\s*/i;
+const PAGE_SIZE = 50;
+
+// Map a Gitea pull request onto the PR record shared by all providers
+function toPR(pr) {
+  let state = 'OPEN';
+  if (pr.merged) state = 'MERGED';
+  else if (pr.state === 'closed') state = 'CLOSED';
+
+  return {
+    number: pr.number,
+    url: pr.html_url,
+    state,
+    isDraft: Boolean(pr.draft) || DRAFT_PREFIX.test(pr.title),
+    title: pr.title,
+    body: pr.body ?? '',
+    mergeCommit: pr.merge_commit_sha ? { oid: pr.merge_commit_sha } : null,
+    reviewDecision: null,
+    headRefName: pr.head?.ref ?? null,
+  };
+}
+
+// Gitea (and Forgejo) over the REST API v1. The token is read from GITEA_TOKEN
+// unless the host settings name another variable.
+export function createGiteaProvider({ dir = '.', remote, settings = {} }) {
+  const tokenEnv = settings.tokenEnv ?? 'GITEA_TOKEN';
+  const api = createRestClient({
+    name: 'Gitea',
+    baseUrl: (settings.apiUrl ?? `https://${remote.host}/api/v1`).replace(/\/$/, ''),
+    headers: process.env[tokenEnv] ? { Authorization: `token ${process.env[tokenEnv]}` } : {},
+  });
+  const repo = `/repos/${remote.path}`;
+
+  // Gitea cannot filter pulls by head branch, so page through them until
+  // `limit` pulls were read, a page holds one matching `until`, or the pages
+  // run out
+  async function listPulls(state, { limit = Infinity, until = () => false } = {}) {
+    const prs = [];
+    for (let page = 1; prs.length < limit; page++) {
+      const batch = (await api.get(`${repo}/pulls?state=${state}&sort=recentupdate&limit=${PAGE_SIZE}&page=${page}`)).map(toPR);
+      prs.push(...batch);
+      if (batch.length < PAGE_SIZE || batch.some(until)) break;
+    }
+    return prs.slice(0, limit);
+  }
+
+  return {
+    type: 'gitea',
+    label: 'Gitea',
+    dir,
+    remote,
+
+    async checkAccess() {
+      if (!process.env[tokenEnv]) {
+        return { message: `${tokenEnv} is not set`, hint: `Create an access token on ${remote.host} and export it as ${tokenEnv}` };
+      }
+      try {
+        await api.get('/user');
+        return null;
+      } catch (error) {
+        return { message: `Cannot reach Gitea at ${api.baseUrl}`, hint: error.message };
+      }
+    },
+
+    async getCurrentUser() {
+      return (await api.get('/user')).login;
+    },
+
+    async repoExists(name, namespace = null) {
+      const owner = namespace ?? await this.getCurrentUser();
+      return Boolean(await api.find(`/repos/${owner}/${name}`));
+    },
+
+    async createRepo(name, { visibility = 'private', namespace = null } = {}) {
+      const user = await this.getCurrentUser();
+      const owner = namespace ?? user;
+      const endpoint = owner === user ? '/user/repos' : `/orgs/${owner}/repos`;
+
+      const created = await api.send('POST', endpoint, { name, private: visibility !== 'public' });
+      return { name, url: created?.ssh_url ?? `git@${remote.host}:${owner}/${name}.git` };
+    },
+
+    async getRepoUrl(name, namespace = null) {
+      const owner = namespace ?? await this.getCurrentUser();
+      const existing = await api.find(`/repos/${owner}/${name}`);
+      return existing?.ssh_url ?? `git@${remote.host}:${owner}/${name}.git`;
+    },
+
+    async setDefaultBranch(name, branch, namespace = null) {
+      const owner = namespace ?? await this.getCurrentUser();
+      await api.send('PATCH', `/repos/${owner}/${name}`, { default_branch: branch });
+    },
+
+    async createPR({ title, body, base, head = null, draft = false }) {
+      const created = await api.send('POST', `${repo}/pulls`, {
+        head: head ?? await gitHelpers.getCurrentBranch(dir),
+        base,
+        title: draft ? `WIP: ${title}` : title,
+        body,
+      });
+      return created ? { number: created.number, url: created.html_url } : { number: '(dry run)', url: '(dry run)' };
+    },
+
+    async updatePR(number, { title, body }) {
+      await api.send('PATCH', `${repo}/pulls/${number}`, { title, body });
+    },
+
+    // Reads until an open PR for the branch turns up, else through the 500
+    // most recently updated PRs, as findPR is polled by "feature land"
+    async findPR(branch) {
+      try {
+        const isOpenForBranch = pr => pr.headRefName === branch && pr.state === 'OPEN';
+        const prs = (await listPulls('all', { limit: 500, until: isOpenForBranch })).filter(pr => pr.headRefName === branch);
+        return prs.find(pr => pr.state === 'OPEN') ?? prs[0] ?? null;
+      } catch {
+        return null;
+      }
+    },
+
+    async getPR(number) {
+      const pr = await api.find(`${repo}/pulls/${number}`);
+      return pr ? toPR(pr) : null;
+    },
+
+    async listMergedPRs(limit = 100) {
+      try {
+        return (await listPulls('closed', { limit })).filter(pr => pr.state === 'MERGED');
+      } catch {
+        return [];
+      }
+    },
+  };
+}
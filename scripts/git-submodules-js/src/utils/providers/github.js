@@ -0,0 +1,113 @@
+import { execa } from 'execa';
+import { dryRun } from '../dry-run.js';
+
+const PR_FIELDS = 'number,url,state,isDraft,title,body,mergeCommit,reviewDecision';
+
+// GitHub (and GitHub Enterprise) through the GitHub CLI. gh works out the
+// repository from the git remote of `dir`.
+export function createGitHubProvider({ dir = '.', remote = null }) {
+  const host = remote?.host ?? 'github.com';
+  const gh = (args, options = {}) => execa('gh', args, { cwd: dir, ...options });
+
+  return {
+    type: 'github',
+    label: 'GitHub',
+    dir,
+    remote,
+
+    async checkAccess() {
+      try {
+        await gh(['--version']);
+      } catch {
+        return { message: 'GitHub CLI (gh) is not installed', hint: 'Please install it: https://cli.github.com/' };
+      }
+      try {
+        await gh(['auth', 'status']);
+      } catch {
+        return { message: 'GitHub CLI is not authenticated', hint: 'Please run: gh auth login' };
+      }
+      return null;
+    },
+
+    async getCurrentUser() {
+      const { stdout } = await gh(['api', 'user', '--jq', '.login']);
+      return stdout.trim();
+    },
+
+    async repoExists(name, namespace = null) {
+      try {
+        await gh(['repo', 'view', namespace ? `${namespace}/${name}` : name], { stdio: 'pipe' });
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    async createRepo(name, { visibility = 'private', namespace = null } = {}) {
+      const fullName = namespace ? `${namespace}/${name}` : name;
+      await dryRun.exec('gh', ['repo', 'create', fullName, `--${visibility}`], { cwd: dir });
+
+      return { name, url: await this.getRepoUrl(name, namespace) };
+    },
+
+    async getRepoUrl(name, namespace = null) {
+      const owner = namespace ?? await this.getCurrentUser();
+      return `git@${host}:${owner}/${name}.git`;
+    },
+
+    async setDefaultBranch(name, branch, namespace = null) {
+      const owner = namespace ?? await this.getCurrentUser();
+      await dryRun.exec('gh', ['repo', 'edit', `${owner}/${name}`, '--default-branch', branch], { cwd: dir });
+    },
+
+    async createPR({ title, body, base = null, head = null, draft = false }) {
+      const args = ['pr', 'create', '--title', title, '--body', body];
+      if (base) args.push('--base', base);
+      if (head) args.push('--head', head);
+      if (draft) args.push('--draft');
+
+      const { stdout } = await dryRun.exec('gh', args, { cwd: dir });
+      if (dryRun.enabled) {
+        return { number: '(dry run)', url: '(dry run)' };
+      }
+
+      // gh prints the PR URL
+      const number = stdout.match(/\/pull\/(\d+)/)?.[1] ?? stdout.match(/#(\d+)/)?.[1];
+      const url = stdout.match(/https:\/\/[^\s]+/)?.[0];
+      return { number, url };
+    },
+
+    async updatePR(number, { title, body }) {
+      await dryRun.exec('gh', ['pr', 'edit', String(number), '--title', title, '--body', body], { cwd: dir });
+    },
+
+    // The PR for a branch in any state, preferring an open one
+    async findPR(branch) {
+      try {
+        const { stdout } = await gh(['pr', 'list', '--head', branch, '--state', 'all', '--json', PR_FIELDS]);
+        const prs = JSON.parse(stdout || '[]');
+        return prs.find(pr => pr.state === 'OPEN') ?? prs[0] ?? null;
+      } catch {
+        return null;
+      }
+    },
+
+    async getPR(number) {
+      try {
+        const { stdout } = await gh(['pr', 'view', String(number), '--json', PR_FIELDS]);
+        return JSON.parse(stdout);
+      } catch {
+        return null;
+      }
+    },
+
+    async listMergedPRs(limit = 100) {
+      try {
+        const { stdout } = await gh(['pr', 'list', '--state', 'merged', '--limit', String(limit), '--json', PR_FIELDS]);
+        return JSON.parse(stdout || '[]');
+      } catch {
+        return [];
+      }
+    },
+  };
+}
@@ -0,0 +1,119 @@
+import { gitHelpers } from '../git.js';
+import { createRestClient } from './rest.js';
+
+const STATES = { opened: 'OPEN', merged: 'MERGED', closed: 'CLOSED', locked: 'CLOSED' };
+
+// Map a merge request onto the PR record shared by all providers
+function toPR(mr) {
+  const mergeSha = mr.merge_commit_sha ?? mr.squash_commit_sha ?? (mr.state === 'merged' ? mr.sha : null);
+  return {
+    number: mr.iid,
+    url: mr.web_url,
+    state: STATES[mr.state] ?? 'OPEN',
+    isDraft: Boolean(mr.draft ?? mr.work_in_progress),
+    title: mr.title,
+    body: mr.description ?? '',
+    mergeCommit: mergeSha ? { oid: mergeSha } : null,
+    reviewDecision: null,
+  };
+}
+
+// GitLab (gitlab.com or self-managed) over the REST API v4. The token is read
+// from GITLAB_TOKEN unless the host settings name another variable.
+export function createGitLabProvider({ dir = '.', remote, settings = {} }) {
+  const tokenEnv = settings.tokenEnv ?? 'GITLAB_TOKEN';
+  const api = createRestClient({
+    name: 'GitLab',
+    baseUrl: (settings.apiUrl ?? `https://${remote.host}/api/v4`).replace(/\/$/, ''),
+    headers: process.env[tokenEnv] ? { 'PRIVATE-TOKEN': process.env[tokenEnv] } : {},
+  });
+  const project = `/projects/${encodeURIComponent(remote.path)}`;
+
+  return {
+    type: 'gitlab',
+    label: 'GitLab',
+    dir,
+    remote,
+
+    async checkAccess() {
+      if (!process.env[tokenEnv]) {
+        return { message: `${tokenEnv} is not set`, hint: `Create a personal access token on ${remote.host} with the api scope and export it as ${tokenEnv}` };
+      }
+      try {
+        await api.get('/user');
+        return null;
+      } catch (error) {
+        return { message: `Cannot reach GitLab at ${api.baseUrl}`, hint: error.message };
+      }
+    },
+
+    async getCurrentUser() {
+      return (await api.get('/user')).username;
+    },
+
+    async repoExists(name, namespace = null) {
+      const owner = namespace ?? await this.getCurrentUser();
+      return Boolean(await api.find(`/projects/${encodeURIComponent(`${owner}/${name}`)}`));
+    },
+
+    async createRepo(name, { visibility = 'private', namespace = null } = {}) {
+      const body = { name, path: name, visibility };
+      if (namespace) {
+        body.namespace_id = (await api.get(`/namespaces/${encodeURIComponent(namespace)}`)).id;
+      }
+
+      const created = await api.send('POST', '/projects', body);
+      const owner = namespace ?? await this.getCurrentUser();
+      return { name, url: created?.ssh_url_to_repo ?? `git@${remote.host}:${owner}/${name}.git` };
+    },
+
+    async getRepoUrl(name, namespace = null) {
+      const owner = namespace ?? await this.getCurrentUser();
+      const existing = await api.find(`/projects/${encodeURIComponent(`${owner}/${name}`)}`);
+      return existing?.ssh_url_to_repo ?? `git@${remote.host}:${owner}/${name}.git`;
+    },
+
+    async setDefaultBranch(name, branch, namespace = null) {
+      const owner = namespace ?? await this.getCurrentUser();
+      await api.send('PUT', `/projects/${encodeURIComponent(`${owner}/${name}`)}`, { default_branch: branch });
+    },
+
+    async createPR({ title, body, base, head = null, draft = false }) {
+      const created = await api.send('POST', `${project}/merge_requests`, {
+        source_branch: head ?? await gitHelpers.getCurrentBranch(dir),
+        target_branch: base,
+        title: draft ? `Draft: ${title}` : title,
+        description: body,
+      });
+      return created ? { number: created.iid, url: created.web_url } : { number: '(dry run)', url: '(dry run)' };
+    },
+
+    async updatePR(number, { title, body }) {
+      await api.send('PUT', `${project}/merge_requests/${number}`, { title, description: body });
+    },
+
+    async findPR(branch) {
+      try {
+        const mrs = await api.get(`${project}/merge_requests?source_branch=${encodeURIComponent(branch)}&state=all`);
+        const prs = mrs.map(toPR);
+        return prs.find(pr => pr.state === 'OPEN') ?? prs[0] ?? null;
+      } catch {
+        return null;
+      }
+    },
+
+    async getPR(number) {
+      const mr = await api.find(`${project}/merge_requests/${number}`);
+      return mr ? toPR(mr) : null;
+    },
+
+    async listMergedPRs(limit = 100) {
+      try {
+        const mrs = await api.get(`${project}/merge_requests?state=merged&order_by=updated_at&per_page=${limit}`);
+        return mrs.map(toPR);
+      } catch {
+        return [];
+      }
+    },
+  };
+}
@@ -0,0 +1,132 @@
+import path from 'path';
+import { execa } from 'execa';
+import { log } from '../colors.js';
+import { getConfig, getServiceConfig } from '../config.js';
+import { createGitHubProvider } from './github.js';
+import { createGitLabProvider } from './gitlab.js';
+import { createGiteaProvider } from './gitea.js';
+import { createLocalProvider } from './local.js';
+
+// Every provider returns the same object:
+//   type, label, dir, remote
+//   checkAccess()                          -> null or { message, hint }
+//   getCurrentUser()                       -> login name
+//   repoExists(name, namespace)            -> boolean
+//   createRepo(name, { visibility, namespace }) -> { name, url }
+//   getRepoUrl(name, namespace)            -> clone URL of an existing repo
+//   setDefaultBranch(name, branch, namespace)
+//   createPR({ title, body, base, head, draft }) -> { number, url }
+//   updatePR(number, { title, body })
+//   findPR(branch) / getPR(number)         -> PR or null (findPR never throws)
+//   listMergedPRs(limit)                   -> PR[]
+// where a PR is { number, url, state (OPEN|MERGED|CLOSED), isDraft, title,
+// body, mergeCommit: { oid } | null, reviewDecision }.
+const FACTORIES = {
+  github: createGitHubProvider,
+  gitlab: createGitLabProvider,
+  gitea: createGiteaProvider,
+  local: createLocalProvider,
+};
+
+// Split a clone URL into host and repository path. Local paths and file://
+// URLs come back as { local: true, path: <absolute directory> }.
+export function parseRemoteUrl(url, baseDir = '.') {
+  if (!url) return null;
+
+  if (url.startsWith('file://')) {
+    return { url, local: true, host: null, path: path.resolve(url.slice('file://'.length)) };
+  }
+
+  const scp = !url.includes('://') && url.match(/^(?:[\w.-]+@)?([\w.-]+):(?!\/)(.+?)(?:\.git)?\/?$/);
+  if (scp) {
+    return { url, local: false, host: scp[1], path: scp[2] };
+  }
+
+  const remote = url.match(/^(?:ssh|git|https?):\/\/(?:[^@/]+@)?([^/:]+)(?::\d+)?\/(.+?)(?:\.git)?\/?$/);
+  if (remote) {
+    return { url, local: false, host: remote[1], path: remote[2] };
+  }
+
+  return { url, local: true, host: null, path: path.resolve(baseDir, url) };
+}
+
+// Provider type for a remote: explicit setting, then host settings, then a
+// guess from the host name. Unknown hosts are assumed to be GitHub Enterprise.
+export function detectProviderType(remote, { provider, hosts = {} } = {}) {
+  if (provider) return provider;
+  if (remote.local) return 'local';
+  if (hosts[remote.host]?.type) return hosts[remote.host].type;
+  if (/gitlab/i.test(remote.host)) return 'gitlab';
+  if (/gitea|forgejo|codeberg\.org/i.test(remote.host)) return 'gitea';
+  return 'github';
+}
+
+function createProvider(type, dir, remote, hosts) {
+  if (type !== 'github' && type !== 'local' && (!remote || remote.local)) {
+    throw new Error(`The ${type} provider needs an HTTPS or SSH remote, got ${remote?.url ?? 'none'} in ${dir}`);
+  }
+  if (type === 'local' && !remote?.local) {
+    throw new Error(`The local provider needs a path remote, got ${remote?.url ?? 'none'} in ${dir}`);
+  }
+  return FACTORIES[type]({ dir, remote, settings: (remote && hosts[remote.host]) ?? {} });
+}
+
+// The configured URL, before any url.<base>.insteadOf rewriting, so the
+// provider follows the URL the project declares
+async function getOriginUrl(dir) {
+  try {
+    const { stdout } = await execa('git', ['config', '--get', 'remote.origin.url'], { cwd: dir });
+    return stdout.trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+// Settings that apply to a directory: the service overrides for a service
+// checkout, the top-level config for the superproject
+async function getSettingsFor(dir) {
+  const config = await getConfig();
+  const relative = path.relative(process.cwd(), path.resolve(dir)).split(path.sep).join('/');
+
+  if (relative.startsWith(`${config.servicesDir}/`)) {
+    return getServiceConfig(relative.slice(config.servicesDir.length + 1).split('/')[0]);
+  }
+  return config;
+}
+
+const cache = new Map();
+
+// Provider for the repository checked out in `dir`, chosen from its origin URL
+export async function getProvider(dir = '.') {
+  const key = path.resolve(dir);
+  if (cache.has(key)) return cache.get(key);
+
+  const { hosts } = await getConfig();
+  const { provider: configured } = await getSettingsFor(dir);
+  const remote = parseRemoteUrl(await getOriginUrl(dir), dir);
+  const type = remote ? detectProviderType(remote, { provider: configured, hosts }) : configured ?? 'github';
+
+  const provider = createProvider(type, dir, remote, hosts);
+  cache.set(key, provider);
+  return provider;
+}
+
+// Provider that creates the repository for a new service. It lives on the same
+// host as the superproject unless the service config says otherwise.
+export async function getProviderForNewRepo(serviceConfig) {
+  const { hosts } = await getConfig();
+  const remote = parseRemoteUrl(await getOriginUrl('.'), '.');
+  const type = remote ? detectProviderType(remote, { provider: serviceConfig.provider, hosts }) : serviceConfig.provider ?? 'github';
+
+  return createProvider(type, '.', remote, hosts);
+}
+
+// Log why a provider cannot be used. Returns true when it can.
+export async function ensureProviderAccess(provider) {
+  const problem = await provider.checkAccess();
+  if (!problem) return true;
+
+  log.error(problem.message);
+  if (problem.hint) log.info(problem.hint);
+  return false;
+}
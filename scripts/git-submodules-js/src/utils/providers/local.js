@@ -0,0 +1,154 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execa } from 'execa';
+import { dryRun, fsHelpers } from '../dry-run.js';
+import { gitHelpers } from '../git.js';
+
+// PR records live next to the refs, inside the bare repository
+const PULLS_DIR = 'pulls';
+
+async function remoteGit(repoPath, args) {
+  try {
+    const { stdout } = await execa('git', args, { cwd: repoPath });
+    return stdout.trim();
+  } catch {
+    return null;
+  }
+}
+
+// Repositories that are plain directories (bare clones on disk or a shared
+// drive). PRs are JSON files under <repo>/pulls/, so the whole workflow runs
+// offline. A PR counts as merged once its head is contained in its base and the
+// base has moved since the PR was opened.
+export function createLocalProvider({ dir = '.', remote }) {
+  const repoPath = remote.path;
+  const pullsDir = path.join(repoPath, PULLS_DIR);
+  const recordPath = number => path.join(pullsDir, `${number}.json`);
+
+  async function readRecords() {
+    let files = [];
+    try {
+      files = (await fs.readdir(pullsDir)).filter(file => /^\d+\.json$/.test(file));
+    } catch {
+      return [];
+    }
+
+    const records = await Promise.all(files.map(async file => JSON.parse(await fs.readFile(path.join(pullsDir, file), 'utf-8'))));
+    return records.sort((a, b) => a.number - b.number);
+  }
+
+  async function writeRecord(record) {
+    await fsHelpers.mkdir(pullsDir);
+    await fsHelpers.writeFile(recordPath(record.number), `${JSON.stringify(record, null, 2)}\n`);
+  }
+
+  // Work out the state from the repository instead of trusting the file
+  async function toPR(record) {
+    const pr = { ...record, mergeCommit: record.mergeCommit ?? null, reviewDecision: null };
+    if (pr.state !== 'OPEN') return pr;
+
+    const head = await remoteGit(repoPath, ['rev-parse', '--verify', `refs/heads/${record.headRefName}`]) ?? record.headSha;
+    const base = await remoteGit(repoPath, ['rev-parse', '--verify', `refs/heads/${record.baseRefName}`]);
+    if (!head || !base || base === record.baseSha) return pr;
+
+    if ((await remoteGit(repoPath, ['merge-base', '--is-ancestor', head, base])) !== null) {
+      // The first commit on base that contains head; head itself for a fast-forward
+      const descendants = await remoteGit(repoPath, ['rev-list', '--ancestry-path', '--reverse', `${head}..${base}`]);
+      pr.state = 'MERGED';
+      pr.mergeCommit = { oid: descendants?.split('\n')[0] || head };
+    }
+    return pr;
+  }
+
+  return {
+    type: 'local',
+    label: 'Local',
+    dir,
+    remote,
+
+    async checkAccess() {
+      try {
+        await fs.access(repoPath);
+        return null;
+      } catch {
+        return { message: `Repository ${repoPath} does not exist`, hint: 'Check the remote URL of the repository' };
+      }
+    },
+
+    async getCurrentUser() {
+      return (await remoteGit(dir, ['config', 'user.name'])) || os.userInfo().username;
+    },
+
+    // New repositories are created next to this one
+    async repoExists(name, namespace = null) {
+      try {
+        await fs.access(path.join(namespace ?? path.dirname(repoPath), `${name}.git`));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    async createRepo(name, { namespace = null } = {}) {
+      const target = path.join(namespace ?? path.dirname(repoPath), `${name}.git`);
+      await dryRun.exec('git', ['init', '--bare', '--initial-branch=main', target]);
+      return { name, url: target };
+    },
+
+    async getRepoUrl(name, namespace = null) {
+      return path.join(namespace ?? path.dirname(repoPath), `${name}.git`);
+    },
+
+    async setDefaultBranch(name, branch, namespace = null) {
+      const target = path.join(namespace ?? path.dirname(repoPath), `${name}.git`);
+      await dryRun.exec('git', ['--git-dir', target, 'symbolic-ref', 'HEAD', `refs/heads/${branch}`]);
+    },
+
+    async createPR({ title, body, base, head = null, draft = false }) {
+      const headRefName = head ?? await gitHelpers.getCurrentBranch(dir);
+      const records = await readRecords();
+      const number = (records.at(-1)?.number ?? 0) + 1;
+
+      await writeRecord({
+        number,
+        url: `file://${recordPath(number)}`,
+        state: 'OPEN',
+        isDraft: draft,
+        title,
+        body,
+        headRefName,
+        baseRefName: base,
+        headSha: await remoteGit(repoPath, ['rev-parse', '--verify', `refs/heads/${headRefName}`]),
+        baseSha: await remoteGit(repoPath, ['rev-parse', '--verify', `refs/heads/${base}`]),
+        author: await this.getCurrentUser(),
+        createdAt: new Date().toISOString(),
+      });
+
+      return dryRun.enabled ? { number: '(dry run)', url: '(dry run)' } : { number, url: `file://${recordPath(number)}` };
+    },
+
+    async updatePR(number, { title, body }) {
+      const record = (await readRecords()).find(item => String(item.number) === String(number));
+      if (!record) {
+        throw new Error(`PR #${number} not found in ${pullsDir}`);
+      }
+      await writeRecord({ ...record, title, body, updatedAt: new Date().toISOString() });
+    },
+
+    async findPR(branch) {
+      const prs = await Promise.all((await readRecords()).filter(record => record.headRefName === branch).map(toPR));
+      return prs.find(pr => pr.state === 'OPEN') ?? prs.at(-1) ?? null;
+    },
+
+    async getPR(number) {
+      const record = (await readRecords()).find(item => String(item.number) === String(number));
+      return record ? toPR(record) : null;
+    },
+
+    async listMergedPRs(limit = 100) {
+      const prs = await Promise.all((await readRecords()).map(toPR));
+      return prs.filter(pr => pr.state === 'MERGED').slice(-limit);
+    },
+  };
+}
@@ -0,0 +1,61 @@
+import { dryRun } from '../dry-run.js';
+
+export class ProviderError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+  }
+}
+
+// Minimal JSON client over the global fetch. Reads always run; writes go
+// through the dry-run recorder and return `fallback` when recording.
+export function createRestClient({ name, baseUrl, headers }) {
+  async function request(method, endpoint, body) {
+    const url = `${baseUrl}${endpoint}`;
+    const response = await fetch(url, {
+      method,
+      headers: { Accept: 'application/json', 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      data = text;
+    }
+
+    if (!response.ok) {
+      const detail = data?.message ?? data?.error ?? (typeof data === 'string' ? data : response.statusText);
+      throw new ProviderError(
+        `${name} API ${method} ${endpoint} failed (${response.status}): ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`,
+        response.status,
+      );
+    }
+    return data;
+  }
+
+  return {
+    baseUrl,
+
+    get(endpoint) {
+      return request('GET', endpoint);
+    },
+
+    // GET that resolves to null on 404
+    async find(endpoint) {
+      try {
+        return await request('GET', endpoint);
+      } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+      }
+    },
+
+    send(method, endpoint, body, fallback = null) {
+      return dryRun.run(name, `${method} ${baseUrl}${endpoint}`, () => request(method, endpoint, body), fallback);
+    },
+  };
+}
@@ -0,0 +1,72 @@
+import fs from 'fs/promises';
+import path from 'path';
+import simpleGit from 'simple-git';
+import { getConfig } from './config.js';
+import { fsHelpers } from './dry-run.js';
+
+// Release manifests written by "release cut", one per version in
+// `releasesDir` and committed on the parent:
+//
+// { "version", "createdAt", "previous", "parent": { "url", "tag" },
+//   "services": [{ "service", "path", "url", "sha", "tag", "pullRequests": [{ "number", "title", "url" }] }] }
+
+async function manifestPath(version) {
+  const { releasesDir } = await getConfig();
+  return path.posix.join(releasesDir, `${version}.json`);
+}
+
+function parseManifest(content, source) {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Cannot parse ${source}: ${error.message}`);
+  }
+}
+
+export const releaseManifest = {
+  getPath: manifestPath,
+
+  // The manifest of a release from the working tree, falling back to the
+  // copy in the release's parent tag. Returns null when neither exists.
+  async get(version) {
+    const file = await manifestPath(version);
+    try {
+      return parseManifest(await fs.readFile(file, 'utf-8'), file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    try {
+      const content = await simpleGit().raw(['show', `refs/tags/${version}:${file}`]);
+      return parseManifest(content, `${version}:${file}`);
+    } catch {
+      return null;
+    }
+  },
+
+  // Every manifest in the working tree, oldest first
+  async list() {
+    const { releasesDir } = await getConfig();
+    let files;
+    try {
+      files = await fs.readdir(releasesDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Cannot read ${releasesDir}: ${error.message}`);
+    }
+
+    const manifests = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const target = path.join(releasesDir, file);
+      manifests.push(parseManifest(await fs.readFile(target, 'utf-8'), target));
+    }
+    return manifests.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  },
+
+  async save(manifest) {
+    const file = await manifestPath(manifest.version);
+    await fsHelpers.mkdir(path.dirname(file));
+    await fsHelpers.writeFile(file, JSON.stringify(manifest, null, 2) + '\n');
+    return file;
+  },
+};
@@ -0,0 +1,70 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Values substituted into a service skeleton, in file contents as well as in
+// file and directory names: {{name}}, {{folder}}, {{title}}, {{codename}},
+// {{codenameSlug}} and {{description}}
+export function templateValues({ name, folder, title, codename, description = '' }) {
+  return {
+    name,
+    folder,
+    title,
+    codename,
+    codenameSlug: slugify(codename),
+    description,
+  };
+}
+
+export function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// "user-profile" -> "User Profile Service"
+export function defaultServiceTitle(name) {
+  const words = name.split('-').filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1));
+  return `${words.join(' ')} Service`;
+}
+
+// Replace known placeholders; unknown ones are left for the service to fill in
+export function renderString(text, values) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) => (Object.hasOwn(values, key) ? values[key] : placeholder));
+}
+
+// Files with a NUL byte are treated as binary and copied untouched
+function isBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+// Render a skeleton directory into `targetDir`. Returns the rendered file
+// paths, relative to the target.
+export async function renderServiceTemplate(templateDir, targetDir, values) {
+  return renderDir(templateDir, targetDir, values, '', '');
+}
+
+// Directory names are rendered too, so the source and target paths diverge
+async function renderDir(templateDir, targetDir, values, sourceRelative, targetRelative) {
+  const rendered = [];
+  await fs.mkdir(path.join(targetDir, targetRelative), { recursive: true });
+
+  for (const item of await fs.readdir(path.join(templateDir, sourceRelative), { withFileTypes: true })) {
+    if (item.name === '.git') continue;
+
+    const source = path.join(templateDir, sourceRelative, item.name);
+    const target = path.join(targetRelative, renderString(item.name, values));
+
+    if (item.isDirectory()) {
+      rendered.push(...await renderDir(templateDir, targetDir, values, path.join(sourceRelative, item.name), target));
+    } else if (item.isSymbolicLink()) {
+      await fs.symlink(await fs.readlink(source), path.join(targetDir, target));
+      rendered.push(target);
+    } else {
+      const content = await fs.readFile(source);
+      const { mode } = await fs.stat(source);
+      const output = isBinary(content) ? content : renderString(content.toString('utf-8'), values);
+      await fs.writeFile(path.join(targetDir, target), output, { mode });
+      rendered.push(target);
+    }
+  }
+
+  return rendered;
+}
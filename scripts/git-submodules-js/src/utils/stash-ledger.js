@@ -0,0 +1,58 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { gitHelpers } from './git.js';
+import { fsHelpers } from './dry-run.js';
+
+const LEDGER_FILE = 'submodule-cli/stashes.json';
+
+// Writes are chained so concurrent syncs (--jobs) never clobber each other
+let pending = Promise.resolve();
+
+async function getLedgerPath() {
+  return gitHelpers.getGitPath(LEDGER_FILE);
+}
+
+// A missing ledger is empty; an unreadable one must not be overwritten
+async function readEntries() {
+  const ledgerPath = await getLedgerPath();
+  let content;
+  try {
+    content = await fs.readFile(ledgerPath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw new Error(`Cannot read ${ledgerPath}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(content).stashes ?? [];
+  } catch (error) {
+    throw new Error(`Cannot parse ${ledgerPath}: ${error.message}`);
+  }
+}
+
+async function writeEntries(entries) {
+  const ledgerPath = await getLedgerPath();
+  await fsHelpers.mkdir(path.dirname(ledgerPath));
+  await fsHelpers.writeFile(ledgerPath, JSON.stringify({ stashes: entries }, null, 2) + '\n');
+}
+
+function update(change) {
+  pending = pending.catch(() => {}).then(async () => writeEntries(change(await readEntries())));
+  return pending;
+}
+
+// Ledger of stashes created by the CLI, kept in the parent's .git directory
+export const stashLedger = {
+  async list() {
+    await pending.catch(() => {});
+    return readEntries();
+  },
+
+  async record(entry) {
+    await update(entries => [...entries, entry]);
+  },
+
+  async remove(sha) {
+    await update(entries => entries.filter(entry => entry.sha !== sha));
+  },
+};
@@ -0,0 +1,65 @@
+import { gitHelpers } from './git.js';
+
+// Collect the state of a single submodule as a plain, serializable object
+export async function getSubmoduleState(submodule) {
+  const state = {
+    name: submodule.name,
+    path: submodule.path,
+    initialized: false,
+    status: null,
+    branch: null,
+    defaultBranch: null,
+    head: null,
+    recorded: await gitHelpers.getRecordedSha(submodule.path),
+    ahead: null,
+    behind: null,
+    dirty: null,
+    unpushed: [],
+    stashes: 0,
+    onRemote: null,
+  };
+
+  try {
+    const [entry] = await gitHelpers.getSubmoduleStatusEntries([submodule.path]);
+    state.status = entry?.state ?? null;
+  } catch {
+    // Not registered in the index (e.g. not yet added)
+  }
+
+  if (!(await gitHelpers.isSubmodule(submodule.path))) {
+    return state;
+  }
+
+  state.initialized = true;
+  state.head = await gitHelpers.getHeadSha(submodule.path);
+
+  try {
+    const branch = await gitHelpers.getCurrentBranch(submodule.path);
+    state.branch = branch && branch !== 'HEAD' ? branch : null;
+    state.dirty = await gitHelpers.hasUncommittedChanges(submodule.path);
+
+    state.defaultBranch = await gitHelpers.getBaseBranch(submodule.path);
+    const counts = await gitHelpers.getAheadBehind(`origin/${state.defaultBranch}`, submodule.path);
+    if (counts) {
+      state.ahead = counts.ahead;
+      state.behind = counts.behind;
+    }
+
+    state.unpushed = await gitHelpers.getUnpushedCommits(submodule.path);
+    state.stashes = await gitHelpers.getStashCount(submodule.path);
+    state.onRemote = state.head ? await gitHelpers.isCommitOnRemote(state.head, submodule.path) : null;
+  } catch (error) {
+    state.error = error.message;
+  }
+
+  return state;
+}
+
+// Collect the state of the parent repository
+export async function getParentState() {
+  return {
+    branch: await gitHelpers.getCurrentBranch(),
+    head: await gitHelpers.getHeadSha(),
+    dirty: await gitHelpers.hasUncommittedChanges(),
+  };
+}
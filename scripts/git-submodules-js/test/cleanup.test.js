@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixture } from './helpers/fixture.js';
+
+test('cleanup deletes merged feature branches but keeps those with no commits of their own', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  // feature/done is merged into main through a merge commit; feature/fresh was just created
+  const dir = fx.servicePath('alpha');
+  await fx.git(dir, 'checkout', '--quiet', '-B', 'main', 'origin/main');
+  await fx.git(dir, 'checkout', '--quiet', '-b', 'feature/done');
+  await fx.commitFile(dir, 'done.js', 'export {};\n', 'feat: done');
+  await fx.git(dir, 'push', '--quiet', 'origin', 'feature/done');
+  await fx.git(dir, 'checkout', '--quiet', 'main');
+  await fx.git(dir, 'merge', '--quiet', '--no-ff', '-m', 'Merge feature/done', 'feature/done');
+  await fx.git(dir, 'push', '--quiet', 'origin', 'main');
+  await fx.git(dir, 'branch', 'feature/fresh');
+  await fx.git(dir, 'push', '--quiet', 'origin', 'feature/fresh');
+
+  const result = await fx.run(['--yes', 'cleanup', '--remote']);
+  assert.equal(result.exitCode, 0, result.all);
+
+  assert.equal(await fx.git(dir, 'branch', '--list', 'feature/done'), '');
+  assert.equal(await fx.remoteRef('alpha', 'feature/done'), null);
+  assert.equal(await fx.git(dir, 'branch', '--list', 'feature/fresh'), 'feature/fresh');
+  assert.equal(await fx.remoteRef('alpha', 'feature/fresh'), await fx.remoteRef('alpha', 'main'));
+});
+
+test('cleanup finds nothing to delete in a feature branch created by new-feature', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  const created = await fx.run(['new-feature', 'search', '--services', 'alpha-service']);
+  assert.equal(created.exitCode, 0, created.all);
+  await fx.git(fx.servicePath('alpha'), 'checkout', '--quiet', '--detach');
+
+  const result = await fx.run(['--no-input', 'cleanup']);
+  assert.equal(result.exitCode, 0, result.all);
+  assert.match(result.all, /No merged feature branches found/);
+  assert.equal(await fx.git(fx.servicePath('alpha'), 'branch', '--list', 'feature/search'), 'feature/search');
+});
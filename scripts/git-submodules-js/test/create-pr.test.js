@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createFixture } from './helpers/fixture.js';
+
+test('create-pr pushes the feature branch and opens a PR titled from its commits', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  const alpha = fx.servicePath('alpha');
+  await fx.git(alpha, 'checkout', '--quiet', '-b', 'feature/login');
+  const head = await fx.commitFile(alpha, 'login.js', 'export {};\n', 'feat: add login form');
+
+  const result = await fx.run(['create-pr', 'alpha-service']);
+  assert.equal(result.exitCode, 0, result.all);
+
+  assert.equal(await fx.remoteRef('alpha', 'feature/login'), head);
+  const [pr] = await fx.prs('alpha');
+  assert.equal(pr.headRefName, 'feature/login');
+  assert.equal(pr.baseRefName, 'main');
+  assert.equal(pr.isDraft, false);
+  assert.match(pr.title, /add login form/);
+  assert.match(pr.body, /add login form/);
+  assert.equal((await fx.ghCalls('pr', 'create')).length, 1);
+});
+
+test('create-pr commits pending changes when confirmed and updates an existing PR', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  const alpha = fx.servicePath('alpha');
+  await fx.git(alpha, 'checkout', '--quiet', '-b', 'feature/search');
+  await fx.commitFile(alpha, 'search.js', 'export {};\n', 'feat: add search');
+
+  const first = await fx.run(['create-pr', 'alpha-service', '--draft']);
+  assert.equal(first.exitCode, 0, first.all);
+  assert.equal((await fx.prs('alpha'))[0].isDraft, true);
+
+  await fs.writeFile(path.join(alpha, 'search.js'), 'export const search = () => [];\n');
+  const second = await fx.run(['create-pr', 'alpha-service'], {
+    answers: { commitChanges: true, commitMessage: 'feat: return search results', updatePR: true },
+  });
+  assert.equal(second.exitCode, 0, second.all);
+
+  assert.equal(await fx.git(alpha, 'log', '-1', '--format=%s'), 'feat: return search results');
+  assert.equal(await fx.remoteRef('alpha', 'feature/search'), await fx.git(alpha, 'rev-parse', 'HEAD'));
+  const prs = await fx.prs('alpha');
+  assert.equal(prs.length, 1);
+  assert.match(prs[0].body, /return search results/);
+  assert.equal((await fx.ghCalls('pr', 'edit')).length, 1);
+});
+
+test('create-pr refuses to open a PR from a protected branch', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  await fx.git(fx.servicePath('alpha'), 'checkout', '--quiet', 'main');
+  const result = await fx.run(['create-pr', 'alpha-service']);
+  assert.notEqual(result.exitCode, 0);
+  assert.match(result.all, /protected branch main/);
+  assert.deepEqual(await fx.ghCalls('pr', 'create'), []);
+});
+
+test('create-pr run directly reads the file after --template', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  const alpha = fx.servicePath('alpha');
+  await fx.git(alpha, 'checkout', '--quiet', '-b', 'feature/export');
+  await fx.commitFile(alpha, 'export.js', 'export {};\n', 'feat: add export');
+  await fs.writeFile(path.join(fx.work, 'pr.md'), '## Custom template\n\nKeep {{constructor}} as is.\n');
+
+  const result = await fx.run(['--template', 'pr.md', 'alpha-service'], { script: 'create-submodule-pr' });
+  assert.equal(result.exitCode, 0, result.all);
+  const { body } = (await fx.prs('alpha'))[0];
+  assert.match(body, /## Custom template\n\nKeep \{\{constructor\}\} as is\./);
+  assert.match(body, /## Changes\n### ✨ Features\n- add export/);
+});
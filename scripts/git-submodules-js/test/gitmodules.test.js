@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGitmodules } from '../src/utils/gitmodules.js';
+
+const SAMPLE = [
+  '# Services of the platform',
+  '[submodule "services/ui-service"]',
+  '\tpath = services/ui-service',
+  '\turl = https://git.example.com/ui.git?ref=a=b ; mirror',
+  '\tbranch = "release/1.0"',
+  '\tshallow',
+  '\tfetchRecurseSubmodules = on-demand',
+  '',
+  '; the gateway',
+  '[submodule "gateway"] path = services/api gateway',
+  '\tURL = "git@github.com:org/gateway.git"',
+  '\tIgnore = dirty',
+  '\tupdate = re\\',
+  'base',
+  '',
+].join('\n');
+
+test('gitmodules reads every submodule key the way git does', () => {
+  const gitmodules = parseGitmodules(SAMPLE);
+
+  assert.deepEqual(gitmodules.submodules(), [
+    {
+      name: 'services/ui-service',
+      path: 'services/ui-service',
+      url: 'https://git.example.com/ui.git?ref=a=b',
+      branch: 'release/1.0',
+      update: null,
+      shallow: true,
+      ignore: null,
+      fetchRecurseSubmodules: 'on-demand',
+    },
+    {
+      name: 'gateway',
+      path: 'services/api gateway',
+      url: 'git@github.com:org/gateway.git',
+      branch: null,
+      update: 'rebase',
+      shallow: null,
+      ignore: 'dirty',
+      fetchRecurseSubmodules: null,
+    },
+  ]);
+});
+
+test('gitmodules matches paths exactly', () => {
+  const gitmodules = parseGitmodules(SAMPLE);
+
+  assert.equal(gitmodules.findByPath('services/ui-service/').name, 'services/ui-service');
+  assert.equal(gitmodules.findByPath('services/ui'), null);
+  assert.equal(gitmodules.findByPath('services/api gateway').name, 'gateway');
+});
+
+test('gitmodules edits keep comments, order and untouched lines', () => {
+  const gitmodules = parseGitmodules(SAMPLE);
+  assert.equal(gitmodules.toString(), SAMPLE);
+
+  gitmodules
+    .set('services/ui-service', 'branch', 'main')
+    .set('gateway', 'shallow', false)
+    .rename('gateway', 'services/api gateway')
+    .add('services/new "one"', { path: 'services/new', url: 'git@github.com:org/new.git', branch: ' spaced ' });
+
+  assert.equal(gitmodules.toString(), [
+    '# Services of the platform',
+    '[submodule "services/ui-service"]',
+    '\tpath = services/ui-service',
+    '\turl = https://git.example.com/ui.git?ref=a=b ; mirror',
+    '\tbranch = main',
+    '\tshallow',
+    '\tfetchRecurseSubmodules = on-demand',
+    '',
+    '; the gateway',
+    '[submodule "services/api gateway"] path = services/api gateway',
+    '\tURL = "git@github.com:org/gateway.git"',
+    '\tIgnore = dirty',
+    '\tupdate = re\\',
+    'base',
+    '\tshallow = false',
+    '[submodule "services/new \\"one\\""]',
+    '\tpath = services/new',
+    '\turl = git@github.com:org/new.git',
+    '\tbranch = " spaced "',
+    '',
+  ].join('\n'));
+  assert.equal(parseGitmodules(gitmodules.toString()).get('services/new "one"').branch, ' spaced ');
+
+  gitmodules.remove('services/ui-service').unset('services/api gateway', 'ignore');
+  assert.equal(gitmodules.toString().split('\n').slice(0, 4).join('\n'), [
+    '# Services of the platform',
+    '',
+    '; the gateway',
+    '[submodule "services/api gateway"] path = services/api gateway',
+  ].join('\n'));
+  assert.deepEqual(gitmodules.names(), ['services/api gateway', 'services/new "one"']);
+});
@@ -0,0 +1,118 @@
+// Scripted stand-in for the GitHub CLI. Repositories are bare repos under
+// $FAKE_GH_REMOTES, PRs are kept in $FAKE_GH_STATE/<repo>.json and every call
+// is appended to $FAKE_GH_STATE/calls.jsonl for assertions.
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+const args = process.argv.slice(2);
+const stateDir = process.env.FAKE_GH_STATE;
+const remotesDir = process.env.FAKE_GH_REMOTES;
+const user = process.env.FAKE_GH_USER ?? 'tester';
+
+const git = gitArgs => execFileSync('git', gitArgs, { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+
+function currentRepo() {
+  try {
+    return path.basename(git(['remote', 'get-url', 'origin'])).replace(/\.git$/, '');
+  } catch {
+    return null;
+  }
+}
+
+function option(name) {
+  const index = args.indexOf(name);
+  return index === -1 ? null : args[index + 1];
+}
+
+const repo = currentRepo();
+fs.appendFileSync(path.join(stateDir, 'calls.jsonl'), `${JSON.stringify({ cwd: process.cwd(), repo, args })}\n`);
+
+// Simulate the CLI dying mid-run (power loss, Ctrl-C) when it makes this call
+if (process.env.FAKE_GH_CRASH && args.join(' ').startsWith(process.env.FAKE_GH_CRASH)) {
+  process.kill(process.ppid, 'SIGKILL');
+  process.exit(1);
+}
+
+const stateFile = () => path.join(stateDir, `${repo}.json`);
+const loadPRs = () => (fs.existsSync(stateFile()) ? JSON.parse(fs.readFileSync(stateFile(), 'utf-8')) : []);
+const savePRs = prs => fs.writeFileSync(stateFile(), JSON.stringify(prs, null, 2));
+
+function pick(pr, fields) {
+  if (!fields) return pr;
+  return Object.fromEntries(fields.split(',').map(field => [field, pr[field] ?? null]));
+}
+
+function print(value) {
+  const jq = option('--jq');
+  if (jq === '.[0]') value = value[0];
+  else if (jq === '.login') value = value.login;
+  else if (jq === '.url') value = value.url;
+
+  if (value === undefined || value === null) return;
+  console.log(typeof value === 'string' ? value : JSON.stringify(value));
+}
+
+const [group, command] = args;
+
+if (group === '--version') {
+  console.log('gh version 2.99.0 (fake)');
+} else if (group === 'auth') {
+  console.log(`Logged in to github.com as ${user}`);
+} else if (group === 'api' && command === 'user') {
+  print({ login: user });
+} else if (group === 'repo' && command === 'view') {
+  process.exit(fs.existsSync(path.join(remotesDir, `${path.basename(args[2])}.git`)) ? 0 : 1);
+} else if (group === 'repo' && command === 'create') {
+  git(['init', '--quiet', '--bare', '--initial-branch=main', path.join(remotesDir, `${path.basename(args[2])}.git`)]);
+  console.log(`https://github.com/${user}/${path.basename(args[2])}`);
+} else if (group === 'repo' && command === 'edit') {
+  const bare = path.join(remotesDir, `${path.basename(args[2])}.git`);
+  if (!fs.existsSync(bare)) process.exit(1);
+  if (option('--default-branch')) git(['--git-dir', bare, 'symbolic-ref', 'HEAD', `refs/heads/${option('--default-branch')}`]);
+} else if (group === 'pr' && command === 'create') {
+  const prs = loadPRs();
+  const number = prs.length + 1;
+  const url = `https://github.com/${user}/${repo}/pull/${number}`;
+  prs.push({
+    number,
+    url,
+    state: 'OPEN',
+    isDraft: args.includes('--draft'),
+    title: option('--title'),
+    body: option('--body'),
+    headRefName: option('--head') ?? git(['rev-parse', '--abbrev-ref', 'HEAD']),
+    baseRefName: option('--base') ?? 'main',
+    mergeCommit: null,
+    reviewDecision: null,
+  });
+  savePRs(prs);
+  console.log(url);
+} else if (group === 'pr' && command === 'list') {
+  const state = option('--state') ?? 'open';
+  const head = option('--head');
+  const prs = loadPRs()
+    .filter(pr => !head || pr.headRefName === head)
+    .filter(pr => state === 'all' || pr.state === state.toUpperCase())
+    .map(pr => pick(pr, option('--json')));
+  print(prs);
+} else if (group === 'pr' && command === 'view') {
+  const pr = loadPRs().find(item => String(item.number) === args[2]);
+  if (!pr) process.exit(1);
+  print(pick(pr, option('--json')));
+} else if (group === 'pr' && command === 'edit') {
+  const prs = loadPRs();
+  const pr = prs.find(item => String(item.number) === args[2]);
+  if (!pr) process.exit(1);
+  pr.title = option('--title') ?? pr.title;
+  pr.body = option('--body') ?? pr.body;
+  savePRs(prs);
+} else {
+  console.error(`fake gh: unsupported command: ${args.join(' ')}`);
+  process.exit(2);
+}
+
+// ...or right after the call has taken effect
+if (process.env.FAKE_GH_CRASH_AFTER && args.join(' ').startsWith(process.env.FAKE_GH_CRASH_AFTER)) {
+  process.kill(process.ppid, 'SIGKILL');
+}
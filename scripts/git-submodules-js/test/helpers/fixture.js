@@ -0,0 +1,201 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { execa } from 'execa';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const CLI = path.resolve(here, '../../src/index.js');
+const COMMANDS = path.resolve(here, '../../src/commands');
+const FAKE_GH = path.join(here, 'fake-gh.js');
+
+export const GH_USER = 'tester';
+
+// Clone URL of a fake GitHub repository. git rewrites it to the bare repo
+// under remotes/ (url.<base>.insteadOf), so nothing leaves the machine.
+export const repoUrl = name => `git@github.com:${GH_USER}/${name}.git`;
+
+// Build a throwaway superproject:
+//   remotes/<repo>.git   bare "GitHub" repositories
+//   work/                clone of the parent with services/<service> submodules
+//   bin/gh               the fake GitHub CLI, first on PATH
+// Service folders are named <repo>-service, as init expects.
+export async function createFixture({ services = ['alpha', 'beta'] } = {}) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'submodule-cli-'));
+  const dirs = {
+    remotes: path.join(root, 'remotes'),
+    work: path.join(root, 'work'),
+    scratch: path.join(root, 'scratch'),
+    bin: path.join(root, 'bin'),
+    ghState: path.join(root, 'gh-state'),
+    home: path.join(root, 'home'),
+  };
+  await Promise.all(Object.values(dirs).filter(dir => dir !== dirs.work).map(dir => fs.mkdir(dir, { recursive: true })));
+
+  await fs.writeFile(path.join(dirs.home, '.gitconfig'), [
+    '[user]',
+    '  name = Test User',
+    '  email = test@example.com',
+    '[init]',
+    '  defaultBranch = main',
+    '[protocol "file"]',
+    '  allow = always',
+    `[url "${dirs.remotes}/"]`,
+    `  insteadOf = git@github.com:${GH_USER}/`,
+    '',
+  ].join('\n'));
+
+  await fs.writeFile(path.join(dirs.bin, 'gh'), `#!/bin/sh\nexec "${process.execPath}" "${FAKE_GH}" "$@"\n`, { mode: 0o755 });
+  await fs.writeFile(path.join(dirs.ghState, 'calls.jsonl'), '');
+
+  const env = {
+    ...Object.fromEntries(Object.entries(process.env).filter(([key]) => !key.startsWith('GIT_'))),
+    HOME: dirs.home,
+    PATH: `${dirs.bin}${path.delimiter}${process.env.PATH}`,
+    GIT_CONFIG_NOSYSTEM: '1',
+    GIT_CONFIG_COUNT: '0',
+    FAKE_GH_STATE: dirs.ghState,
+    FAKE_GH_REMOTES: dirs.remotes,
+    FAKE_GH_USER: GH_USER,
+    FORCE_COLOR: '0',
+    NO_COLOR: '1',
+  };
+
+  const git = async (cwd, ...args) => (await execa('git', args, { cwd, env })).stdout.trim();
+
+  // Create a bare remote with one commit on main
+  async function createRemote(name, files = { 'README.md': `# ${name}\n` }) {
+    await git(dirs.remotes, 'init', '--quiet', '--bare', `${name}.git`);
+    const clone = path.join(dirs.scratch, `seed-${name}`);
+    await git(root, 'clone', '--quiet', repoUrl(name), clone);
+    for (const [file, content] of Object.entries(files)) {
+      await fs.writeFile(path.join(clone, file), content);
+    }
+    await git(clone, 'add', '.');
+    await git(clone, 'commit', '--quiet', '-m', 'Initial commit');
+    await git(clone, 'push', '--quiet', 'origin', 'main');
+  }
+
+  await createRemote('parent');
+  await git(root, 'clone', '--quiet', repoUrl('parent'), dirs.work);
+  await fs.mkdir(path.join(dirs.work, 'services'), { recursive: true });
+  for (const service of services) {
+    await createRemote(service);
+    await git(dirs.work, 'submodule', '--quiet', 'add', repoUrl(service), `services/${service}-service`);
+  }
+  if (services.length > 0) {
+    await git(dirs.work, 'commit', '--quiet', '-m', 'Add service submodules');
+    await git(dirs.work, 'push', '--quiet', 'origin', 'main');
+  }
+
+  return {
+    root,
+    ...dirs,
+    env,
+    git,
+
+    servicePath: service => path.join(dirs.work, 'services', `${service}-service`),
+
+    // Run the CLI, or with `script` a command module directly as its npm script
+    // does. `answers` are fed to its prompts by question name.
+    async run(args, { answers = {}, cwd = dirs.work, env: extraEnv = {}, script = null } = {}) {
+      const entry = script ? path.join(COMMANDS, `${script}.js`) : CLI;
+      return execa(process.execPath, [entry, ...args], {
+        cwd,
+        env: { ...env, ...extraEnv, SUBMODULE_CLI_ANSWERS: JSON.stringify(answers) },
+        reject: false,
+        all: true,
+        stdin: 'ignore',
+        timeout: 60000,
+      });
+    },
+
+    // Commit a file in a checkout
+    async commitFile(cwd, file, content, message) {
+      await fs.mkdir(path.dirname(path.join(cwd, file)), { recursive: true });
+      await fs.writeFile(path.join(cwd, file), content);
+      await git(cwd, 'add', file);
+      await git(cwd, 'commit', '--quiet', '-m', message);
+      return git(cwd, 'rev-parse', 'HEAD');
+    },
+
+    // Land a commit on a remote's main branch, as another developer would
+    async pushUpstream(name, file, content, message) {
+      return this.pushBranch(name, 'main', file, content, message);
+    },
+
+    // Land a commit on any branch of a remote, creating the branch from main
+    async pushBranch(name, branch, file, content, message) {
+      const clone = path.join(dirs.scratch, `upstream-${name}-${Date.now()}`);
+      await git(root, 'clone', '--quiet', repoUrl(name), clone);
+      if (branch !== 'main') {
+        const exists = await this.remoteRef(name, branch);
+        await git(clone, 'checkout', '--quiet', ...(exists ? [branch] : ['-b', branch]));
+      }
+      const sha = await this.commitFile(clone, file, content, message);
+      await git(clone, 'push', '--quiet', 'origin', branch);
+      return sha;
+    },
+
+    // Commit a ref points at in a bare remote, or null
+    async remoteRef(name, ref) {
+      try {
+        return await git(path.join(dirs.remotes, `${name}.git`), 'rev-parse', '--verify', ref);
+      } catch {
+        return null;
+      }
+    },
+
+    // Gitlinks recorded in a commit (or the index with ref = null), by path
+    async gitlinks(cwd, ref = 'HEAD') {
+      const output = ref ? await git(cwd, 'ls-tree', '-r', ref) : await git(cwd, 'ls-files', '--stage');
+      const links = {};
+      for (const line of output.split('\n')) {
+        const match = line.match(/^160000 (?:commit )?([0-9a-f]{40})(?: \d)?\t(.+)$/);
+        if (match) links[match[2]] = match[1];
+      }
+      return links;
+    },
+
+    // Calls made to the fake gh, optionally only those starting with `prefix`
+    async ghCalls(...prefix) {
+      const lines = (await fs.readFile(path.join(dirs.ghState, 'calls.jsonl'), 'utf-8')).split('\n').filter(Boolean);
+      return lines
+        .map(line => JSON.parse(line))
+        .filter(call => prefix.every((arg, index) => call.args[index] === arg));
+    },
+
+    // PRs the fake gh holds for a repository
+    async prs(name) {
+      try {
+        return JSON.parse(await fs.readFile(path.join(dirs.ghState, `${name}.json`), 'utf-8'));
+      } catch {
+        return [];
+      }
+    },
+
+    // Record a merged PR on a repository, as if it had been merged on GitHub
+    async addMergedPR(name, { title, mergeCommit }) {
+      const prs = await this.prs(name);
+      const number = prs.length + 1;
+      prs.push({
+        number,
+        url: `https://github.com/${GH_USER}/${name}/pull/${number}`,
+        state: 'MERGED',
+        isDraft: false,
+        title,
+        body: '',
+        headRefName: `feature/pr-${number}`,
+        baseRefName: 'main',
+        mergeCommit: { oid: mergeCommit },
+        reviewDecision: 'APPROVED',
+      });
+      await fs.writeFile(path.join(dirs.ghState, `${name}.json`), JSON.stringify(prs, null, 2));
+      return number;
+    },
+
+    async cleanup() {
+      await fs.rm(root, { recursive: true, force: true });
+    },
+  };
+}
@@ -0,0 +1,208 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createFixture, repoUrl } from './helpers/fixture.js';
+
+test('init turns a plain service folder into a submodule with a new repository', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  const folder = path.join(fx.work, 'services', 'gamma-service');
+  await fs.mkdir(folder);
+  await fs.writeFile(path.join(folder, 'index.js'), 'console.log("gamma");\n');
+
+  const result = await fx.run(['init']);
+  assert.equal(result.exitCode, 0, result.all);
+
+  // The repository was created through gh and received the folder's contents
+  const creates = await fx.ghCalls('repo', 'create');
+  assert.deepEqual(creates.map(call => call.args), [['repo', 'create', 'gamma', '--private']]);
+  const main = await fx.remoteRef('gamma', 'main');
+  assert.ok(main, 'gamma main was pushed');
+  assert.equal(await fx.git(path.join(fx.remotes, 'gamma.git'), 'show', 'main:index.js'), 'console.log("gamma");');
+
+  // ...and was registered as a submodule pointing at that commit
+  const url = await fx.git(fx.work, 'config', '--file', '.gitmodules', 'submodule.services/gamma-service.url');
+  assert.equal(url, repoUrl('gamma'));
+  const gitlinks = await fx.gitlinks(fx.work, null);
+  assert.equal(gitlinks['services/gamma-service'], main);
+  assert.ok(gitlinks['services/alpha-service'], 'existing submodule is untouched');
+
+  // The existing submodule was skipped, not recreated
+  assert.equal(creates.length, 1);
+});
+
+test('init leaves registered submodules alone', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha', 'beta'] });
+  t.after(() => fx.cleanup());
+
+  const before = await fx.gitlinks(fx.work);
+  const result = await fx.run(['init']);
+  assert.equal(result.exitCode, 0, result.all);
+
+  assert.deepEqual(await fx.ghCalls('repo', 'create'), []);
+  assert.deepEqual(await fx.gitlinks(fx.work, null), before);
+  assert.equal(await fx.git(fx.work, 'status', '--porcelain'), '');
+});
+
+test('init converts a folder whose path is a prefix of a registered submodule', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  const folder = path.join(fx.work, 'services', 'alp');
+  await fs.mkdir(folder);
+  await fs.writeFile(path.join(folder, 'index.js'), 'export {};\n');
+
+  const result = await fx.run(['init']);
+  assert.equal(result.exitCode, 0, result.all);
+
+  assert.deepEqual((await fx.ghCalls('repo', 'create')).map(call => call.args), [['repo', 'create', 'alp', '--private']]);
+  assert.equal((await fx.gitlinks(fx.work, null))['services/alp'], await fx.remoteRef('alp', 'main'));
+});
+
+test('init keeps ignored and untracked files of a converted folder', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  const folder = path.join(fx.work, 'services', 'gamma-service');
+  await fx.commitFile(fx.work, 'services/gamma-service/index.js', 'export {};\n', 'Add gamma sources');
+  await fs.writeFile(path.join(folder, '.gitignore'), '.env\n');
+  await fs.writeFile(path.join(folder, '.env'), 'TOKEN=secret\n');
+
+  const result = await fx.run(['init']);
+  assert.equal(result.exitCode, 0, result.all);
+
+  assert.equal(await fs.readFile(path.join(folder, '.env'), 'utf-8'), 'TOKEN=secret\n');
+  assert.equal(await fx.git(folder, 'status', '--porcelain'), '');
+  assert.equal(await fx.git(path.join(fx.remotes, 'gamma.git'), 'show', 'main:.gitignore'), '.env');
+  assert.equal((await fx.gitlinks(fx.work, null))['services/gamma-service'], await fx.remoteRef('gamma', 'main'));
+  await assert.rejects(fs.access(path.join(fx.work, '.git', 'submodule-cli', 'init')), 'journal and backups are removed');
+});
+
+test('init publishes every branch and tag of a local repository without overwriting its main', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  // A repository without origin, with work checked out on a branch beside main
+  const folder = path.join(fx.work, 'services', 'delta-service');
+  await fs.mkdir(folder);
+  await fx.git(folder, 'init', '--quiet', '--initial-branch=main');
+  const main = await fx.commitFile(folder, 'app.js', 'v1\n', 'Initial commit');
+  await fx.git(folder, 'tag', 'v0.1');
+  await fx.git(folder, 'checkout', '--quiet', '-b', 'work');
+  const work = await fx.commitFile(folder, 'app.js', 'v2\n', 'Work in progress');
+
+  const result = await fx.run(['init']);
+  assert.equal(result.exitCode, 0, result.all);
+
+  assert.equal(await fx.remoteRef('delta', 'main'), main);
+  assert.equal(await fx.remoteRef('delta', 'work'), work);
+  assert.equal(await fx.remoteRef('delta', 'v0.1'), main);
+  assert.equal(await fx.git(path.join(fx.remotes, 'delta.git'), 'symbolic-ref', 'HEAD'), 'refs/heads/main');
+  assert.equal(await fx.git(folder, 'symbolic-ref', '--short', 'HEAD'), 'work');
+  assert.equal((await fx.gitlinks(fx.work, null))['services/delta-service'], work);
+});
+
+test('init refuses a local repository with stashes and leaves it untouched', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  const folder = path.join(fx.work, 'services', 'delta-service');
+  await fs.mkdir(folder);
+  await fx.git(folder, 'init', '--quiet', '--initial-branch=main');
+  await fx.commitFile(folder, 'app.js', 'v1\n', 'Initial commit');
+  await fs.writeFile(path.join(folder, 'app.js'), 'v2\n');
+  await fx.git(folder, 'stash', '--quiet');
+
+  const result = await fx.run(['init']);
+  assert.equal(result.exitCode, 1, result.all);
+  assert.match(result.all, /exists only in its own repository \(1 stash\(es\)\)/);
+
+  assert.deepEqual(await fx.ghCalls('repo', 'create'), []);
+  assert.match(await fx.git(folder, 'stash', 'list'), /^stash@\{0\}/);
+  assert.equal(await fx.git(fx.work, 'ls-files', '--', 'services/delta-service'), '');
+});
+
+test('init restores a folder whose conversion fails', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  // A repository whose origin no longer exists, with local work in progress
+  const folder = path.join(fx.work, 'services', 'delta-service');
+  await fs.mkdir(folder);
+  await fx.git(folder, 'init', '--quiet');
+  const head = await fx.commitFile(folder, 'app.js', 'v1\n', 'Initial commit');
+  await fx.git(folder, 'remote', 'add', 'origin', repoUrl('delta'));
+  await fx.git(folder, 'update-ref', 'refs/remotes/origin/main', head);
+  await fs.writeFile(path.join(folder, 'app.js'), 'v2\n');
+  await fs.writeFile(path.join(folder, 'notes.txt'), 'todo\n');
+  const gitmodules = await fs.readFile(path.join(fx.work, '.gitmodules'), 'utf-8');
+
+  const result = await fx.run(['init']);
+  assert.equal(result.exitCode, 1, result.all);
+  assert.match(result.all, /Restored services\/delta-service/);
+
+  assert.equal(await fx.git(folder, 'rev-parse', 'HEAD'), head);
+  assert.equal(await fs.readFile(path.join(folder, 'app.js'), 'utf-8'), 'v2\n');
+  assert.equal(await fs.readFile(path.join(folder, 'notes.txt'), 'utf-8'), 'todo\n');
+  assert.equal(await fs.readFile(path.join(fx.work, '.gitmodules'), 'utf-8'), gitmodules);
+  assert.equal(await fx.git(fx.work, 'ls-files', '--', 'services/delta-service'), '');
+  await assert.rejects(fs.access(path.join(fx.work, '.git', 'modules', 'services', 'delta-service')));
+  await assert.rejects(fs.access(path.join(fx.work, '.git', 'submodule-cli', 'init')));
+});
+
+test('an interrupted init can be rolled back or resumed', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  const folder = path.join(fx.work, 'services', 'gamma-service');
+  await fx.commitFile(fx.work, 'services/gamma-service/index.js', 'export {};\n', 'Add gamma sources');
+  await fs.writeFile(path.join(folder, 'local.txt'), 'untracked\n');
+  const status = await fx.git(fx.work, 'status', '--porcelain');
+
+  // The process dies while the repository is being created
+  const crashed = await fx.run(['init'], { env: { FAKE_GH_CRASH: 'repo create' } });
+  assert.notEqual(crashed.exitCode, 0);
+  const journal = JSON.parse(await fs.readFile(path.join(fx.work, '.git', 'submodule-cli', 'init', 'journal.json'), 'utf-8'));
+  assert.deepEqual(journal.services.map(entry => [entry.folder, entry.status, entry.current]), [['gamma-service', 'in-progress', 'create-repo']]);
+
+  // A plain init refuses to start over
+  const refused = await fx.run(['init']);
+  assert.equal(refused.exitCode, 1);
+  assert.match(refused.all, /--resume.*--rollback/s);
+
+  const rolledBack = await fx.run(['init', '--rollback']);
+  assert.equal(rolledBack.exitCode, 0, rolledBack.all);
+  assert.equal(await fx.git(fx.work, 'status', '--porcelain'), status);
+  assert.equal(await fs.readFile(path.join(folder, 'local.txt'), 'utf-8'), 'untracked\n');
+
+  // Crash again, then finish the run
+  await fx.run(['init'], { env: { FAKE_GH_CRASH: 'repo create' } });
+  const resumed = await fx.run(['init', '--resume']);
+  assert.equal(resumed.exitCode, 0, resumed.all);
+  assert.equal((await fx.gitlinks(fx.work, null))['services/gamma-service'], await fx.remoteRef('gamma', 'main'));
+  assert.equal(await fs.readFile(path.join(folder, 'local.txt'), 'utf-8'), 'untracked\n');
+  await assert.rejects(fs.access(path.join(fx.work, '.git', 'submodule-cli', 'init')));
+});
+
+test('a resumed init adopts the repository created just before the crash', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  await fx.commitFile(fx.work, 'services/gamma-service/index.js', 'export {};\n', 'Add gamma sources');
+
+  // The process dies after gh created the repository, before the journal recorded it
+  const crashed = await fx.run(['init'], { env: { FAKE_GH_CRASH_AFTER: 'repo create' } });
+  assert.notEqual(crashed.exitCode, 0);
+  await fs.access(path.join(fx.remotes, 'gamma.git'));
+
+  const resumed = await fx.run(['init', '--resume']);
+  assert.equal(resumed.exitCode, 0, resumed.all);
+  assert.match(resumed.all, /Adopted repository created by the interrupted run: gamma/);
+
+  assert.equal((await fx.ghCalls('repo', 'create')).length, 1);
+  assert.deepEqual((await fs.readdir(fx.remotes)).filter(name => name.startsWith('gamma')), ['gamma.git']);
+  assert.equal(await fx.git(fx.work, 'config', '--file', '.gitmodules', 'submodule.services/gamma-service.url'), repoUrl('gamma'));
+  assert.equal((await fx.gitlinks(fx.work, null))['services/gamma-service'], await fx.remoteRef('gamma', 'main'));
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixture } from './helpers/fixture.js';
+
+const MANIFEST = '.submodule-features.json';
+
+test('new-feature branches each listed service and records them on the parent branch', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture();
+  t.after(() => fx.cleanup());
+
+  const result = await fx.run(['new-feature', 'checkout-flow', '--services', 'alpha-service,beta-service']);
+  assert.equal(result.exitCode, 0, result.all);
+
+  for (const service of ['alpha', 'beta']) {
+    const dir = fx.servicePath(service);
+    assert.equal(await fx.git(dir, 'branch', '--show-current'), 'feature/checkout-flow');
+    assert.equal(await fx.git(dir, 'rev-parse', 'HEAD'), await fx.remoteRef(service, 'main'));
+  }
+
+  assert.equal(await fx.git(fx.work, 'branch', '--show-current'), 'feature/checkout-flow');
+  const manifest = JSON.parse(await fx.git(fx.work, 'show', `HEAD:${MANIFEST}`));
+  assert.deepEqual(Object.keys(manifest.features['checkout-flow'].services).sort(), ['alpha-service', 'beta-service']);
+  assert.equal(manifest.features['checkout-flow'].services['alpha-service'].branch, 'feature/checkout-flow');
+  assert.equal(await fx.git(fx.work, 'log', '-1', '--format=%s'), 'chore(checkout-flow): track feature services');
+});
+
+test('new-feature asks which services to branch when none are given', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture();
+  t.after(() => fx.cleanup());
+
+  const result = await fx.run(['new-feature', 'search'], { answers: { services: ['beta-service'] } });
+  assert.equal(result.exitCode, 0, result.all);
+
+  assert.equal(await fx.git(fx.servicePath('beta'), 'branch', '--show-current'), 'feature/search');
+  assert.notEqual(await fx.git(fx.servicePath('alpha'), 'branch', '--show-current'), 'feature/search');
+  const manifest = JSON.parse(await fx.git(fx.work, 'show', `HEAD:${MANIFEST}`));
+  assert.deepEqual(Object.keys(manifest.features.search.services), ['beta-service']);
+});
+
+test('new-feature switches to an existing branch when confirmed', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  const alpha = fx.servicePath('alpha');
+  await fx.git(alpha, 'branch', 'feature/reuse');
+
+  const result = await fx.run(['new-feature', 'reuse', '--services', 'alpha-service'], { answers: { switchToBranch: true } });
+  assert.equal(result.exitCode, 0, result.all);
+  assert.equal(await fx.git(alpha, 'branch', '--show-current'), 'feature/reuse');
+});
+
+test('new-feature branches a service from the branch it tracks in .gitmodules', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  const release = await fx.pushBranch('alpha', 'release/1.0', 'fix.txt', 'fix\n', 'fix: release only');
+  await fx.git(fx.work, 'config', '--file', '.gitmodules', 'submodule.services/alpha-service.branch', 'release/1.0');
+  await fx.git(fx.work, 'commit', '--quiet', '-am', 'chore: track release/1.0');
+
+  const result = await fx.run(['new-feature', 'hotfix', '--services', 'alpha-service']);
+  assert.equal(result.exitCode, 0, result.all);
+
+  const alpha = fx.servicePath('alpha');
+  assert.equal(await fx.git(alpha, 'branch', '--show-current'), 'feature/hotfix');
+  assert.equal(await fx.git(alpha, 'rev-parse', 'HEAD'), release);
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createFixture } from './helpers/fixture.js';
+
+test('a prompt without a TTY fails fast with exit code 3 and names the flag', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  await fx.pushUpstream('alpha', 'a.txt', 'a\n', 'feat: upstream');
+
+  const result = await fx.run(['sync']);
+  assert.equal(result.exitCode, 3, result.all);
+  assert.match(result.all, /Commit submodule updates to parent repo\?.*pass --commit or --no-commit/);
+});
+
+test('sync --commit and --no-commit decide without prompting', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  const first = await fx.pushUpstream('alpha', 'a.txt', 'a\n', 'feat: first');
+  const declined = await fx.run(['sync', '--no-commit']);
+  assert.equal(declined.exitCode, 0, declined.all);
+  assert.equal((await fx.gitlinks(fx.work, null))['services/alpha-service'], first);
+  assert.notEqual((await fx.gitlinks(fx.work))['services/alpha-service'], first);
+
+  const committed = await fx.run(['sync', '--commit']);
+  assert.equal(committed.exitCode, 0, committed.all);
+  assert.equal((await fx.gitlinks(fx.work))['services/alpha-service'], first);
+});
+
+test('sync --force --restore and --no-restore decide on the auto-stash without prompting', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  const readme = path.join(fx.servicePath('alpha'), 'README.md');
+  await fx.pushUpstream('alpha', 'a.txt', 'a\n', 'feat: first');
+  await fs.writeFile(readme, '# local notes\n');
+  const kept = await fx.run(['sync', '--force', '--commit', '--no-restore']);
+  assert.equal(kept.exitCode, 0, kept.all);
+  assert.match(kept.all, /Your changes are stashed/);
+  assert.notEqual(await fs.readFile(readme, 'utf-8'), '# local notes\n');
+
+  await fx.pushUpstream('alpha', 'b.txt', 'b\n', 'feat: second');
+  await fs.writeFile(readme, '# more notes\n');
+  const restored = await fx.run(['sync', '--force', '--commit', '--restore']);
+  assert.equal(restored.exitCode, 0, restored.all);
+  assert.equal(await fs.readFile(readme, 'utf-8'), '# more notes\n');
+});
+
+test('--yes answers confirmations, --no-input refuses them', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  const alpha = fx.servicePath('alpha');
+  await fx.git(alpha, 'branch', 'feature/again');
+
+  const refused = await fx.run(['--no-input', 'new-feature', 'again', '--services', 'alpha-service']);
+  assert.equal(refused.exitCode, 3, refused.all);
+  assert.match(refused.all, /Do you want to switch to it\?.*pass --yes/);
+  assert.equal(await fx.git(alpha, 'branch', '--show-current'), 'main');
+
+  const accepted = await fx.run(['--yes', 'new-feature', 'again', '--services', 'alpha-service']);
+  assert.equal(accepted.exitCode, 0, accepted.all);
+  assert.equal(await fx.git(alpha, 'branch', '--show-current'), 'feature/again');
+});
+
+test('create-pr --message commits pending changes and --no-update-existing keeps the PR', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  const alpha = fx.servicePath('alpha');
+  await fx.git(alpha, 'checkout', '--quiet', '-b', 'feature/ci');
+  await fx.commitFile(alpha, 'ci.js', 'export {};\n', 'feat: add ci');
+  const created = await fx.run(['create-pr', 'alpha-service']);
+  assert.equal(created.exitCode, 0, created.all);
+  const { title } = (await fx.prs('alpha'))[0];
+
+  await fs.writeFile(path.join(alpha, 'ci.js'), 'export const ci = true;\n');
+  const result = await fx.run(['create-pr', 'alpha-service', '-m', 'feat: enable ci', '--no-update-existing']);
+  assert.equal(result.exitCode, 0, result.all);
+
+  assert.equal(await fx.git(alpha, 'log', '-1', '--format=%s'), 'feat: enable ci');
+  assert.equal(await fx.remoteRef('alpha', 'feature/ci'), await fx.git(alpha, 'rev-parse', 'HEAD'));
+  assert.equal((await fx.prs('alpha'))[0].title, title);
+  assert.deepEqual(await fx.ghCalls('pr', 'edit'), []);
+
+  // The npm script takes the same spaced forms, with the message before the service
+  await fs.writeFile(path.join(alpha, 'ci.js'), 'export const ci = 2;\n');
+  const direct = await fx.run(['--message', 'feat: tune ci', 'alpha-service', '--no-update-existing'], { script: 'create-submodule-pr' });
+  assert.equal(direct.exitCode, 0, direct.all);
+  assert.equal(await fx.git(alpha, 'log', '-1', '--format=%s'), 'feat: tune ci');
+});
+
+test('invalid usage exits with code 2', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: [] });
+  t.after(() => fx.cleanup());
+
+  const result = await fx.run(['sync', '--no-such-option']);
+  assert.equal(result.exitCode, 2);
+  assert.match(result.all, /unknown option/);
+
+  for (const option of [['--interval', 'abc'], ['--interval', '0'], ['--timeout', 'soon']]) {
+    const invalid = await fx.run(['feature', 'land', 'payments', ...option]);
+    assert.equal(invalid.exitCode, 2, invalid.all);
+    assert.match(invalid.all, /Not a positive number/);
+  }
+
+  for (const jobs of ['0', '-3', 'abc', '1.5']) {
+    const invalid = await fx.run(['sync', '--jobs', jobs]);
+    assert.equal(invalid.exitCode, 2, invalid.all);
+    assert.match(invalid.all, /Not a positive integer/);
+  }
+  const direct = await fx.run(['--jobs=0'], { script: 'sync-submodules' });
+  assert.equal(direct.exitCode, 2, direct.all);
+  assert.match(direct.all, /Invalid --jobs '0': Not a positive integer/);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createFixture } from './helpers/fixture.js';
+
+test('parent-pr commits only the gitlink update and opens a PR describing it', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture();
+  t.after(() => fx.cleanup());
+
+  const before = await fx.gitlinks(fx.work);
+  const upstream = await fx.pushUpstream('alpha', 'api.js', 'export {};\n', 'feat: add api endpoint');
+  await fx.git(fx.servicePath('alpha'), 'pull', '--quiet', 'origin', 'main');
+
+  // Unrelated work in the parent must stay out of the commit
+  await fs.writeFile(path.join(fx.work, 'README.md'), '# parent\n\nlocal notes\n');
+
+  const result = await fx.run(['parent-pr', 'payments']);
+  assert.equal(result.exitCode, 0, result.all);
+
+  const branch = 'feature/submodule-payments';
+  const pushed = await fx.remoteRef('parent', branch);
+  assert.equal(pushed, await fx.git(fx.work, 'rev-parse', 'HEAD'));
+
+  const committed = await fx.gitlinks(fx.work, pushed);
+  assert.equal(committed['services/alpha-service'], upstream);
+  assert.equal(committed['services/beta-service'], before['services/beta-service']);
+  assert.equal(await fx.git(fx.work, 'diff-tree', '--no-commit-id', '--name-only', '-r', pushed), 'services/alpha-service');
+  assert.equal(await fx.git(fx.work, 'status', '--porcelain', '--', 'README.md'), 'M README.md');
+
+  const [pr] = await fx.prs('parent');
+  assert.equal(pr.headRefName, branch);
+  assert.equal(pr.baseRefName, 'main');
+  assert.equal(pr.title, 'feat: payments - submodule updates');
+  assert.match(pr.body, /services\/alpha-service/);
+  assert.match(pr.body, /add api endpoint/);
+  assert.doesNotMatch(pr.body, /services\/beta-service/);
+});
+
+test('parent-pr stops when there are no submodule changes and the user declines', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  const result = await fx.run(['parent-pr', 'nothing'], { answers: { continueAnyway: false } });
+  assert.notEqual(result.exitCode, 0);
+  assert.match(result.all, /No submodule changes detected/);
+  assert.equal(await fx.remoteRef('parent', 'feature/submodule-nothing'), null);
+  assert.deepEqual(await fx.prs('parent'), []);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGiteaProvider } from '../src/utils/providers/gitea.js';
+import { createGitLabProvider } from '../src/utils/providers/gitlab.js';
+
+const remote = { url: 'git@git.example.com:org/alpha.git', local: false, host: 'git.example.com', path: 'org/alpha' };
+
+// Answer API requests from `respond(url)` -> [status, body], recording the URLs
+function stubFetch(t, respond) {
+  const urls = [];
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    urls.push(url);
+    const [status, body] = respond(new URL(url));
+    return new Response(JSON.stringify(body), { status });
+  });
+  return urls;
+}
+
+const giteaPull = (number, ref, state = 'open') => ({
+  number, html_url: `https://git.example.com/org/alpha/pulls/${number}`, state, merged: false, title: `PR ${number}`, head: { ref },
+});
+
+test('gitea findPR pages past the first pulls until the branch turns up', async (t) => {
+  // 120 recently updated pulls of other branches, then the one we want
+  const pulls = Array.from({ length: 120 }, (_, index) => giteaPull(200 - index, `other-${index}`));
+  pulls.push(giteaPull(7, 'feature/old'));
+  const urls = stubFetch(t, (url) => {
+    const page = Number(url.searchParams.get('page'));
+    return [200, pulls.slice((page - 1) * 50, page * 50)];
+  });
+
+  const pr = await createGiteaProvider({ remote }).findPR('feature/old');
+  assert.equal(pr.number, 7);
+  assert.equal(pr.state, 'OPEN');
+  assert.equal(urls.length, 3);
+});
+
+test('gitea findPR gives up after the 500 most recently updated pulls', async (t) => {
+  const pulls = Array.from({ length: 600 }, (_, index) => giteaPull(600 - index, `other-${index}`));
+  pulls.push(giteaPull(1, 'feature/ancient'));
+  const urls = stubFetch(t, (url) => {
+    const page = Number(url.searchParams.get('page'));
+    return [200, pulls.slice((page - 1) * 50, page * 50)];
+  });
+
+  assert.equal(await createGiteaProvider({ remote }).findPR('feature/ancient'), null);
+  assert.equal(urls.length, 10);
+});
+
+test('gitlab and gitea findPR return null when the API fails', async (t) => {
+  stubFetch(t, () => [502, { message: 'Bad Gateway' }]);
+
+  assert.equal(await createGitLabProvider({ remote }).findPR('feature/x'), null);
+  assert.equal(await createGiteaProvider({ remote }).findPR('feature/x'), null);
+});
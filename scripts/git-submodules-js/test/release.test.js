@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createFixture, repoUrl } from './helpers/fixture.js';
+
+const readManifest = async (fx, version) => JSON.parse(await fs.readFile(path.join(fx.work, 'releases', `${version}.json`), 'utf-8'));
+
+test('release cut tags every service and the parent and records the PRs since the previous release', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha', 'beta'] });
+  t.after(() => fx.cleanup());
+
+  const first = await fx.run(['release', 'cut', '1.0.0']);
+  assert.equal(first.exitCode, 0, first.all);
+
+  const links = await fx.gitlinks(fx.work);
+  assert.equal(await fx.remoteRef('alpha', '1.0.0^{commit}'), links['services/alpha-service']);
+  assert.equal(await fx.remoteRef('beta', '1.0.0^{commit}'), links['services/beta-service']);
+  assert.equal(await fx.remoteRef('parent', '1.0.0^{commit}'), await fx.git(fx.work, 'rev-parse', 'HEAD'));
+  assert.equal(await fx.git(fx.work, 'log', '-1', '--format=%s'), 'chore(release): 1.0.0');
+
+  const initial = await readManifest(fx, '1.0.0');
+  assert.equal(initial.previous, null);
+  assert.deepEqual(initial.services.map(({ service, url, sha, tag, pullRequests }) => ({ service, url, sha, tag, pullRequests })), [
+    { service: 'alpha-service', url: repoUrl('alpha'), sha: links['services/alpha-service'], tag: '1.0.0', pullRequests: [] },
+    { service: 'beta-service', url: repoUrl('beta'), sha: links['services/beta-service'], tag: '1.0.0', pullRequests: [] },
+  ]);
+
+  // A PR lands in alpha and the parent picks it up
+  const merged = await fx.pushUpstream('alpha', 'pay.js', 'export {};\n', 'feat: payments (#1)');
+  await fx.addMergedPR('alpha', { title: 'feat: payments', mergeCommit: merged });
+  await fx.git(fx.servicePath('alpha'), 'pull', '--quiet', 'origin', 'main');
+  await fx.git(fx.work, 'commit', '--quiet', '-am', 'chore: bump alpha');
+
+  const second = await fx.run(['release', 'cut', '1.1.0']);
+  assert.equal(second.exitCode, 0, second.all);
+
+  const manifest = await readManifest(fx, '1.1.0');
+  assert.equal(manifest.previous, '1.0.0');
+  assert.deepEqual(manifest.services[0].pullRequests, [{ number: 1, title: 'feat: payments', url: 'https://github.com/tester/alpha/pull/1' }]);
+  assert.deepEqual(manifest.services[1].pullRequests, []);
+  assert.equal(await fx.remoteRef('alpha', '1.1.0^{commit}'), merged);
+
+  const diff = await fx.run(['release', 'diff', '1.0.0', '1.1.0']);
+  assert.equal(diff.exitCode, 0, diff.all);
+  assert.match(diff.all, /### `services\/alpha-service`/);
+  assert.match(diff.all, /\[#1\]\(https:\/\/github\.com\/tester\/alpha\/pull\/1\) feat: payments/);
+  assert.match(diff.all, /1 service\(s\) unchanged/);
+  assert.doesNotMatch(diff.all, /beta-service`/);
+});
+
+test('release cut refuses dirty services and unpushed gitlinks without tagging anything', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha', 'beta'] });
+  t.after(() => fx.cleanup());
+
+  await fs.writeFile(path.join(fx.servicePath('beta'), 'scratch.txt'), 'notes\n');
+  const dirty = await fx.run(['release', 'cut', '1.0.0']);
+  assert.equal(dirty.exitCode, 1, dirty.all);
+  assert.match(dirty.all, /services\/beta-service\n.*uncommitted changes/);
+  await fs.rm(path.join(fx.servicePath('beta'), 'scratch.txt'));
+
+  await fx.commitFile(fx.servicePath('alpha'), 'local.js', 'export {};\n', 'feat: local only');
+  await fx.git(fx.work, 'commit', '--quiet', '-am', 'chore: bump alpha');
+  const unpushed = await fx.run(['release', 'cut', '1.0.0']);
+  assert.equal(unpushed.exitCode, 1, unpushed.all);
+  assert.match(unpushed.all, /not on origin yet[\s\S]*feat: local only/);
+
+  for (const name of ['alpha', 'beta', 'parent']) {
+    assert.equal(await fx.remoteRef(name, '1.0.0'), null);
+  }
+  await assert.rejects(fs.access(path.join(fx.work, 'releases')));
+});
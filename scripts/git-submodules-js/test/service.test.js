@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createFixture, repoUrl } from './helpers/fixture.js';
+
+const ARCHITECTURE = [
+  '# Services Architecture',
+  '',
+  '| Service Name        | DC Hero Codename   | Description                                      |',
+  '| ------------------- | ------------------ | ------------------------------------------------ |',
+  '| Alpha Service       | Oracle             | The single entry point for all client requests.  |',
+  '',
+  'More notes.',
+  '',
+].join('\n');
+
+// A skeleton with placeholders in contents and in file and directory names
+async function createTemplate(fx) {
+  const template = path.join(fx.scratch, 'template');
+  await fs.mkdir(path.join(template, 'src', '{{name}}'), { recursive: true });
+  await fs.writeFile(path.join(template, 'README.md'), '# {{title}} ({{codename}})\n\n{{description}}\n\nKeep {{unknown}} and {{constructor}} as is.\n');
+  await fs.writeFile(path.join(template, 'src', '{{name}}', '{{codenameSlug}}.js'), 'export const folder = "{{folder}}";\n');
+  return template;
+}
+
+test('service create publishes a rendered template and registers it as a submodule', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  await fx.commitFile(fx.work, 'services-architecture.md', ARCHITECTURE, 'docs: services');
+  const template = await createTemplate(fx);
+
+  const result = await fx.run(['service', 'create', 'payment', '--template', template, '--codename', 'Green Arrow'], {
+    answers: { description: 'Handles billing | refunds.' },
+  });
+  assert.equal(result.exitCode, 0, result.all);
+
+  // The repository was created through gh and holds the rendered skeleton
+  assert.deepEqual((await fx.ghCalls('repo', 'create')).map(call => call.args), [['repo', 'create', 'payment', '--private']]);
+  const main = await fx.remoteRef('payment', 'main');
+  assert.ok(main, 'payment main was pushed');
+  const show = file => fx.git(path.join(fx.remotes, 'payment.git'), 'show', `main:${file}`);
+  assert.equal(await show('README.md'), '# Payment Service (Green Arrow)\n\nHandles billing | refunds.\n\nKeep {{unknown}} and {{constructor}} as is.');
+  assert.equal(await show('src/payment/green-arrow.js'), 'export const folder = "payment-service";');
+
+  // ...and is staged as a submodule at that commit, with the table updated
+  assert.equal(await fx.git(fx.work, 'config', '--file', '.gitmodules', 'submodule.services/payment-service.url'), repoUrl('payment'));
+  assert.equal((await fx.gitlinks(fx.work, null))['services/payment-service'], main);
+  const doc = await fs.readFile(path.join(fx.work, 'services-architecture.md'), 'utf-8');
+  assert.match(doc, /\| Alpha Service .*\|\n\| Payment Service     \| Green Arrow        \| Handles billing \\\| refunds\.\s+\|\n\nMore notes\./);
+  assert.equal(await fx.git(fx.work, 'diff', '--name-only'), '');
+});
+
+test('service create run directly takes option values after a space', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  const template = await createTemplate(fx);
+  const result = await fx.run(['create', 'payment', '--template', template, '--codename', 'Flash', '--description', 'Handles billing.'], { script: 'service' });
+  assert.equal(result.exitCode, 0, result.all);
+
+  const readme = await fx.git(path.join(fx.remotes, 'payment.git'), 'show', 'main:README.md');
+  assert.match(readme, /^# Payment Service \(Flash\)\n\nHandles billing\./);
+  assert.equal(await fx.git(fx.work, 'config', '--file', '.gitmodules', 'submodule.services/payment-service.url'), repoUrl('payment'));
+});
+
+test('service create refuses an existing service and needs a codename without prompts', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  const template = await createTemplate(fx);
+
+  const existing = await fx.run(['service', 'create', 'alpha', '--template', template, '--codename', 'Oracle']);
+  assert.equal(existing.exitCode, 1, existing.all);
+  assert.match(existing.all, /services\/alpha-service already exists/);
+
+  const missing = await fx.run(['--yes', 'service', 'create', 'payment', '--template', template]);
+  assert.equal(missing.exitCode, 3, missing.all);
+  assert.match(missing.all, /pass --codename/);
+
+  assert.deepEqual(await fx.ghCalls('repo', 'create'), []);
+  assert.equal(await fx.git(fx.work, 'status', '--porcelain'), '');
+});
+
+test('service remove deletes the submodule everywhere, or keeps its files with --keep-files', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha', 'beta'] });
+  t.after(() => fx.cleanup());
+
+  const removed = await fx.run(['service', 'remove', 'alpha']);
+  assert.equal(removed.exitCode, 0, removed.all);
+  assert.match(removed.all, /\.git\/modules\/services\/alpha-service: deleted/);
+  assert.equal(await fx.git(fx.work, 'ls-files', '--', 'services/alpha-service'), '');
+  assert.equal(await fx.git(fx.work, 'config', '--file', '.gitmodules', '--get-regexp', 'path'), 'submodule.services/beta-service.path services/beta-service');
+  assert.equal(await fx.git(fx.work, 'config', '--get-regexp', '^submodule\\.').then(out => out.includes('alpha'), () => false), false);
+  await assert.rejects(fs.access(path.join(fx.work, '.git', 'modules', 'services', 'alpha-service')));
+  await assert.rejects(fs.access(fx.servicePath('alpha')));
+
+  const kept = await fx.run(['service', 'remove', 'beta-service', '--keep-files']);
+  assert.equal(kept.exitCode, 0, kept.all);
+  assert.equal(await fx.git(fx.work, 'ls-files', '--stage', '--', 'services/beta-service'), `100644 ${await fx.git(fx.work, 'hash-object', 'services/beta-service/README.md')} 0\tservices/beta-service/README.md`);
+  await assert.rejects(fs.access(path.join(fx.servicePath('beta'), '.git')));
+  await assert.rejects(fs.access(path.join(fx.work, '.git', 'modules', 'services', 'beta-service')));
+  assert.match(await fx.git(fx.work, 'status', '--porcelain', '--', '.gitmodules'), /^D\s+\.gitmodules$/);
+});
+
+test('service remove and move refuse a submodule with unpushed work', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  await fx.commitFile(fx.servicePath('alpha'), 'local.js', 'export {};\n', 'feat: local only');
+
+  const removed = await fx.run(['service', 'remove', 'alpha']);
+  assert.equal(removed.exitCode, 1, removed.all);
+  assert.match(removed.all, /not pushed: [0-9a-f]+ feat: local only/);
+
+  await fs.writeFile(path.join(fx.servicePath('alpha'), 'scratch.txt'), 'notes\n');
+  await fx.git(fx.servicePath('alpha'), 'push', '--quiet', 'origin', 'main');
+  const moved = await fx.run(['service', 'move', 'alpha', 'libs/alpha']);
+  assert.equal(moved.exitCode, 1, moved.all);
+  assert.match(moved.all, /uncommitted: \?\? scratch\.txt/);
+
+  assert.ok(await fx.git(fx.work, 'ls-files', '--', 'services/alpha-service'));
+  assert.equal(await fx.git(fx.work, 'status', '--porcelain', '--', '.gitmodules'), '');
+});
+
+test('service move relocates the checkout and renames its submodule storage', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  const sha = (await fx.gitlinks(fx.work))['services/alpha-service'];
+  const result = await fx.run(['service', 'move', 'alpha', 'libs/alpha']);
+  assert.equal(result.exitCode, 0, result.all);
+
+  assert.deepEqual(await fx.gitlinks(fx.work, null), { 'libs/alpha': sha });
+  assert.equal(await fx.git(fx.work, 'config', '--file', '.gitmodules', 'submodule.libs/alpha.path'), 'libs/alpha');
+  assert.equal(await fx.git(fx.work, 'config', '--file', '.gitmodules', 'submodule.libs/alpha.url'), repoUrl('alpha'));
+  assert.equal(await fx.git(fx.work, 'config', 'submodule.libs/alpha.url'), repoUrl('alpha'));
+  await assert.rejects(fs.access(path.join(fx.work, '.git', 'modules', 'services', 'alpha-service')));
+
+  // The moved checkout works against its moved repository
+  const moved = path.join(fx.work, 'libs', 'alpha');
+  assert.equal(await fx.git(moved, 'rev-parse', '--git-dir'), path.join(fx.work, '.git', 'modules', 'libs', 'alpha'));
+  assert.equal(await fx.git(moved, 'status', '--porcelain'), '');
+  assert.equal(await fx.git(fx.work, 'submodule', 'status'), `${sha} libs/alpha (heads/main)`);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createFixture } from './helpers/fixture.js';
+
+test('sync fast-forwards submodules and commits the new gitlinks when confirmed', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture();
+  t.after(() => fx.cleanup());
+
+  const before = await fx.gitlinks(fx.work);
+  const upstream = await fx.pushUpstream('alpha', 'feature.txt', 'new\n', 'feat: upstream change');
+
+  const result = await fx.run(['sync'], { answers: { commitChanges: true } });
+  assert.equal(result.exitCode, 0, result.all);
+
+  assert.equal(await fx.git(fx.servicePath('alpha'), 'rev-parse', 'HEAD'), upstream);
+  const after = await fx.gitlinks(fx.work);
+  assert.equal(after['services/alpha-service'], upstream);
+  assert.equal(after['services/beta-service'], before['services/beta-service']);
+  assert.match(await fx.git(fx.work, 'log', '-1', '--format=%s'), /^chore: update submodule references/);
+});
+
+test('sync leaves the gitlink update staged when the commit is declined', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture();
+  t.after(() => fx.cleanup());
+
+  const before = await fx.gitlinks(fx.work);
+  const upstream = await fx.pushUpstream('beta', 'beta.txt', 'b\n', 'fix: upstream fix');
+
+  const result = await fx.run(['sync'], { answers: { commitChanges: false } });
+  assert.equal(result.exitCode, 0, result.all);
+
+  assert.deepEqual(await fx.gitlinks(fx.work), before);
+  assert.equal((await fx.gitlinks(fx.work, null))['services/beta-service'], upstream);
+});
+
+test('sync --strategy rebase replays local commits on top of upstream', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  const alpha = fx.servicePath('alpha');
+  await fx.git(alpha, 'checkout', '--quiet', 'main');
+  await fx.commitFile(alpha, 'local.txt', 'local\n', 'feat: local work');
+  const upstream = await fx.pushUpstream('alpha', 'remote.txt', 'remote\n', 'feat: remote work');
+
+  // The default ff-only strategy refuses to touch a diverged branch
+  const refused = await fx.run(['sync'], { answers: { commitChanges: false } });
+  assert.match(refused.all, /diverged/i);
+  assert.equal(await fx.git(alpha, 'log', '-1', '--format=%s'), 'feat: local work');
+
+  const result = await fx.run(['sync', '--strategy', 'rebase'], { answers: { commitChanges: false } });
+  assert.equal(result.exitCode, 0, result.all);
+  assert.equal(await fx.git(alpha, 'rev-parse', 'HEAD~1'), upstream);
+  assert.equal(await fx.git(alpha, 'log', '-1', '--format=%s'), 'feat: local work');
+});
+
+test('sync --remote moves submodules to the tip of their tracked branch', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture();
+  t.after(() => fx.cleanup());
+
+  const develop = await fx.pushBranch('alpha', 'develop', 'develop.txt', 'd\n', 'feat: on develop');
+  const main = await fx.pushUpstream('beta', 'beta.txt', 'b\n', 'fix: on main');
+
+  const set = await fx.run(['service', 'set-branch', 'alpha', 'develop']);
+  assert.equal(set.exitCode, 0, set.all);
+  assert.equal(await fx.git(fx.work, 'config', '--file', '.gitmodules', 'submodule.services/alpha-service.branch'), 'develop');
+  assert.equal(await fx.git(fx.work, 'diff', '--cached', '--name-only'), '.gitmodules');
+
+  const result = await fx.run(['sync', '--remote', '--commit']);
+  assert.equal(result.exitCode, 0, result.all);
+
+  const alpha = fx.servicePath('alpha');
+  assert.equal(await fx.git(alpha, 'branch', '--show-current'), 'develop');
+  assert.equal(await fx.git(alpha, 'rev-parse', 'HEAD'), develop);
+  assert.deepEqual(await fx.gitlinks(fx.work), { 'services/alpha-service': develop, 'services/beta-service': main });
+});
+
+test('sync carries on when one submodule throws and reports it as failed', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture();
+  t.after(() => fx.cleanup());
+
+  const upstream = await fx.pushUpstream('beta', 'beta.txt', 'b\n', 'fix: upstream fix');
+
+  // alpha sits on an unborn branch that exists on origin, so comparing it with origin throws
+  const alpha = fx.servicePath('alpha');
+  await fx.pushBranch('alpha', 'develop', 'develop.txt', 'd\n', 'feat: develop');
+  await fx.git(alpha, 'checkout', '--quiet', '--orphan', 'develop');
+  await fx.git(alpha, 'rm', '-rfq', '.');
+
+  const result = await fx.run(['sync', '--no-commit']);
+  assert.equal(result.exitCode, 0, result.all);
+
+  assert.equal((await fx.gitlinks(fx.work, null))['services/beta-service'], upstream);
+  assert.match(result.all, /alpha-service \(failed\)/);
+});
+
+test('stash list refuses a corrupt stash ledger instead of treating it as empty', { timeout: 120000 }, async (t) => {
+  const fx = await createFixture({ services: ['alpha'] });
+  t.after(() => fx.cleanup());
+
+  const ledger = path.join(fx.work, '.git', 'submodule-cli', 'stashes.json');
+  await fs.mkdir(path.dirname(ledger), { recursive: true });
+  await fs.writeFile(ledger, '{ "stashes": [');
+
+  const result = await fx.run(['stash', 'list']);
+  assert.equal(result.exitCode, 1, result.all);
+  assert.match(result.all, /Cannot parse .*stashes\.json/);
+  assert.equal(await fs.readFile(ledger, 'utf-8'), '{ "stashes": [');
+});